@@ -0,0 +1,60 @@
+// ============================================
+// Web Dev Documentation Portal - Accessibility
+// ============================================
+
+import { listen, onDestroy } from './lifecycle.js';
+import { setTranslatedAttribute, setTranslatedText } from './i18n.js';
+import { scrollToTop } from './utils.js';
+
+// ==================== Additional Interactive Features ====================
+
+// Add scroll-to-top button functionality
+export function createScrollToTopButton() {
+    const button = document.createElement('button');
+    button.className = 'scroll-to-top';
+    button.innerHTML = '↑';
+    setTranslatedAttribute(button, 'aria-label', 'common.scrollToTop');
+    document.body.appendChild(button);
+    onDestroy(() => button.remove());
+    
+    button.addEventListener('click', scrollToTop);
+    
+    listen(window, 'scroll', () => {
+        if (window.scrollY > 500) {
+            button.classList.add('visible');
+        } else {
+            button.classList.remove('visible');
+        }
+    });
+}
+
+// ==================== Accessibility Enhancements ====================
+export function enhanceAccessibility() {
+    // Add skip link
+    const skipLink = document.createElement('a');
+    skipLink.href = '#mainContent';
+    skipLink.className = 'skip-link';
+    setTranslatedText(skipLink, 'common.skipToContent');
+    document.body.insertBefore(skipLink, document.body.firstChild);
+    
+    // Announce page changes for screen readers
+    const announcer = document.createElement('div');
+    announcer.setAttribute('role', 'status');
+    announcer.setAttribute('aria-live', 'polite');
+    announcer.setAttribute('aria-atomic', 'true');
+    announcer.className = 'sr-only';
+    announcer.id = 'announcer';
+    document.body.appendChild(announcer);
+    
+    onDestroy(() => {
+        skipLink.remove();
+        announcer.remove();
+    });
+}
+
+export function announce(message) {
+    const announcer = document.getElementById('announcer');
+    if (announcer) {
+        announcer.textContent = message;
+    }
+}
@@ -0,0 +1,426 @@
+// ============================================
+// Web Dev Documentation Portal - Analytics
+// ============================================
+
+import { CONFIG } from './config.js';
+import { elements } from './state.js';
+import { listen, onDestroy } from './lifecycle.js';
+import { store } from './store.js';
+import { formatNumber, translate } from './i18n.js';
+import { getSectionTitle } from './search.js';
+import { getCardTitle } from './progress.js';
+import { openModal } from './dialogs.js';
+import { debounce } from './utils.js';
+import { showToast } from './offline.js';
+import { announce } from './accessibility.js';
+
+// ==================== Analytics ====================
+// Every event is kept locally in IndexedDB (in memory when unavailable) for the
+// reading stats dashboard. Events recorded while the reader has consented are
+// also batched to CONFIG.ANALYTICS.ENDPOINT with navigator.sendBeacon.
+const EVENT_STATUS = {
+    PENDING: 0,
+    SENT: 1,
+    LOCAL_ONLY: 2
+};
+
+const analytics = {
+    db: null,
+    memoryEvents: [],
+    nextMemoryId: 1,
+    sessionId: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`,
+    activeSection: null,
+    // visibilitychange and pagehide both flush; one batch must not go out twice
+    flushing: false
+};
+
+export function initializeAnalytics() {
+    pruneAnalyticsEvents();
+    trackPageView(store.getState().currentSection);
+    
+    const flushTimer = setInterval(flushAnalytics, CONFIG.ANALYTICS.FLUSH_INTERVAL);
+    onDestroy(() => clearInterval(flushTimer));
+    
+    // Close the open time-on-section span and ship what we have while we still can
+    listen(document, 'visibilitychange', () => {
+        if (document.hidden) {
+            endSectionTimer();
+            flushAnalytics();
+        } else {
+            startSectionTimer(store.getState().currentSection);
+        }
+    });
+    listen(window, 'pagehide', () => {
+        endSectionTimer();
+        flushAnalytics();
+    });
+    
+    listen(elements.readingStatsBtn, 'click', openReadingStats);
+    
+    if (CONFIG.ANALYTICS.ENDPOINT && getAnalyticsConsent() === null) {
+        showToast(translate('analytics.consentPrompt'), {
+            label: translate('analytics.allow'),
+            onClick: () => setAnalyticsConsent(true)
+        }, () => setAnalyticsConsent(false));
+    }
+}
+
+export function trackPageView(sectionId) {
+    if (!sectionId || (analytics.activeSection && analytics.activeSection.sectionId === sectionId)) return;
+    
+    endSectionTimer();
+    startSectionTimer(sectionId);
+    recordEvent('section_view', { section: sectionId });
+}
+
+export function trackInteraction(action, label, data = {}) {
+    recordEvent(action, { label, section: store.getState().currentSection, ...data });
+}
+
+// Search runs on every keystroke, so only log the query the reader settled on
+export const trackSearch = debounce((query, resultCount) => {
+    trackInteraction('search', query, { results: resultCount });
+}, CONFIG.ANALYTICS.SEARCH_SETTLE_DELAY);
+
+function startSectionTimer(sectionId) {
+    if (!sectionId || document.hidden) return;
+    analytics.activeSection = { sectionId, startedAt: Date.now() };
+}
+
+function endSectionTimer() {
+    const active = analytics.activeSection;
+    if (!active) return;
+    
+    analytics.activeSection = null;
+    const duration = Date.now() - active.startedAt;
+    
+    // Scrolling past a section is not reading it
+    if (duration >= CONFIG.ANALYTICS.MIN_SECTION_TIME) {
+        recordEvent('section_time', { section: active.sectionId, duration });
+    }
+}
+
+function recordEvent(type, data) {
+    const event = {
+        type,
+        ...data,
+        timestamp: new Date().toISOString(),
+        sessionId: analytics.sessionId,
+        status: getAnalyticsConsent() ? EVENT_STATUS.PENDING : EVENT_STATUS.LOCAL_ONLY
+    };
+    
+    return withEventStore('readwrite', store => store.add(event), () => {
+        analytics.memoryEvents.push({ id: analytics.nextMemoryId++, ...event });
+    }).catch(e => console.error('Error recording analytics event:', e));
+}
+
+// ==================== Analytics Storage ====================
+function getAnalyticsDb() {
+    if (!analytics.db) {
+        analytics.db = new Promise(resolve => {
+            if (!window.indexedDB) {
+                resolve(null);
+                return;
+            }
+            
+            const request = indexedDB.open(CONFIG.ANALYTICS.DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore('events', { keyPath: 'id', autoIncrement: true });
+                store.createIndex('status', 'status');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('⚠️ IndexedDB unavailable, analytics events kept in memory');
+                resolve(null);
+            };
+        });
+    }
+    
+    return analytics.db;
+}
+
+// Runs `action` against the events store, or `fallback` when IndexedDB is unavailable
+async function withEventStore(mode, action, fallback) {
+    const db = await getAnalyticsDb();
+    if (!db) return fallback();
+    
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction('events', mode);
+        const request = action(transaction.objectStore('events'));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+function getAnalyticsEvents() {
+    return withEventStore('readonly', store => store.getAll(), () => analytics.memoryEvents.slice());
+}
+
+function getPendingEvents(limit) {
+    return withEventStore(
+        'readonly',
+        store => store.index('status').getAll(EVENT_STATUS.PENDING, limit),
+        () => analytics.memoryEvents.filter(event => event.status === EVENT_STATUS.PENDING).slice(0, limit)
+    );
+}
+
+function markEventsSent(ids) {
+    return withEventStore('readwrite', store => {
+        ids.forEach(id => {
+            const request = store.get(id);
+            request.onsuccess = () => {
+                if (request.result) {
+                    store.put({ ...request.result, status: EVENT_STATUS.SENT });
+                }
+            };
+        });
+    }, () => {
+        analytics.memoryEvents.forEach(event => {
+            if (ids.includes(event.id)) {
+                event.status = EVENT_STATUS.SENT;
+            }
+        });
+    });
+}
+
+// Drop the oldest events once the local history grows past MAX_EVENTS
+function pruneAnalyticsEvents() {
+    return withEventStore('readwrite', store => {
+        const countRequest = store.count();
+        countRequest.onsuccess = () => {
+            let excess = countRequest.result - CONFIG.ANALYTICS.MAX_EVENTS;
+            if (excess <= 0) return;
+            
+            store.openCursor().onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (cursor && excess-- > 0) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+        };
+    }, () => {
+        analytics.memoryEvents = analytics.memoryEvents.slice(-CONFIG.ANALYTICS.MAX_EVENTS);
+    }).catch(e => console.error('Error pruning analytics events:', e));
+}
+
+function clearAnalyticsEvents() {
+    return withEventStore('readwrite', store => store.clear(), () => {
+        analytics.memoryEvents = [];
+    });
+}
+
+async function flushAnalytics() {
+    const endpoint = CONFIG.ANALYTICS.ENDPOINT;
+    if (!endpoint || !getAnalyticsConsent() || !navigator.sendBeacon || analytics.flushing) return;
+    
+    analytics.flushing = true;
+    try {
+        const events = await getPendingEvents(CONFIG.ANALYTICS.BATCH_SIZE);
+        if (events.length === 0) return;
+        
+        const payload = {
+            sentAt: new Date().toISOString(),
+            events: events.map(({ status, ...event }) => event)
+        };
+        
+        // text/plain keeps the beacon a simple CORS request (no preflight)
+        const blob = new Blob([JSON.stringify(payload)], { type: 'text/plain' });
+        if (navigator.sendBeacon(endpoint, blob)) {
+            await markEventsSent(events.map(event => event.id));
+            console.log(`📤 Sent ${events.length} analytics events`);
+        }
+    } catch (e) {
+        console.error('Error flushing analytics:', e);
+    } finally {
+        analytics.flushing = false;
+    }
+}
+
+// ==================== Analytics Consent ====================
+function getAnalyticsConsent() {
+    const consent = localStorage.getItem(CONFIG.STORAGE_KEYS.ANALYTICS_CONSENT);
+    return consent === null ? null : consent === 'granted';
+}
+
+function setAnalyticsConsent(granted) {
+    localStorage.setItem(CONFIG.STORAGE_KEYS.ANALYTICS_CONSENT, granted ? 'granted' : 'denied');
+    announce(translate(granted ? 'analytics.enabled' : 'analytics.disabled'));
+    
+    if (granted) {
+        flushAnalytics();
+    }
+}
+
+// ==================== Reading Stats Dashboard ====================
+export async function openReadingStats() {
+    const events = await getAnalyticsEvents();
+    const stats = summarizeAnalyticsEvents(events);
+    
+    const content = document.createElement('div');
+    content.className = 'reading-stats';
+    
+    const overview = document.createElement('dl');
+    overview.className = 'reading-stats-overview';
+    [
+        [translate('stats.readingTime'), formatDuration(stats.totalTime)],
+        [translate('stats.visits'), formatNumber(stats.sessions)],
+        [translate('stats.cardsOpened'), formatNumber(stats.expands)],
+        [translate('stats.codeCopied'), formatNumber(stats.copies)]
+    ].forEach(([label, value]) => {
+        const item = document.createElement('div');
+        const term = document.createElement('dt');
+        term.textContent = label;
+        const detail = document.createElement('dd');
+        detail.textContent = value;
+        item.append(detail, term);
+        overview.appendChild(item);
+    });
+    content.appendChild(overview);
+    
+    const times = count => translate('stats.times', { count });
+    content.appendChild(createStatsList(translate('stats.timeBySection'), stats.sectionTimes, formatDuration));
+    content.appendChild(createStatsList(translate('stats.topCards'), stats.topCards, times));
+    content.appendChild(createStatsList(translate('stats.searches'), stats.topSearches, times));
+    content.appendChild(createStatsList(translate('stats.failedSearches'), stats.failedSearches, times));
+    
+    content.appendChild(createConsentControl());
+    
+    openModal({
+        title: translate('stats.title'),
+        content,
+        actions: [
+            {
+                label: translate('stats.clear'),
+                onClick: () => {
+                    clearAnalyticsEvents().then(() => announce(translate('stats.cleared')));
+                }
+            },
+            { label: translate('common.close'), primary: true }
+        ]
+    });
+}
+
+function summarizeAnalyticsEvents(events) {
+    const sectionTimes = new Map();
+    const cards = new Map();
+    const searches = new Map();
+    const failedSearches = new Map();
+    const sessions = new Set();
+    const increment = (map, key, amount = 1) => map.set(key, (map.get(key) || 0) + amount);
+    
+    let totalTime = 0;
+    let copies = 0;
+    let expands = 0;
+    
+    events.forEach(event => {
+        sessions.add(event.sessionId);
+        
+        switch (event.type) {
+            case 'section_time':
+                totalTime += event.duration;
+                increment(sectionTimes, event.section, event.duration);
+                break;
+            case 'card_expand':
+                expands++;
+                increment(cards, event.label);
+                break;
+            case 'search': {
+                const query = event.label.toLowerCase();
+                increment(searches, query);
+                if (event.results === 0) {
+                    increment(failedSearches, query);
+                }
+                break;
+            }
+            case 'code_copy':
+                copies++;
+                break;
+        }
+    });
+    
+    const sectionTitle = id => {
+        const section = document.getElementById(id);
+        return section ? getSectionTitle(section) : id;
+    };
+    const cardTitle = id => getCardTitle(document.getElementById(id)) || id;
+    
+    return {
+        totalTime,
+        copies,
+        expands,
+        sessions: sessions.size,
+        sectionTimes: rankEntries(sectionTimes, sectionTitle),
+        topCards: rankEntries(cards, cardTitle),
+        topSearches: rankEntries(searches),
+        failedSearches: rankEntries(failedSearches)
+    };
+}
+
+function rankEntries(map, label = key => key, limit = 5) {
+    return Array.from(map.entries())
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit)
+        .map(([key, value]) => ({ label: label(key), value }));
+}
+
+function createStatsList(title, entries, formatValue) {
+    const group = document.createElement('section');
+    group.className = 'reading-stats-group';
+    
+    const heading = document.createElement('h3');
+    heading.textContent = title;
+    group.appendChild(heading);
+    
+    if (entries.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'reading-stats-empty';
+        empty.textContent = translate('stats.empty');
+        group.appendChild(empty);
+        return group;
+    }
+    
+    const list = document.createElement('ol');
+    const max = entries[0].value;
+    
+    entries.forEach(({ label, value }) => {
+        const item = document.createElement('li');
+        item.style.setProperty('--stat-ratio', max ? value / max : 0);
+        
+        const name = document.createElement('span');
+        name.className = 'reading-stats-label';
+        name.textContent = label;
+        
+        const amount = document.createElement('span');
+        amount.className = 'reading-stats-value';
+        amount.textContent = formatValue(value);
+        
+        item.append(name, amount);
+        list.appendChild(item);
+    });
+    
+    group.appendChild(list);
+    return group;
+}
+
+function createConsentControl() {
+    const label = document.createElement('label');
+    label.className = 'reading-stats-consent';
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = getAnalyticsConsent() === true;
+    checkbox.addEventListener('change', () => setAnalyticsConsent(checkbox.checked));
+    
+    const text = translate(CONFIG.ANALYTICS.ENDPOINT ? 'analytics.share' : 'analytics.shareLocalOnly');
+    
+    label.append(checkbox, ` ${text}`);
+    return label;
+}
+
+function formatDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 1) return translate('duration.seconds', { seconds: Math.round(ms / 1000) });
+    if (minutes < 60) return translate('duration.minutes', { minutes });
+    return translate('duration.hours', { hours: Math.floor(minutes / 60), minutes: minutes % 60 });
+}
@@ -0,0 +1,438 @@
+// ============================================
+// Web Dev Documentation Portal - Bookmarks & Notes
+// ============================================
+
+import { CONFIG } from './config.js';
+import { elements, state } from './state.js';
+import { onDestroy } from './lifecycle.js';
+import { persist, store } from './store.js';
+import { translate } from './i18n.js';
+import { scrollToSection } from './navigation.js';
+import { buildSearchIndex, getSectionTitle } from './search.js';
+import { revealCard } from './cards.js';
+import { getCardTitle, offerUndo } from './progress.js';
+import { closeSidebar } from './sidebar.js';
+import { ensureCardId } from './utils.js';
+import { announce } from './accessibility.js';
+
+// ==================== Bookmarks & Notes ====================
+// Sections are keyed by their id and cards by "<section id>/<card id>", so
+// annotations survive cards being reordered within a section.
+export function initializeAnnotations() {
+    loadAnnotations();
+    
+    getAnnotationTargets().forEach(target => {
+        if (target.classList.contains('card')) {
+            ensureCardId(target, target.closest('.section'));
+        }
+        addAnnotationControls(target);
+        updateAnnotationControls(target);
+    });
+    
+    renderAnnotationsPanel();
+    
+    // Edits here, in another tab or undone all re-render the same way
+    onDestroy(store.subscribe(data => [data.bookmarks, data.notes], () => {
+        getAnnotationTargets().forEach(updateAnnotationControls);
+        renderAnnotationsPanel();
+    }));
+    // Keep note text searchable
+    onDestroy(store.subscribe(data => data.notes, () => {
+        if (state.searchIndex) {
+            buildSearchIndex();
+        }
+    }));
+    persist({
+        key: CONFIG.STORAGE_KEYS.BOOKMARKS,
+        slices: ['bookmarks'],
+        save: data => serializeAnnotations(data.bookmarks),
+        load: value => ({ bookmarks: parseAnnotations(value) })
+    });
+    persist({
+        key: CONFIG.STORAGE_KEYS.NOTES,
+        slices: ['notes'],
+        save: data => serializeAnnotations(data.notes),
+        load: value => ({ notes: parseAnnotations(value) })
+    });
+}
+
+function getAnnotationTargets() {
+    return document.querySelectorAll('.section, .section .card');
+}
+
+function getAnnotationKey(target) {
+    if (target.classList.contains('section')) return target.id;
+    return `${target.closest('.section').id}/${target.id}`;
+}
+
+export function getAnnotationTarget(key) {
+    const target = document.getElementById(key.split('/').pop());
+    return target && getAnnotationKey(target) === key ? target : null;
+}
+
+export function getAnnotationTitle(target) {
+    return target.classList.contains('section') ? getSectionTitle(target) : getCardTitle(target);
+}
+
+export function isBookmarked(target) {
+    return Boolean(target && target.closest('.section') && store.getState().bookmarks.has(getAnnotationKey(target)));
+}
+
+function addAnnotationControls(target) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'annotations';
+    
+    const note = document.createElement('div');
+    note.className = 'annotation-note';
+    note.hidden = true;
+    
+    const controls = document.createElement('div');
+    controls.className = 'annotation-controls';
+    
+    const bookmarkBtn = document.createElement('button');
+    bookmarkBtn.type = 'button';
+    bookmarkBtn.className = 'annotation-btn bookmark-btn';
+    bookmarkBtn.addEventListener('click', () => toggleBookmark(target));
+    
+    const noteBtn = document.createElement('button');
+    noteBtn.type = 'button';
+    noteBtn.className = 'annotation-btn note-btn';
+    noteBtn.addEventListener('click', () => openNoteEditor(target));
+    
+    controls.append(bookmarkBtn, noteBtn);
+    wrapper.append(note, controls);
+    
+    const host = target.classList.contains('section')
+        ? target.querySelector('.section-header') || target
+        : target;
+    host.appendChild(wrapper);
+}
+
+function getAnnotationWrapper(target) {
+    const host = target.classList.contains('section')
+        ? target.querySelector('.section-header') || target
+        : target;
+    return host.querySelector(':scope > .annotations');
+}
+
+function updateAnnotationControls(target) {
+    const wrapper = getAnnotationWrapper(target);
+    if (!wrapper) return;
+    
+    const key = getAnnotationKey(target);
+    const title = getAnnotationTitle(target);
+    const { bookmarks, notes } = store.getState();
+    const bookmarked = bookmarks.has(key);
+    const note = notes.get(key);
+    
+    const bookmarkBtn = wrapper.querySelector('.bookmark-btn');
+    bookmarkBtn.textContent = translate(bookmarked ? 'annotations.bookmarked' : 'annotations.bookmark');
+    bookmarkBtn.setAttribute('aria-pressed', String(bookmarked));
+    bookmarkBtn.setAttribute('aria-label', translate('annotations.bookmarkLabel', { title }));
+    
+    const noteBtn = wrapper.querySelector('.note-btn');
+    noteBtn.textContent = translate(note ? 'annotations.editNote' : 'annotations.addNote');
+    noteBtn.setAttribute('aria-label', translate(note ? 'annotations.editNoteLabel' : 'annotations.addNoteLabel', { title }));
+    
+    const noteView = wrapper.querySelector('.annotation-note');
+    noteView.innerHTML = '';
+    noteView.hidden = !note;
+    if (note) {
+        noteView.appendChild(renderMarkdown(note.text));
+    }
+    
+    target.classList.toggle('bookmarked', bookmarked);
+}
+
+function toggleBookmark(target) {
+    const key = getAnnotationKey(target);
+    const bookmarks = new Map(store.getState().bookmarks);
+    
+    if (bookmarks.has(key)) {
+        bookmarks.delete(key);
+        announce(translate('annotations.bookmarkRemoved', { title: getAnnotationTitle(target) }));
+    } else {
+        bookmarks.set(key, { createdAt: new Date().toISOString() });
+        announce(translate('annotations.bookmarkAdded', { title: getAnnotationTitle(target) }));
+    }
+    
+    store.setState({ bookmarks }, { type: 'annotations/bookmark' });
+}
+
+function openNoteEditor(target) {
+    const wrapper = getAnnotationWrapper(target);
+    const existing = wrapper.querySelector('.note-editor');
+    if (existing) {
+        existing.querySelector('textarea').focus();
+        return;
+    }
+    
+    const key = getAnnotationKey(target);
+    const note = store.getState().notes.get(key);
+    
+    const editor = document.createElement('div');
+    editor.className = 'note-editor';
+    
+    const textarea = document.createElement('textarea');
+    textarea.className = 'note-editor-input';
+    textarea.rows = 4;
+    textarea.value = note ? note.text : '';
+    textarea.placeholder = translate('annotations.notePlaceholder');
+    textarea.setAttribute('aria-label', translate('annotations.noteLabel', { title: getAnnotationTitle(target) }));
+    
+    const actions = document.createElement('div');
+    actions.className = 'note-editor-actions';
+    
+    const close = () => {
+        editor.remove();
+        wrapper.querySelector('.annotation-controls').hidden = false;
+        wrapper.querySelector('.annotation-note').hidden = !store.getState().notes.has(key);
+        wrapper.querySelector('.note-btn').focus();
+    };
+    
+    const save = () => {
+        saveNote(target, textarea.value);
+        close();
+    };
+    
+    actions.append(
+        createNoteEditorButton(translate('common.save'), save, 'primary'),
+        createNoteEditorButton(translate('common.cancel'), close)
+    );
+    if (note) {
+        actions.appendChild(createNoteEditorButton(translate('common.delete'), () => {
+            saveNote(target, '');
+            close();
+        }, 'danger'));
+    }
+    
+    textarea.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            save();
+        } else if (e.key === 'Escape') {
+            e.stopPropagation();
+            close();
+        }
+    });
+    
+    editor.append(textarea, actions);
+    wrapper.querySelector('.annotation-note').hidden = true;
+    wrapper.querySelector('.annotation-controls').hidden = true;
+    wrapper.appendChild(editor);
+    textarea.focus();
+}
+
+function createNoteEditorButton(label, onClick, variant) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = variant ? `note-editor-btn ${variant}` : 'note-editor-btn';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+function saveNote(target, text) {
+    const key = getAnnotationKey(target);
+    const trimmed = text.trim();
+    const notes = new Map(store.getState().notes);
+    
+    if (trimmed) {
+        notes.set(key, { text: trimmed, updatedAt: new Date().toISOString() });
+        store.setState({ notes }, { type: 'annotations/note' });
+        return;
+    }
+    
+    if (!notes.delete(key)) return;
+    
+    // A deleted note can't be retyped from memory, so it can be undone
+    store.setState({ notes }, { type: 'annotations/deleteNote', undoable: true });
+    offerUndo(translate('annotations.noteDeleted', { title: getAnnotationTitle(target) }));
+}
+
+function renderAnnotationsPanel() {
+    const list = elements.annotationsList;
+    list.innerHTML = '';
+    
+    const { bookmarks, notes } = store.getState();
+    
+    getAnnotationTargets().forEach(target => {
+        const key = getAnnotationKey(target);
+        const bookmarked = bookmarks.has(key);
+        const note = notes.get(key);
+        if (!bookmarked && !note) return;
+        
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'annotation-item';
+        
+        const title = document.createElement('span');
+        title.className = 'annotation-item-title';
+        title.textContent = `${bookmarked ? '★' : '📝'} ${getAnnotationTitle(target)}`;
+        button.appendChild(title);
+        
+        if (target.classList.contains('card')) {
+            const meta = document.createElement('span');
+            meta.className = 'annotation-item-meta';
+            meta.textContent = getSectionTitle(target.closest('.section'));
+            button.appendChild(meta);
+        }
+        
+        if (note) {
+            const excerpt = document.createElement('span');
+            excerpt.className = 'annotation-item-note';
+            excerpt.textContent = note.text.replace(/\s+/g, ' ');
+            button.appendChild(excerpt);
+        }
+        
+        button.addEventListener('click', () => openAnnotation(target));
+        item.appendChild(button);
+        list.appendChild(item);
+    });
+    
+    elements.annotationsEmpty.hidden = list.children.length > 0;
+}
+
+function openAnnotation(target) {
+    revealCard(target);
+    
+    scrollToSection(target.id);
+    
+    // Close sidebar on mobile
+    if (window.innerWidth <= 768) {
+        closeSidebar();
+    }
+}
+
+// Saving is done by the persist() middleware registered in initializeAnnotations
+function loadAnnotations() {
+    try {
+        store.setState({
+            bookmarks: parseAnnotations(localStorage.getItem(CONFIG.STORAGE_KEYS.BOOKMARKS)),
+            notes: parseAnnotations(localStorage.getItem(CONFIG.STORAGE_KEYS.NOTES))
+        }, { type: 'annotations/load', persist: false });
+    } catch (e) {
+        console.error('Error loading bookmarks and notes:', e);
+    }
+}
+
+function parseAnnotations(value) {
+    const saved = JSON.parse(value);
+    return new Map(Object.entries((saved && saved.items) || {}));
+}
+
+// Keys whose cards no longer exist are kept so content changes don't lose notes
+function serializeAnnotations(items) {
+    return JSON.stringify({
+        version: 1,
+        items: Object.fromEntries(items)
+    });
+}
+
+// Renders the small Markdown subset used by notes and Markdown content
+// (paragraphs, headings, lists, fenced code, inline code, emphasis and links)
+// without innerHTML
+export function renderMarkdown(text) {
+    const fragment = document.createDocumentFragment();
+    let paragraph = null;
+    let list = null;
+    let codeBlock = null;
+    
+    text.replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+        if (codeBlock) {
+            if (/^```/.test(line)) {
+                codeBlock = null;
+            } else {
+                codeBlock.textContent += `${line}\n`;
+            }
+            return;
+        }
+        
+        if (/^```/.test(line)) {
+            const pre = document.createElement('pre');
+            codeBlock = document.createElement('code');
+            pre.appendChild(codeBlock);
+            fragment.appendChild(pre);
+            paragraph = list = null;
+            return;
+        }
+        
+        if (!line.trim()) {
+            paragraph = list = null;
+            return;
+        }
+        
+        const heading = line.match(/^#{1,6}\s+(.*)$/);
+        if (heading) {
+            const element = document.createElement('h4');
+            appendNoteInline(element, heading[1]);
+            fragment.appendChild(element);
+            paragraph = list = null;
+            return;
+        }
+        
+        const listItem = line.match(/^\s*(?:[-*+]|(\d+)[.)])\s+(.*)$/);
+        if (listItem) {
+            const tag = listItem[1] ? 'OL' : 'UL';
+            if (!list || list.tagName !== tag) {
+                list = document.createElement(tag);
+                fragment.appendChild(list);
+            }
+            const item = document.createElement('li');
+            appendNoteInline(item, listItem[2]);
+            list.appendChild(item);
+            paragraph = null;
+            return;
+        }
+        
+        if (paragraph) {
+            paragraph.appendChild(document.createElement('br'));
+        } else {
+            paragraph = document.createElement('p');
+            fragment.appendChild(paragraph);
+            list = null;
+        }
+        appendNoteInline(paragraph, line);
+    });
+    
+    return fragment;
+}
+
+function appendNoteInline(container, text) {
+    const pattern = /`([^`]+)`|\*\*([^*]+)\*\*|\*([^*]+)\*|_([^_]+)_|\[([^\]]+)\]\(([^)\s]+)\)/g;
+    let lastIndex = 0;
+    let match;
+    
+    while ((match = pattern.exec(text)) !== null) {
+        const [raw, code, strong, em, underscoreEm, linkText, href] = match;
+        let node;
+        
+        if (code) {
+            node = document.createElement('code');
+            node.textContent = code;
+        } else if (strong) {
+            node = document.createElement('strong');
+            node.textContent = strong;
+        } else if (em || underscoreEm) {
+            node = document.createElement('em');
+            node.textContent = em || underscoreEm;
+        } else if (/^(https?:\/\/|#)/i.test(href)) {
+            node = document.createElement('a');
+            node.href = href;
+            node.textContent = linkText;
+            if (!href.startsWith('#')) {
+                node.target = '_blank';
+                node.rel = 'noopener noreferrer';
+            }
+        } else {
+            // Only http(s) and in-page links are allowed
+            node = document.createTextNode(raw);
+        }
+        
+        container.append(text.slice(lastIndex, match.index), node);
+        lastIndex = pattern.lastIndex;
+    }
+    
+    container.append(text.slice(lastIndex));
+}
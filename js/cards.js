@@ -0,0 +1,227 @@
+// ============================================
+// Web Dev Documentation Portal - Expandable Cards
+// ============================================
+
+import { CONFIG } from './config.js';
+import { elements, state } from './state.js';
+import { listen, onDestroy } from './lifecycle.js';
+import { emit } from './events.js';
+import { store } from './store.js';
+import { translate } from './i18n.js';
+import { allowsDecorativeMotion } from './reading.js';
+import { getSectionTitle } from './search.js';
+import { getCardTitle, isCardCollapsed, offerUndo } from './progress.js';
+import { openModal } from './dialogs.js';
+import { trackInteraction } from './analytics.js';
+import { announce } from './accessibility.js';
+
+// ==================== Expandable Cards ====================
+// Collapsible cards and FAQ entries are disclosures: the header acts as a
+// button that controls the panel below it. Clicks and keys are handled by
+// delegated listeners, so cards added later work without extra wiring.
+const DISCLOSURE_CARD_SELECTOR = '.expandable, .faq-card';
+const DISCLOSURE_TOGGLE_SELECTOR = '.expandable > .card-header, .faq-card > .faq-question';
+
+export function initializeExpandables() {
+    loadExpandedCards();
+    
+    document.querySelectorAll(DISCLOSURE_CARD_SELECTOR).forEach(card => {
+        setupDisclosure(card);
+        setCardExpanded(card, state.expandedCards.has(card.id), { persist: false });
+    });
+    
+    listen(elements.contentSections, 'click', (e) => {
+        const toggle = e.target.closest(DISCLOSURE_TOGGLE_SELECTOR);
+        if (toggle) {
+            toggleExpand(toggle);
+        }
+    });
+    
+    listen(elements.contentSections, 'keydown', (e) => {
+        if ((e.key === 'Enter' || e.key === ' ') && e.target.matches(DISCLOSURE_TOGGLE_SELECTOR)) {
+            e.preventDefault();
+            toggleExpand(e.target);
+        }
+    });
+    
+    addSectionDisclosureControls();
+}
+
+function setupDisclosure(card) {
+    const toggle = getDisclosureToggle(card);
+    const panel = card.querySelector(':scope > .card-content, :scope > .faq-answer');
+    if (!toggle || !panel) return;
+    
+    panel.id = `${card.id}-panel`;
+    toggle.setAttribute('role', 'button');
+    toggle.setAttribute('tabindex', '0');
+    toggle.setAttribute('aria-controls', panel.id);
+    
+    const icon = toggle.querySelector('.expand-icon');
+    if (icon) {
+        icon.setAttribute('aria-hidden', 'true');
+    }
+}
+
+function getDisclosureToggle(card) {
+    return card.querySelector(':scope > .card-header, :scope > .faq-question');
+}
+
+function setCardExpanded(card, expanded, { persist = true } = {}) {
+    const changed = card.classList.contains('expanded') !== expanded;
+    card.classList.toggle('expanded', expanded);
+    
+    const toggle = getDisclosureToggle(card);
+    if (toggle) {
+        toggle.setAttribute('aria-expanded', expanded ? 'true' : 'false');
+    }
+    
+    if (persist) {
+        if (expanded) {
+            state.expandedCards.add(card.id);
+        } else {
+            state.expandedCards.delete(card.id);
+        }
+        saveExpandedCards();
+    }
+    
+    if (changed) {
+        emit('card:toggled', { cardId: card.id, expanded });
+    }
+}
+
+// Opens the collapsed card containing element, if any (search hits, bookmarks, deep links)
+export function revealCard(element) {
+    const card = element && element.closest(DISCLOSURE_CARD_SELECTOR);
+    if (card && isCardCollapsed(card)) {
+        setCardExpanded(card, true);
+    }
+}
+
+// Also exposed as window.toggleExpand for custom content (see main.js)
+export function toggleExpand(element) {
+    const card = element.closest(DISCLOSURE_CARD_SELECTOR);
+    if (!card) return;
+    
+    const expanded = isCardCollapsed(card);
+    setCardExpanded(card, expanded);
+    announce(translate(expanded ? 'cards.expanded' : 'cards.collapsed', { title: getCardTitle(card) }));
+    
+    if (expanded) {
+        trackInteraction('card_expand', card.id);
+        // Make the address bar a shareable link to the open card
+        history.replaceState(null, '', `#${card.id}`);
+    }
+}
+
+function addSectionDisclosureControls() {
+    elements.sections.forEach(section => {
+        if (section.querySelectorAll(DISCLOSURE_CARD_SELECTOR).length < 2) return;
+        
+        const title = getSectionTitle(section);
+        const controls = document.createElement('div');
+        controls.className = 'disclosure-controls';
+        
+        [['expandAll', true], ['collapseAll', false]].forEach(([action, expanded]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'disclosure-control-btn';
+            button.textContent = translate(`cards.${action}`);
+            button.setAttribute('aria-label', translate(`cards.${action}In`, { section: title }));
+            button.addEventListener('click', () => setAllCardsExpanded(expanded, section));
+            controls.appendChild(button);
+        });
+        
+        section.querySelector('.section-header').appendChild(controls);
+    });
+}
+
+function loadExpandedCards() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEYS.EXPANDED_CARDS));
+        state.expandedCards = new Set((saved && saved.items) || []);
+    } catch (e) {
+        console.error('Error loading expanded cards:', e);
+    }
+}
+
+function saveExpandedCards() {
+    localStorage.setItem(CONFIG.STORAGE_KEYS.EXPANDED_CARDS, JSON.stringify({
+        version: 1,
+        items: Array.from(state.expandedCards)
+    }));
+}
+
+// ==================== Scroll Animations ====================
+export function initializeScrollAnimations() {
+    // Intersection Observer for fade-in animations
+    const observerOptions = {
+        threshold: 0.1,
+        rootMargin: '0px 0px -100px 0px'
+    };
+    
+    const observer = new IntersectionObserver((entries) => {
+        // Checked on every callback so switching reading mode on stops it at once
+        if (!allowsDecorativeMotion()) return;
+        
+        entries.forEach(entry => {
+            if (entry.isIntersecting) {
+                entry.target.style.opacity = '1';
+                entry.target.style.animation = 'fadeIn 0.8s ease forwards';
+            }
+        });
+    }, observerOptions);
+    
+    // Observe all sections
+    elements.sections.forEach(section => {
+        observer.observe(section);
+    });
+    
+    // Observe cards for stagger effect
+    const cards = document.querySelectorAll('.card');
+    cards.forEach((card, index) => {
+        if (allowsDecorativeMotion()) {
+            card.style.animationDelay = `${index * 0.1}s`;
+        }
+        observer.observe(card);
+    });
+    onDestroy(() => observer.disconnect());
+}
+
+// ==================== Bulk Card Actions ====================
+export function setAllCardsExpanded(expanded, scope = document) {
+    scope.querySelectorAll(DISCLOSURE_CARD_SELECTOR).forEach(card => {
+        setCardExpanded(card, expanded, { persist: false });
+        if (expanded) {
+            state.expandedCards.add(card.id);
+        } else {
+            state.expandedCards.delete(card.id);
+        }
+    });
+    saveExpandedCards();
+    
+    if (scope === document) {
+        announce(translate(expanded ? 'cards.allExpanded' : 'cards.allCollapsed'));
+    } else {
+        announce(translate(expanded ? 'cards.allExpandedIn' : 'cards.allCollapsedIn', { section: getSectionTitle(scope) }));
+    }
+}
+
+export function confirmResetProgress() {
+    openModal({
+        title: translate('progress.resetTitle'),
+        message: translate('progress.resetMessage'),
+        actions: [
+            { label: translate('common.cancel') },
+            { label: translate('progress.reset'), primary: true, onClick: resetProgress }
+        ]
+    });
+}
+
+function resetProgress() {
+    state.cardDwell.clear();
+    store.setState({ visitedSections: new Set(), cardProgress: new Map() }, { type: 'progress/reset', undoable: true });
+    
+    offerUndo(translate('progress.resetDone'));
+    console.log('🔄 Progress reset');
+}
@@ -0,0 +1,73 @@
+// ============================================
+// Web Dev Documentation Portal - Code Blocks
+// ============================================
+
+import { translate } from './i18n.js';
+import { createPlaygroundButton, getCodeBlockId } from './playground.js';
+import {
+    areLineNumbersEnabled, createLineNumbersButton, getCodeSource, highlightCodeBlock,
+    LANGUAGE_LABELS
+} from './syntax-highlighting.js';
+import { trackInteraction } from './analytics.js';
+
+// ==================== Copy Code Functionality ====================
+export function initializeCodeBlocks() {
+    const codeBlocks = document.querySelectorAll('.code-example');
+    
+    codeBlocks.forEach(block => {
+        highlightCodeBlock(block);
+        block.classList.toggle('line-numbers', areLineNumbersEnabled());
+        
+        const toolbar = document.createElement('div');
+        toolbar.className = 'code-toolbar';
+        
+        const languageLabel = document.createElement('span');
+        languageLabel.className = 'code-lang-label';
+        languageLabel.textContent = LANGUAGE_LABELS[block.dataset.lang] || block.dataset.lang;
+        toolbar.appendChild(languageLabel);
+        toolbar.appendChild(createLineNumbersButton());
+        
+        // Add copy button
+        const copyButton = document.createElement('button');
+        copyButton.className = 'code-copy-btn';
+        copyButton.textContent = translate('code.copy');
+        copyButton.setAttribute('aria-label', translate('code.copyLabel'));
+        
+        copyButton.addEventListener('click', () => {
+            // Always the plain source, never the highlighting markup
+            const code = getCodeSource(block);
+            copyToClipboard(code);
+            trackInteraction('code_copy', getCodeBlockId(block));
+            
+            // Visual feedback
+            copyButton.textContent = translate('code.copied');
+            setTimeout(() => {
+                copyButton.textContent = translate('code.copy');
+            }, 2000);
+        });
+        
+        toolbar.appendChild(copyButton);
+        toolbar.appendChild(createPlaygroundButton(block));
+        
+        block.style.position = 'relative';
+        block.appendChild(toolbar);
+    });
+}
+
+export function copyToClipboard(text) {
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(text).catch(err => {
+            console.error('Failed to copy:', err);
+        });
+    } else {
+        // Fallback for older browsers
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
+        document.execCommand('copy');
+        document.body.removeChild(textarea);
+    }
+}
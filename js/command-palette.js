@@ -0,0 +1,353 @@
+// ============================================
+// Web Dev Documentation Portal - Command Palette
+// ============================================
+
+import { elements, state } from './state.js';
+import { translate } from './i18n.js';
+import {
+    getThemePreferenceLabel, setThemePreference, THEME_REGISTRY, toggleTheme
+} from './theme.js';
+import { setFocusMode, setReadingMode } from './reading.js';
+import { scrollToSection } from './navigation.js';
+import { clearSearch, getSectionTitle } from './search.js';
+import { confirmResetProgress, setAllCardsExpanded } from './cards.js';
+import { exportProgressFile, undoLastChange } from './progress.js';
+import { openPrintDialog } from './print.js';
+import { getPathCommands } from './paths.js';
+import { startQuizSession } from './quiz.js';
+import { scrollToTop } from './utils.js';
+import { navigateSection, showKeyboardShortcuts } from './keyboard.js';
+import { areLineNumbersEnabled, setLineNumbers } from './syntax-highlighting.js';
+import { openReadingStats, trackInteraction } from './analytics.js';
+import { togglePerformanceOverlay } from './performance.js';
+
+// ==================== Command Palette ====================
+// Commands are { id, title, group, keywords, shortcut, run }. Sections,
+// themes and learning paths are listed fresh each time the palette opens,
+// everything else is registered once (plugins can add more via
+// WebDevDocs.registerCommand).
+const commands = new Map();
+
+const commandPalette = {
+    overlay: null,
+    input: null,
+    list: null,
+    results: [],
+    activeIndex: 0,
+    previousFocus: null
+};
+
+export function initializeCommandPalette() {
+    [
+        { id: 'section.next', group: 'navigation', shortcut: 'Alt + ↓', run: () => navigateSection('next') },
+        { id: 'section.prev', group: 'navigation', shortcut: 'Alt + ↑', run: () => navigateSection('prev') },
+        { id: 'scroll.top', group: 'navigation', keywords: 'home start', run: scrollToTop },
+        { id: 'search.focus', group: 'search', keywords: 'find', shortcut: 'Ctrl/⌘ + K', run: () => elements.searchInput.focus() },
+        { id: 'search.clear', group: 'search', run: clearSearch },
+        { id: 'theme.toggle', group: 'theme', keywords: 'dark light mode', run: toggleTheme },
+        { id: 'reading.toggle', group: 'view', keywords: 'zen distraction free layout', run: () => setReadingMode(!state.reading.mode) },
+        { id: 'focus.toggle', group: 'view', keywords: 'dim spotlight', run: () => setFocusMode(!state.reading.focus) },
+        { id: 'cards.expand', group: 'cards', keywords: 'open', run: () => setAllCardsExpanded(true) },
+        { id: 'cards.collapse', group: 'cards', keywords: 'close fold', run: () => setAllCardsExpanded(false) },
+        { id: 'progress.reset', group: 'progress', keywords: 'clear visited read understood', run: confirmResetProgress },
+        { id: 'progress.export', group: 'progress', keywords: 'download backup', run: exportProgressFile },
+        { id: 'progress.import', group: 'progress', keywords: 'upload restore', run: () => elements.importProgressInput.click() },
+        { id: 'progress.undo', group: 'progress', keywords: 'revert restore reset note', run: undoLastChange },
+        { id: 'print.sections', group: 'tools', keywords: 'pdf study packet', run: openPrintDialog },
+        { id: 'stats.open', group: 'progress', keywords: 'analytics dashboard', run: openReadingStats },
+        { id: 'code.lineNumbers', group: 'code', run: () => setLineNumbers(!areLineNumbersEnabled()) },
+        { id: 'performance.overlay', group: 'tools', keywords: 'web vitals', shortcut: 'Alt + Shift + P', run: togglePerformanceOverlay },
+        { id: 'language.switch', group: 'tools', keywords: 'language translate hindi', run: () => elements.languageSelect.focus() },
+        { id: 'help.shortcuts', group: 'help', keywords: 'keys help', shortcut: '?', run: showKeyboardShortcuts }
+    ].forEach(command => registerCommand(localizeCommand(command)));
+    
+    if (elements.startQuizBtn) {
+        registerCommand(localizeCommand({ id: 'quiz.start', group: 'quiz', keywords: 'practice questions', run: () => startQuizSession() }));
+    }
+}
+
+// Built-in command titles and groups come from the catalog ("command.<id>",
+// "commandGroup.<group>"); the English keywords stay so both languages match
+function localizeCommand(command) {
+    return {
+        ...command,
+        title: translate(`command.${command.id}`),
+        group: translate(`commandGroup.${command.group}`)
+    };
+}
+
+export function registerCommand({ id, title, group = 'Actions', keywords = '', shortcut = '', run }) {
+    if (!id || !title || typeof run !== 'function') {
+        throw new Error('A command needs an id, a title and a run function');
+    }
+    
+    commands.set(id, { id, title, group, keywords, shortcut, run });
+    return () => commands.delete(id);
+}
+
+function getCommands() {
+    const sectionCommands = Array.from(elements.sections).map(section => ({
+        id: `goto.${section.id}`,
+        title: translate('command.goTo', { section: getSectionTitle(section) }),
+        group: translate('commandGroup.navigation'),
+        keywords: section.id,
+        run: () => scrollToSection(section.id)
+    }));
+    
+    const themeCommands = ['system', ...Object.keys(THEME_REGISTRY)].map(id => ({
+        id: `theme.${id}`,
+        title: translate('command.theme', { theme: getThemePreferenceLabel(id) }),
+        group: translate('commandGroup.theme'),
+        keywords: 'appearance colour color',
+        run: () => setThemePreference(id)
+    }));
+    
+    return [...sectionCommands, ...themeCommands, ...getPathCommands(), ...commands.values()];
+}
+
+// Subsequence match: each query character must appear in order. Runs of
+// consecutive characters and matches at word starts score higher.
+function fuzzyMatch(query, text) {
+    const needle = query.toLowerCase().replace(/\s+/g, '');
+    const haystack = text.toLowerCase();
+    const indices = [];
+    let score = 0;
+    let position = 0;
+    
+    for (const char of needle) {
+        const index = haystack.indexOf(char, position);
+        if (index === -1) return null;
+        
+        score += 1;
+        if (index === indices[indices.length - 1] + 1) score += 2;
+        if (index === 0 || /[\s:\-/.]/.test(haystack[index - 1])) score += 3;
+        
+        indices.push(index);
+        position = index + 1;
+    }
+    
+    // Prefer shorter titles when scores tie
+    return { score: score - haystack.length / 1000, indices };
+}
+
+function filterCommands(query) {
+    const all = getCommands();
+    if (!query.trim()) {
+        return all.map(command => ({ command, indices: [] }));
+    }
+    
+    return all
+        .map(command => {
+            const match = fuzzyMatch(query, `${command.title} ${command.keywords}`);
+            return match && { command, score: match.score, indices: match.indices };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score);
+}
+
+export function openCommandPalette() {
+    if (commandPalette.overlay) {
+        commandPalette.input.focus();
+        return;
+    }
+    
+    commandPalette.previousFocus = document.activeElement;
+    
+    const overlay = document.createElement('div');
+    overlay.className = 'command-palette-overlay';
+    
+    const dialog = document.createElement('div');
+    dialog.className = 'command-palette glass-card';
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('aria-label', translate('palette.label'));
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'command-palette-input';
+    input.placeholder = translate('palette.placeholder');
+    input.setAttribute('role', 'combobox');
+    input.setAttribute('aria-expanded', 'true');
+    input.setAttribute('aria-controls', 'commandPaletteList');
+    input.setAttribute('aria-autocomplete', 'list');
+    input.setAttribute('autocomplete', 'off');
+    input.spellcheck = false;
+    
+    const list = document.createElement('ul');
+    list.className = 'command-palette-list';
+    list.id = 'commandPaletteList';
+    list.setAttribute('role', 'listbox');
+    list.setAttribute('aria-label', translate('palette.commands'));
+    
+    const hint = document.createElement('div');
+    hint.className = 'command-palette-hint';
+    hint.textContent = translate('palette.hint');
+    
+    dialog.append(input, list, hint);
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+    
+    Object.assign(commandPalette, { overlay, input, list });
+    
+    input.addEventListener('input', () => renderCommandResults(input.value));
+    input.addEventListener('keydown', handleCommandPaletteKeydown);
+    list.addEventListener('click', (e) => {
+        const option = e.target.closest('[role="option"]');
+        if (option) runCommandAt(Number(option.dataset.index));
+    });
+    list.addEventListener('mousemove', (e) => {
+        const option = e.target.closest('[role="option"]');
+        if (option) setActiveCommand(Number(option.dataset.index), false);
+    });
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) closeCommandPalette();
+    });
+    
+    renderCommandResults('');
+    input.focus();
+}
+
+function closeCommandPalette({ restoreFocus = true } = {}) {
+    if (!commandPalette.overlay) return;
+    
+    commandPalette.overlay.remove();
+    commandPalette.overlay = null;
+    commandPalette.results = [];
+    
+    const previousFocus = commandPalette.previousFocus;
+    commandPalette.previousFocus = null;
+    if (restoreFocus && previousFocus && previousFocus.focus) {
+        previousFocus.focus();
+    }
+}
+
+function handleCommandPaletteKeydown(e) {
+    const count = commandPalette.results.length;
+    
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        if (count === 0) return;
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setActiveCommand((commandPalette.activeIndex + step + count) % count);
+    } else if (e.key === 'Home' && e.ctrlKey || e.key === 'PageUp') {
+        e.preventDefault();
+        setActiveCommand(0);
+    } else if (e.key === 'End' && e.ctrlKey || e.key === 'PageDown') {
+        e.preventDefault();
+        setActiveCommand(count - 1);
+    } else if (e.key === 'Enter') {
+        e.preventDefault();
+        runCommandAt(commandPalette.activeIndex);
+    } else if (e.key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation();
+        closeCommandPalette();
+    } else if (e.key === 'Tab') {
+        // The input is the only focusable element; keep focus inside the dialog
+        e.preventDefault();
+    }
+}
+
+function renderCommandResults(query) {
+    const { list } = commandPalette;
+    commandPalette.results = filterCommands(query);
+    list.innerHTML = '';
+    
+    if (commandPalette.results.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'command-palette-empty';
+        empty.textContent = translate('palette.noMatches', { query });
+        list.appendChild(empty);
+        commandPalette.input.removeAttribute('aria-activedescendant');
+        return;
+    }
+    
+    commandPalette.results.forEach(({ command, indices }, index) => {
+        const option = document.createElement('li');
+        option.className = 'command-option';
+        option.id = `command-option-${index}`;
+        option.dataset.index = index;
+        option.setAttribute('role', 'option');
+        
+        const title = document.createElement('span');
+        title.className = 'command-title';
+        appendFuzzyHighlight(title, command.title, indices);
+        
+        const group = document.createElement('span');
+        group.className = 'command-group';
+        group.textContent = command.group;
+        
+        option.append(title, group);
+        
+        if (command.shortcut) {
+            const shortcut = document.createElement('kbd');
+            shortcut.className = 'command-shortcut';
+            shortcut.textContent = command.shortcut;
+            option.appendChild(shortcut);
+        }
+        
+        list.appendChild(option);
+    });
+    
+    setActiveCommand(0);
+}
+
+// Wraps matched characters in <mark>; indices past the title belong to keywords
+function appendFuzzyHighlight(container, text, indices) {
+    const matched = new Set(indices.filter(index => index < text.length));
+    let run = '';
+    let runMatched = false;
+    
+    const flush = () => {
+        if (!run) return;
+        if (runMatched) {
+            const mark = document.createElement('mark');
+            mark.textContent = run;
+            container.appendChild(mark);
+        } else {
+            container.append(run);
+        }
+        run = '';
+    };
+    
+    Array.from(text).forEach((char, index) => {
+        if (matched.has(index) !== runMatched) {
+            flush();
+            runMatched = matched.has(index);
+        }
+        run += char;
+    });
+    flush();
+}
+
+function setActiveCommand(index, scroll = true) {
+    const options = commandPalette.list.querySelectorAll('[role="option"]');
+    if (!options[index]) return;
+    
+    options.forEach((option, i) => {
+        option.classList.toggle('active', i === index);
+        option.setAttribute('aria-selected', i === index ? 'true' : 'false');
+    });
+    
+    commandPalette.activeIndex = index;
+    commandPalette.input.setAttribute('aria-activedescendant', options[index].id);
+    
+    if (scroll) {
+        options[index].scrollIntoView({ block: 'nearest' });
+    }
+}
+
+function runCommandAt(index) {
+    const result = commandPalette.results[index];
+    if (!result) return;
+    
+    // Close first so commands that move focus (search, dialogs) keep it
+    closeCommandPalette();
+    trackInteraction('command', result.command.id);
+    
+    try {
+        result.command.run();
+    } catch (e) {
+        console.error(`Command "${result.command.id}" failed:`, e);
+    }
+}
@@ -0,0 +1,117 @@
+// ============================================
+// Web Dev Documentation Portal - Configuration
+// ============================================
+
+// ==================== Constants & Configuration ====================
+export const CONFIG = {
+    STORAGE_KEYS: {
+        THEME: 'webdev-docs-theme',
+        ACCENT: 'webdev-docs-accent',
+        PROGRESS: 'webdev-docs-progress',
+        VISITED_SECTIONS: 'webdev-docs-visited',
+        QUIZ: 'webdev-docs-quiz',
+        PLAYGROUND: 'webdev-docs-playground',
+        LINE_NUMBERS: 'webdev-docs-line-numbers',
+        ANALYTICS_CONSENT: 'webdev-docs-analytics-consent',
+        BOOKMARKS: 'webdev-docs-bookmarks',
+        NOTES: 'webdev-docs-notes',
+        EXPANDED_CARDS: 'webdev-docs-expanded-cards',
+        LANGUAGE: 'webdev-docs-language',
+        READING: 'webdev-docs-reading',
+        LEARNING_PATH: 'webdev-docs-path'
+    },
+    THEMES: {
+        DARK: 'dark-theme',
+        LIGHT: 'light-theme',
+        HIGH_CONTRAST: 'high-contrast-theme',
+        SEPIA: 'sepia-theme'
+    },
+    DEFAULT_ACCENT: '#667eea',
+    READING: {
+        DEFAULTS: { mode: false, focus: false, fontSize: 100, lineHeight: 1.6, width: 'full' },
+        // Font size is a percentage of the 16px base
+        FONT_SIZE: { MIN: 87.5, MAX: 150, STEP: 12.5 },
+        LINE_HEIGHT: { MIN: 1.4, MAX: 2.2, STEP: 0.1 },
+        WIDTHS: { narrow: '680px', medium: '880px', wide: '1100px', full: 'none' }
+    },
+    STORE: {
+        // Undoable actions kept per session
+        HISTORY_LIMIT: 20
+    },
+    DEEP_LINKS: {
+        FLASH_DURATION: 1600,
+        COPIED_FEEDBACK_DURATION: 2000
+    },
+    SEARCH: {
+        DEBOUNCE_DELAY: 150,
+        MAX_RESULTS: 8,
+        SNIPPET_RADIUS: 60,
+        TITLE_WEIGHT: 5,
+        PHRASE_BOOST: 1.5,
+        PREFIX_QUALITY: 0.7,
+        FUZZY_QUALITY: 0.4,
+        FUZZY_MIN_LENGTH: 4,
+        MIN_HIGHLIGHT_LENGTH: 2,
+        IGNORE_SELECTOR: 'script, .code-toolbar, .code-playground, .expand-icon, .card-understood-btn, .change-badge, .section-updated, .quiz-launcher, .disclosure-controls, .annotations, .perf-live, .anchor-link',
+        TARGET_HIGHLIGHT_DURATION: 2000
+    },
+    PROGRESS: {
+        SCHEMA_VERSION: 2,
+        EXPORT_FORMAT: 'webdev-docs-progress',
+        SHARE_HASH_PREFIX: '#progress=',
+        DWELL_TICK: 1000,
+        DWELL_PER_WORD: 60,
+        MIN_DWELL: 4000,
+        MAX_DWELL: 20000
+    },
+    QUIZ: {
+        SESSION_SIZE: 10,
+        HISTORY_LIMIT: 20,
+        INITIAL_EASE: 2.5,
+        MIN_EASE: 1.3
+    },
+    PLAYGROUND: {
+        SAVE_DELAY: 500,
+        CSS_FIXTURE: '<div class="container"><div class="item">1</div><div class="item">2</div><div class="item">3</div></div>'
+    },
+    TOAST_DURATION: 4000,
+    I18N: {
+        BASE_PATH: 'locales/',
+        DEFAULT_LANGUAGE: 'en'
+    },
+    CONTENT: {
+        BASE_PATH: 'content/'
+    },
+    PERFORMANCE: {
+        // [good, poor] boundaries from web.dev
+        THRESHOLDS: {
+            LCP: [2500, 4000],
+            CLS: [0.1, 0.25],
+            INP: [200, 500],
+            FCP: [1800, 3000],
+            TTFB: [800, 1800]
+        },
+        INP_DURATION_THRESHOLD: 40,
+        SLOWEST_RESOURCES: 3
+    },
+    ANALYTICS: {
+        // Set with <meta name="analytics-endpoint" content="...">; nothing is sent without one
+        ENDPOINT: getMetaContent('analytics-endpoint'),
+        DB_NAME: 'webdev-docs-analytics',
+        FLUSH_INTERVAL: 30000,
+        BATCH_SIZE: 50,
+        MAX_EVENTS: 5000,
+        MIN_SECTION_TIME: 1000,
+        SEARCH_SETTLE_DELAY: 1000
+    },
+    ANIMATION_DURATION: 300,
+    SCROLL_OFFSET: 100
+};
+
+// Read a <meta name="..."> value from the page head. There is no page when
+// tools/build.js imports this file in Node.
+function getMetaContent(name) {
+    if (typeof document === 'undefined') return null;
+    const meta = document.querySelector(`meta[name="${name}"]`);
+    return meta ? meta.content : null;
+}
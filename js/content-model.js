@@ -0,0 +1,124 @@
+// ============================================
+// Web Dev Documentation Portal - Content Files
+// ============================================
+
+// ==================== Parsing & Ids ====================
+// Nothing here touches the page, so tools/build.js reads the content with the
+// same code the browser does.
+
+// Turn a heading into a URL-friendly slug
+export function slugify(text) {
+    return text
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\p{L}\p{M}\p{N}]+/gu, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+// Ids a section's cards get in the page: an explicit "id", or the section id
+// and the card title, with the same suffixing as getUniqueId for repeated titles
+export function getCardIds(section) {
+    const seenIds = new Map();
+    
+    return (section.cards || []).map(card => {
+        const baseId = `${section.id}-${slugify(card.title)}`;
+        const count = (seenIds.get(baseId) || 0) + 1;
+        seenIds.set(baseId, count);
+        
+        return card.id || (count > 1 ? `${baseId}-${count}` : baseId);
+    });
+}
+
+// Card ids come from the untranslated titles so progress, bookmarks and
+// deep links are the same in every language. Quiz questions stay untranslated
+// because review history is keyed by them.
+export function mergeSectionTranslation(section, translation) {
+    const { id, quiz, cards: translatedCards = [], ...fields } = translation;
+    const cardIds = getCardIds(section);
+    
+    return {
+        ...section,
+        ...fields,
+        updated: section.updated,
+        cards: (section.cards || []).map((card, index) => ({
+            ...card,
+            ...(translatedCards[index] || {}),
+            id: cardIds[index],
+            type: card.type,
+            // Dates follow the English content; a translation is not a change
+            added: card.added,
+            updated: card.updated
+        }))
+    };
+}
+
+const FRONT_MATTER = /^---\n([\s\S]*?)\n---\n?([\s\S]*)$/;
+
+// Front matter holds the section fields and every "## " heading starts a card.
+// "cardType: faq" in the front matter renders the cards as FAQ entries. A card
+// may open with front matter of its own, for its "added", "updated" and
+// "changes" fields.
+export function parseMarkdownSection(text) {
+    const match = text.replace(/\r\n?/g, '\n').match(FRONT_MATTER);
+    if (!match) {
+        throw new Error('Markdown sections must start with front matter');
+    }
+    
+    const { cardType, ...section } = parseFrontMatterFields(match[1]);
+    
+    section.cards = match[2].split(/^## /m).slice(1).map(chunk => {
+        const lineEnd = chunk.indexOf('\n');
+        const markdown = lineEnd === -1 ? '' : chunk.slice(lineEnd + 1);
+        const cardMatch = markdown.match(FRONT_MATTER);
+        const card = {
+            ...(cardMatch ? parseFrontMatterFields(cardMatch[1]) : {}),
+            title: (lineEnd === -1 ? chunk : chunk.slice(0, lineEnd)).trim(),
+            body: parseMarkdownBlocks(cardMatch ? cardMatch[2] : markdown)
+        };
+        if (cardType) {
+            card.type = cardType;
+        }
+        return card;
+    });
+    
+    return section;
+}
+
+function parseFrontMatterFields(text) {
+    const fields = {};
+    text.split('\n').forEach(line => {
+        const separator = line.indexOf(':');
+        if (separator > 0) {
+            fields[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+        }
+    });
+    return fields;
+}
+
+// Fenced code becomes a code block so it gets the toolbar, highlighting and playground
+function parseMarkdownBlocks(markdown) {
+    const blocks = [];
+    const fence = /^```([\w-]*)\n([\s\S]*?)\n```[ \t]*$/gm;
+    let lastIndex = 0;
+    let match;
+    
+    const pushText = text => {
+        if (text.trim()) {
+            blocks.push({ type: 'markdown', text: text.trim() });
+        }
+    };
+    
+    while ((match = fence.exec(markdown)) !== null) {
+        pushText(markdown.slice(lastIndex, match.index));
+        blocks.push({ type: 'code', lang: match[1] || null, code: match[2] });
+        lastIndex = fence.lastIndex;
+    }
+    pushText(markdown.slice(lastIndex));
+    
+    return blocks;
+}
+
+export function joinContentLines(value) {
+    return Array.isArray(value) ? value.join('\n') : (value || '');
+}
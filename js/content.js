@@ -0,0 +1,413 @@
+// ============================================
+// Web Dev Documentation Portal - Content Model
+// ============================================
+
+import { CONFIG } from './config.js';
+import { elements, state } from './state.js';
+import { formatDate, formatNumber, hasTranslation, translate } from './i18n.js';
+import { getCardTitle } from './progress.js';
+import { renderMarkdown } from './annotations.js';
+import { ensureCardId, ensureHeadingIds } from './utils.js';
+import {
+    joinContentLines, mergeSectionTranslation, parseMarkdownSection, slugify
+} from './content-model.js';
+
+// ==================== Content Model ====================
+// Sections, cards, code examples and FAQs live in content/. site.json lists the
+// section files in order; each is either JSON or Markdown with front matter.
+// A card body is a list of blocks:
+//   { type: 'html', html }            trusted markup from the content files
+//   { type: 'markdown', text }
+//   { type: 'code', lang, code, previewHtml? }
+//   { type: 'element', tag, attrs, children }   wrapper around nested blocks
+// Multi-line html, text and code may be given as an array of lines.
+// Sections carry an "updated" date and cards may carry "added", "updated" and
+// a short "changes" note (dates as YYYY-MM-DD); see whats-new.js.
+export async function loadContent() {
+    const site = await fetchContentFile('site.json', 'json');
+    const [sections, searchIndex] = await Promise.all([
+        Promise.all(site.sections.map(path => loadLocalizedSection(site, path))),
+        loadPrebuiltSearchIndex(site)
+    ]);
+    
+    sections.forEach((section, index) => {
+        if (!section.id || !section.title) {
+            throw new Error(`${site.sections[index]}: sections need an id and a title`);
+        }
+    });
+    
+    state.content = { site, sections, searchIndex };
+    renderContent();
+    
+    console.log(`📚 Loaded ${sections.length} sections from ${CONFIG.CONTENT.BASE_PATH}`);
+}
+
+async function fetchContentFile(path, type) {
+    const response = await fetch(`${CONFIG.CONTENT.BASE_PATH}${path}`);
+    if (!response.ok) {
+        throw new Error(`${path}: HTTP ${response.status}`);
+    }
+    return type === 'json' ? response.json() : response.text();
+}
+
+// Translations live under content/<lang>/ and are listed per language in
+// site.json ("translations": { "hi": ["sections/faq.md"] }). They overlay the
+// default file, so untranslated cards and fields fall back to it.
+async function loadLocalizedSection(site, path) {
+    const section = await loadSectionFile(path);
+    const translated = site.translations && site.translations[state.language];
+    if (!translated || !translated.includes(path)) {
+        return section;
+    }
+    
+    try {
+        return mergeSectionTranslation(section, await loadSectionFile(`${state.language}/${path}`));
+    } catch (e) {
+        console.warn(`⚠️ Using the untranslated ${path}:`, e);
+        return section;
+    }
+}
+
+// A built site (tools/build.js) lists a search index per language under
+// "build" in site.json; without one, search indexes the rendered page
+async function loadPrebuiltSearchIndex(site) {
+    const indexes = site.build && site.build.searchIndex;
+    const path = indexes && indexes[state.language];
+    if (!path) return null;
+    
+    try {
+        return await fetchContentFile(path, 'json');
+    } catch (e) {
+        console.warn(`⚠️ Indexing the page instead of using ${path}:`, e);
+        return null;
+    }
+}
+
+async function loadSectionFile(path) {
+    if (path.endsWith('.md')) {
+        return parseMarkdownSection(await fetchContentFile(path, 'text'));
+    }
+    return fetchContentFile(path, 'json');
+}
+
+function renderContent() {
+    const { sections } = state.content;
+    const container = elements.contentSections;
+    
+    container.innerHTML = '';
+    sections.forEach(section => container.appendChild(renderSection(section)));
+    container.removeAttribute('aria-busy');
+    
+    // Ids are assigned once everything is in the document so duplicates get suffixed
+    container.querySelectorAll('.section').forEach(section => {
+        section.querySelectorAll('.card').forEach(card => {
+            ensureCardId(card, section);
+            ensureHeadingIds(card);
+        });
+    });
+    
+    renderNavigation();
+    renderFooterLinks();
+    renderHeroStats();
+    
+    elements.sections = document.querySelectorAll('.section');
+    elements.navLinks = document.querySelectorAll('.nav-link');
+    elements.startQuizBtn = document.getElementById('startQuizBtn');
+    elements.quizDueCount = document.getElementById('quizDueCount');
+    elements.quizPanel = document.getElementById('quizPanel');
+}
+
+function renderSection(section) {
+    const element = document.createElement('section');
+    element.id = section.id;
+    element.className = 'section';
+    
+    const header = document.createElement('div');
+    header.className = 'section-header';
+    
+    const title = document.createElement('h2');
+    title.className = 'section-title';
+    title.textContent = section.icon ? `${section.icon} ${section.title}` : section.title;
+    header.appendChild(title);
+    
+    if (section.subtitle) {
+        const subtitle = document.createElement('p');
+        subtitle.className = 'section-subtitle';
+        subtitle.textContent = section.subtitle;
+        header.appendChild(subtitle);
+    }
+    
+    if (section.updated) {
+        const updated = document.createElement('p');
+        updated.className = 'section-updated';
+        updated.textContent = translate('section.updatedOn', { date: formatContentDate(section.updated) });
+        header.appendChild(updated);
+    }
+    
+    element.appendChild(header);
+    
+    if (section.quiz) {
+        header.insertAdjacentHTML('beforeend', `
+            <div class="quiz-launcher">
+                <button type="button" class="quiz-start-btn" id="startQuizBtn">${translate('quiz.start')}</button>
+                <span class="quiz-due-count" id="quizDueCount"></span>
+            </div>`);
+        element.insertAdjacentHTML('beforeend',
+            '<div class="quiz-panel" id="quizPanel" aria-live="polite" hidden></div>');
+    }
+    
+    const grid = document.createElement('div');
+    grid.className = 'content-grid';
+    (section.cards || []).forEach(card => grid.appendChild(renderCard(card)));
+    element.appendChild(grid);
+    
+    return element;
+}
+
+function renderCard(card) {
+    const element = document.createElement('div');
+    element.className = 'card glass-card';
+    if (card.id) {
+        element.id = card.id;
+    }
+    if (card.wide) {
+        element.classList.add('full-width');
+    }
+    ['added', 'updated', 'changes'].forEach(field => {
+        if (card[field]) {
+            element.dataset[field] = card[field];
+        }
+    });
+    
+    const title = document.createElement('h3');
+    title.textContent = card.title;
+    
+    if (card.type === 'faq') {
+        element.classList.add('faq-card');
+        
+        const question = document.createElement('div');
+        question.className = 'faq-question';
+        question.append(title, createExpandIcon());
+        
+        const answer = document.createElement('div');
+        answer.className = 'faq-answer';
+        appendContentBlocks(answer, card.body);
+        
+        element.append(question, answer);
+    } else if (card.collapsible) {
+        element.classList.add('expandable');
+        
+        const header = document.createElement('div');
+        header.className = 'card-header';
+        header.append(title, createExpandIcon());
+        
+        const content = document.createElement('div');
+        content.className = 'card-content';
+        appendContentBlocks(content, card.body);
+        
+        element.append(header, content);
+    } else {
+        element.appendChild(title);
+        appendContentBlocks(element, card.body);
+    }
+    
+    return element;
+}
+
+function createExpandIcon() {
+    const icon = document.createElement('span');
+    icon.className = 'expand-icon';
+    icon.textContent = '+';
+    return icon;
+}
+
+function appendContentBlocks(parent, blocks = []) {
+    blocks.forEach(block => {
+        switch (block.type) {
+            case 'html':
+                parent.insertAdjacentHTML('beforeend', joinContentLines(block.html));
+                break;
+            case 'markdown':
+                parent.appendChild(renderMarkdown(joinContentLines(block.text)));
+                break;
+            case 'code':
+                parent.appendChild(renderCodeExample(block));
+                break;
+            case 'element': {
+                const element = document.createElement(block.tag || 'div');
+                Object.entries(block.attrs || {}).forEach(([name, value]) => {
+                    element.setAttribute(name, value);
+                });
+                appendContentBlocks(element, block.children);
+                parent.appendChild(element);
+                break;
+            }
+            default:
+                console.warn(`⚠️ Unknown content block type: ${block.type}`);
+        }
+    });
+}
+
+function renderCodeExample(block) {
+    const example = document.createElement('div');
+    example.className = 'code-example';
+    if (block.lang) {
+        example.dataset.lang = block.lang;
+    }
+    if (block.previewHtml) {
+        example.dataset.previewHtml = joinContentLines(block.previewHtml);
+    }
+    
+    const pre = document.createElement('pre');
+    const code = document.createElement('code');
+    code.textContent = joinContentLines(block.code);
+    pre.appendChild(code);
+    example.appendChild(pre);
+    
+    return example;
+}
+
+// Content dates are calendar days, so they are shown in UTC to stay on the same day
+export function formatContentDate(value) {
+    return formatDate(new Date(value), { dateStyle: 'medium', timeZone: 'UTC' });
+}
+
+function getSectionNavTitle(section) {
+    return section.navTitle || section.title;
+}
+
+function renderNavigation() {
+    const list = elements.navList;
+    list.innerHTML = '';
+    
+    state.content.sections.forEach((section, index) => {
+        const item = document.createElement('li');
+        item.className = 'nav-item';
+        item.dataset.section = section.id;
+        
+        const link = document.createElement('a');
+        link.href = `#${section.id}`;
+        link.className = index === 0 ? 'nav-link active' : 'nav-link';
+        link.textContent = getSectionNavTitle(section);
+        item.appendChild(link);
+        
+        const cards = document.getElementById(section.id).querySelectorAll('.card');
+        if (cards.length > 0) {
+            item.append(...createNavSublist(section, cards));
+        }
+        
+        list.appendChild(item);
+    });
+}
+
+// Collapsible list of a section's cards under its nav link
+function createNavSublist(section, cards) {
+    const sublistId = `nav-${section.id}-topics`;
+    
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'nav-subtoggle';
+    toggle.setAttribute('aria-expanded', 'false');
+    toggle.setAttribute('aria-controls', sublistId);
+    toggle.setAttribute('aria-label', translate('nav.topicsIn', { section: getSectionNavTitle(section) }));
+    
+    const sublist = document.createElement('ul');
+    sublist.className = 'nav-sublist';
+    sublist.id = sublistId;
+    sublist.hidden = true;
+    
+    cards.forEach(card => {
+        const item = document.createElement('li');
+        const link = document.createElement('a');
+        link.href = `#${card.id}`;
+        link.className = 'nav-sublink';
+        link.textContent = getCardTitle(card);
+        item.appendChild(link);
+        sublist.appendChild(item);
+    });
+    
+    return [toggle, sublist];
+}
+
+function renderFooterLinks() {
+    const { site, sections } = state.content;
+    const footer = elements.footerCredits.parentElement;
+    
+    footer.querySelectorAll('.footer-links').forEach(group => group.remove());
+    
+    (site.footer || []).forEach(group => {
+        const column = document.createElement('div');
+        column.className = 'footer-section footer-links';
+        
+        const heading = document.createElement('h4');
+        const titleKey = `footer.${slugify(group.title)}`;
+        heading.textContent = hasTranslation(titleKey) ? translate(titleKey) : group.title;
+        
+        const list = document.createElement('ul');
+        group.sections.forEach(sectionId => {
+            const section = sections.find(candidate => candidate.id === sectionId);
+            if (!section) {
+                console.warn(`⚠️ Footer links to unknown section "${sectionId}"`);
+                return;
+            }
+            
+            const item = document.createElement('li');
+            const link = document.createElement('a');
+            link.href = `#${section.id}`;
+            link.textContent = section.shortTitle || getSectionNavTitle(section);
+            item.appendChild(link);
+            list.appendChild(item);
+        });
+        
+        column.append(heading, list);
+        footer.insertBefore(column, elements.footerCredits);
+    });
+}
+
+function renderHeroStats() {
+    const { sections } = state.content;
+    const cards = sections.flatMap(section => section.cards || []);
+    const codeExamples = cards.reduce((count, card) => count + countCodeBlocks(card.body), 0);
+    
+    const stats = [
+        [sections.length, translate('hero.sections', { count: sections.length })],
+        [cards.length, translate('hero.topics', { count: cards.length })],
+        [codeExamples, translate('hero.codeExamples', { count: codeExamples })]
+    ];
+    
+    elements.heroStats.innerHTML = '';
+    stats.forEach(([value, label]) => {
+        const card = document.createElement('div');
+        card.className = 'stat-card';
+        
+        const number = document.createElement('span');
+        number.className = 'stat-number';
+        number.textContent = formatNumber(value);
+        
+        const text = document.createElement('span');
+        text.className = 'stat-label';
+        text.textContent = label;
+        
+        card.append(number, text);
+        elements.heroStats.appendChild(card);
+    });
+}
+
+function countCodeBlocks(blocks = []) {
+    return blocks.reduce((count, block) => {
+        if (block.type === 'code') return count + 1;
+        if (block.type === 'element') return count + countCodeBlocks(block.children);
+        return count;
+    }, 0);
+}
+
+export function showContentError(error) {
+    const container = elements.contentSections;
+    container.innerHTML = '';
+    container.removeAttribute('aria-busy');
+    
+    const message = document.createElement('p');
+    message.className = 'content-status error';
+    message.textContent = translate('content.loadError', { error: error.message });
+    container.appendChild(message);
+}
@@ -0,0 +1,118 @@
+// ============================================
+// Web Dev Documentation Portal - Modal Dialogs
+// ============================================
+
+// ==================== Modal Dialogs ====================
+// Dialogs can stack (an import error over a confirm), so each gets its own
+// title id, and only the topmost one handles Escape
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+let modalCount = 0;
+
+export function openModal({ title, message, content, actions = [] }) {
+    const previousFocus = document.activeElement;
+    const titleId = `modalTitle-${++modalCount}`;
+    
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    
+    const dialog = document.createElement('div');
+    dialog.className = 'modal glass-card';
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('aria-labelledby', titleId);
+    
+    const heading = document.createElement('h2');
+    heading.className = 'modal-title';
+    heading.id = titleId;
+    heading.textContent = title;
+    dialog.appendChild(heading);
+    
+    if (message) {
+        const text = document.createElement('p');
+        text.className = 'modal-message';
+        text.textContent = message;
+        dialog.appendChild(text);
+    }
+    
+    if (content) {
+        dialog.appendChild(content);
+    }
+    
+    const actionBar = document.createElement('div');
+    actionBar.className = 'modal-actions';
+    
+    const close = () => {
+        document.removeEventListener('keydown', handleKeydown);
+        overlay.remove();
+        if (previousFocus && previousFocus.focus) {
+            previousFocus.focus();
+        }
+    };
+    
+    const handleKeydown = (e) => {
+        const overlays = document.querySelectorAll('.modal-overlay');
+        if (overlays[overlays.length - 1] !== overlay) return;
+        
+        if (e.key === 'Escape') {
+            e.stopPropagation();
+            close();
+        } else if (e.key === 'Tab') {
+            trapFocus(e, dialog);
+        }
+    };
+    
+    actions.forEach(action => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = action.primary ? 'modal-btn primary' : 'modal-btn';
+        button.textContent = action.label;
+        button.addEventListener('click', () => {
+            close();
+            if (action.onClick) {
+                action.onClick();
+            }
+        });
+        actionBar.appendChild(button);
+    });
+    
+    dialog.appendChild(actionBar);
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+    
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) {
+            close();
+        }
+    });
+    document.addEventListener('keydown', handleKeydown);
+    
+    const firstButton = actionBar.querySelector('button');
+    if (firstButton) {
+        firstButton.focus();
+    }
+    
+    return close;
+}
+
+// aria-modal tells assistive tech the page behind is inert; Tab has to agree
+function trapFocus(e, dialog) {
+    const focusable = Array.from(dialog.querySelectorAll(FOCUSABLE_SELECTOR))
+        .filter(element => !element.closest('[hidden]'));
+    if (focusable.length === 0) {
+        e.preventDefault();
+        return;
+    }
+    
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (!dialog.contains(document.activeElement)) {
+        e.preventDefault();
+        first.focus();
+    } else if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+    }
+}
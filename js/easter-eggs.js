@@ -0,0 +1,38 @@
+// ============================================
+// Web Dev Documentation Portal - Easter Eggs
+// ============================================
+
+import { listen } from './lifecycle.js';
+import { allowsDecorativeMotion } from './reading.js';
+
+// ==================== Easter Eggs & Fun Features ====================
+let konamiCode = [];
+const konamiSequence = ['ArrowUp', 'ArrowUp', 'ArrowDown', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'ArrowLeft', 'ArrowRight', 'b', 'a'];
+
+export function initializeEasterEggs() {
+    listen(document, 'keydown', (e) => {
+        konamiCode.push(e.key);
+        konamiCode = konamiCode.slice(-10);
+        
+        if (konamiCode.join(',') === konamiSequence.join(',')) {
+            activateEasterEgg();
+            konamiCode = [];
+        }
+    });
+}
+
+function activateEasterEgg() {
+    if (!allowsDecorativeMotion()) {
+        console.log('🎉 Easter egg activated! (animation skipped: reduced motion)');
+        return;
+    }
+    
+    // Fun animation
+    document.body.style.animation = 'rainbow 2s ease infinite';
+    
+    setTimeout(() => {
+        document.body.style.animation = '';
+    }, 5000);
+    
+    console.log('🎉 Easter egg activated!');
+}
@@ -0,0 +1,80 @@
+// ============================================
+// Web Dev Documentation Portal - Event Bus
+// ============================================
+
+// ==================== Event Bus ====================
+// Every event is declared with the fields its detail carries. Emitting an
+// undeclared event, or one missing a field, throws, so typos fail loudly.
+const EVENT_TYPES = {
+    'app:ready': [],
+    'app:destroy': [],
+    'section:visited': ['sectionId'],
+    'section:changed': ['sectionId'],
+    'theme:changed': ['preference', 'theme'],
+    'search:query': ['query', 'resultCount'],
+    'card:toggled': ['cardId', 'expanded'],
+    'progress:changed': ['completedSections', 'percentage']
+};
+
+const eventListeners = new Map();
+
+export function on(type, handler) {
+    assertEventType(type);
+    if (typeof handler !== 'function') {
+        throw new TypeError(`A "${type}" listener must be a function`);
+    }
+    
+    if (!eventListeners.has(type)) {
+        eventListeners.set(type, new Set());
+    }
+    eventListeners.get(type).add(handler);
+    
+    return () => off(type, handler);
+}
+
+export function off(type, handler) {
+    const handlers = eventListeners.get(type);
+    if (handlers) {
+        handlers.delete(handler);
+    }
+}
+
+export function emit(type, detail = {}) {
+    assertEventType(type);
+    
+    const missing = EVENT_TYPES[type].filter(field => !(field in detail));
+    if (missing.length > 0) {
+        throw new TypeError(`"${type}" events need ${missing.join(', ')}`);
+    }
+    
+    // A failing listener must not break the app or the listeners after it
+    (eventListeners.get(type) || []).forEach(handler => {
+        try {
+            handler(detail);
+        } catch (e) {
+            console.error(`Error in a "${type}" listener:`, e);
+        }
+    });
+}
+
+// Lets plugins declare events of their own, e.g. defineEvent('quiz:answered', ['correct'])
+export function defineEvent(type, fields = []) {
+    if (!/^[a-z-]+:[a-z-]+$/.test(type)) {
+        throw new TypeError(`Event names look like "area:action", got "${type}"`);
+    }
+    if (EVENT_TYPES[type]) {
+        throw new Error(`Event "${type}" is already defined`);
+    }
+    
+    EVENT_TYPES[type] = [...fields];
+}
+
+export function clearEventListeners() {
+    eventListeners.clear();
+}
+
+function assertEventType(type) {
+    if (!EVENT_TYPES[type]) {
+        throw new TypeError(`Unknown event "${type}"`);
+    }
+}
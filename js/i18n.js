@@ -0,0 +1,525 @@
+// ============================================
+// Web Dev Documentation Portal - Internationalization
+// ============================================
+
+import { CONFIG } from './config.js';
+import { elements, state } from './state.js';
+import { listen, onDestroy } from './lifecycle.js';
+
+// ==================== Internationalization ====================
+// UI strings are looked up by key. English ships inline as the fallback;
+// other languages load a flat catalog from locales/<code>.json. Values may
+// contain {placeholders}, and a value that is an object ({ one, other }) is
+// a plural picked by Intl.PluralRules from the "count" parameter.
+const LANGUAGES = {
+    en: { label: 'English', dir: 'ltr' },
+    hi: { label: 'हिन्दी', dir: 'ltr' }
+};
+
+const DEFAULT_MESSAGES = {
+    'document.title': 'Advanced Web Development Documentation Portal',
+    'common.cancel': 'Cancel',
+    'common.close': 'Close',
+    'common.delete': 'Delete',
+    'common.dismiss': 'Dismiss',
+    'common.ok': 'OK',
+    'common.reset': 'Reset',
+    'common.save': 'Save',
+    'common.scrollToTop': 'Scroll to top',
+    'common.skipToContent': 'Skip to main content',
+    'common.undo': 'Undo',
+    'common.undone': 'Undone',
+    'common.nothingToUndo': 'Nothing to undo',
+    'language.label': 'Language',
+    'theme.choose': 'Theme and reading settings',
+    'theme.settings': 'Theme and reading settings',
+    'theme.legend': 'Theme',
+    'theme.accent': 'Accent colour',
+    'theme.announce': 'Theme: {theme}',
+    'theme.system': 'System',
+    'theme.light': 'Light',
+    'theme.dark': 'Dark',
+    'theme.high-contrast': 'High contrast',
+    'theme.sepia': 'Sepia',
+    'reading.legend': 'Reading',
+    'reading.mode': 'Reading mode',
+    'reading.focus': 'Dim all but the card in view',
+    'reading.fontSize': 'Font size',
+    'reading.lineHeight': 'Line spacing',
+    'reading.width': 'Content width',
+    'reading.width.narrow': 'Narrow',
+    'reading.width.medium': 'Medium',
+    'reading.width.wide': 'Wide',
+    'reading.width.full': 'Full',
+    'reading.reset': 'Reset reading settings',
+    'reading.resetDone': 'Reading settings reset',
+    'reading.modeOn': 'Reading mode on',
+    'reading.modeOff': 'Reading mode off',
+    'reading.focusOn': 'Focus mode on',
+    'reading.focusOff': 'Focus mode off',
+    'sidebar.title': '📚 Documentation',
+    'sidebar.open': 'Open navigation',
+    'sidebar.close': 'Close navigation',
+    'nav.topicsIn': 'Topics in {section}',
+    'paths.label': 'Learning path',
+    'paths.none': 'Explore freely',
+    'paths.option': '{path} ({done}/{count})',
+    'paths.progress': { one: '{done} of {count} step done', other: '{done} of {count} steps done' },
+    'paths.nextUp': 'Next up: {title} →',
+    'paths.complete': 'Path complete 🎉',
+    'paths.finished': 'You finished the {path} path',
+    'paths.selected': 'Following the {path} path',
+    'paths.left': 'Learning path turned off',
+    'paths.noneSelected': 'Pick a learning path first',
+    'paths.step': 'Step {number}',
+    'paths.stepDone': 'Step {number}, done',
+    'paths.stepLocked': 'Step {number}, locked until you finish {requires}',
+    'paths.endReached': 'No more sections in this direction on your path',
+    'search.placeholder': 'Search topics...',
+    'search.label': 'Search the documentation',
+    'search.results': 'Search results',
+    'search.noMatches': 'No matches on this page',
+    'search.matches': { one: '{count} match · Enter for next', other: '{count} matches · Enter for next' },
+    'search.matchPosition': '{current} of {total}',
+    'search.noResults': 'No results for "{query}"',
+    'search.resultsFor': { one: '{count} result for {query}', other: '{count} results for {query}' },
+    'search.type.section': 'Section',
+    'search.type.card': 'Topic',
+    'search.type.code': 'Code example',
+    'search.type.faq': 'FAQ',
+    'search.type.note': 'My note',
+    'progress.title': 'Your Progress',
+    'progress.completed': { one: '{completed} / {total} section completed', other: '{completed} / {total} sections completed' },
+    'progress.completedLabel': { one: '{completed} of {count} section completed', other: '{completed} of {count} sections completed' },
+    'progress.percent': '{percent}%',
+    'progress.bySection': 'Progress by section',
+    'progress.sectionComplete': '{section}: {percent}% complete',
+    'progress.markUnderstood': '○ Mark as understood',
+    'progress.understood': '✓ Understood',
+    'progress.markedUnderstood': 'Marked "{title}" as understood',
+    'progress.unmarked': 'Unmarked "{title}"',
+    'progress.exportButton': '⬇️ Export',
+    'progress.importButton': '⬆️ Import',
+    'progress.shareButton': '🔗 Share link',
+    'progress.statsButton': '📊 My stats',
+    'progress.printButton': '🖨️ Print',
+    'progress.exported': 'Progress exported',
+    'progress.linkCopied': '✅ Link copied!',
+    'progress.linkCopiedAnnounce': 'Shareable progress link copied to clipboard',
+    'progress.importTitle': 'Import progress',
+    'progress.sharedLink': 'the shared link',
+    'progress.importConflict': 'The progress from {source} differs from what is saved in this browser. Merge keeps everything from both; replace discards your local progress.',
+    'progress.merge': 'Merge',
+    'progress.replace': 'Replace',
+    'progress.importMerged': 'Imported progress merged',
+    'progress.importRestored': 'Imported progress restored',
+    'progress.importFailed': 'Could not import progress',
+    'progress.reset': 'Reset progress',
+    'progress.resetTitle': 'Reset progress?',
+    'progress.resetMessage': 'This clears visited sections and read / understood marks on every card. Bookmarks, notes and quiz history are kept.',
+    'progress.resetDone': 'Progress reset',
+    'progress.error.damagedLink': 'The shared progress link is damaged or incomplete.',
+    'progress.error.invalidJson': '{file} is not valid JSON.',
+    'progress.error.notObject': 'Progress data must be a JSON object.',
+    'progress.error.version': 'Unsupported progress version: {version}.',
+    'progress.error.visitedSections': '"visitedSections" must be a list of section ids.',
+    'progress.error.lastVisited': '"lastVisited" must be a date.',
+    'progress.error.cards': '"cards" must be an object keyed by card id.',
+    'progress.error.card': 'Card "{card}" must have "readAt" and "understoodAt" dates or null.',
+    'whatsNew.title': "What's new since your last visit",
+    'whatsNew.since': 'Changes since {date}',
+    'whatsNew.list': 'Changed topics',
+    'whatsNew.new': 'New',
+    'whatsNew.updated': 'Updated',
+    'whatsNew.newOn': 'Added {date}',
+    'whatsNew.updatedOn': 'Updated {date}',
+    'whatsNew.navChanged': 'Has changes since your last visit',
+    'whatsNew.announce': { one: '{count} topic is new or updated since your last visit', other: '{count} topics are new or updated since your last visit' },
+    'whatsNew.progressReset': { one: '{count} topic changed after you read it and is marked unread again', other: '{count} topics changed after you read them and are marked unread again' },
+    'section.updatedOn': 'Last updated {date}',
+    'annotations.title': 'My Bookmarks & Notes',
+    'annotations.list': 'Bookmarks and notes',
+    'annotations.empty': 'Use ☆ to bookmark a topic or 📝 to attach a note.',
+    'annotations.bookmark': '☆ Bookmark',
+    'annotations.bookmarked': '★ Bookmarked',
+    'annotations.bookmarkLabel': 'Bookmark "{title}"',
+    'annotations.bookmarkAdded': 'Bookmarked "{title}"',
+    'annotations.bookmarkRemoved': 'Removed bookmark for "{title}"',
+    'annotations.addNote': '📝 Add note',
+    'annotations.editNote': '📝 Edit note',
+    'annotations.addNoteLabel': 'Add note for "{title}"',
+    'annotations.editNoteLabel': 'Edit note for "{title}"',
+    'annotations.noteLabel': 'Note for "{title}"',
+    'annotations.notePlaceholder': 'Write a note… Markdown is supported',
+    'annotations.noteDeleted': 'Deleted the note for "{title}"',
+    'hero.title': 'Advanced Web Development Documentation',
+    'hero.subtitle': 'Your comprehensive guide to modern web development - from fundamentals to advanced architecture',
+    'hero.sections': { one: 'Section', other: 'Sections' },
+    'hero.topics': { one: 'Topic', other: 'Topics' },
+    'hero.codeExamples': { one: 'Code Example', other: 'Code Examples' },
+    'content.loading': 'Loading documentation…',
+    'content.loadError': 'Couldn\'t load the documentation content ({error}). If you opened index.html straight from disk, serve the folder over HTTP instead, for example with "python3 -m http.server".',
+    'footer.title': 'Advanced Web Dev Documentation',
+    'footer.tagline': 'Your comprehensive guide to modern web development',
+    'footer.developer': 'Developer',
+    'footer.builtWith': 'Built with ❤️ using HTML, CSS, JavaScript',
+    'footer.copyright': '© 2024 Web Dev Docs Portal',
+    'toc.title': 'On this page',
+    'anchor.copyLink': 'Copy link',
+    'anchor.copyLinkTo': 'Copy link to {title}',
+    'anchor.copied': 'Link to {title} copied to clipboard',
+    'cards.expanded': '{title} expanded',
+    'cards.collapsed': '{title} collapsed',
+    'cards.expandAll': 'Expand all',
+    'cards.collapseAll': 'Collapse all',
+    'cards.expandAllIn': 'Expand all cards in {section}',
+    'cards.collapseAllIn': 'Collapse all cards in {section}',
+    'cards.allExpanded': 'All cards expanded',
+    'cards.allCollapsed': 'All cards collapsed',
+    'cards.allExpandedIn': 'All cards in {section} expanded',
+    'cards.allCollapsedIn': 'All cards in {section} collapsed',
+    'print.title': '🖨️ Export / Print',
+    'print.message': 'Pick the sections for your study packet. Choose "Save as PDF" in the print dialog for a PDF.',
+    'print.sections': 'Sections',
+    'print.selectAll': 'Select all',
+    'print.selectNone': 'Select none',
+    'print.print': 'Print',
+    'print.nothingSelected': 'Pick at least one section to print',
+    'print.packetDate': 'Study packet · {date}',
+    'print.contents': 'Contents',
+    'quiz.again': 'Again',
+    'quiz.hard': 'Hard',
+    'quiz.good': 'Good',
+    'quiz.easy': 'Easy',
+    'quiz.gradeButton': '{index}. {grade} · {days}d',
+    'quiz.due': '{count} due for review',
+    'quiz.caughtUp': 'All caught up',
+    'quiz.correct': '✅ Correct!',
+    'quiz.incorrect': '❌ Not quite.',
+    'quiz.reviewTopic': 'Review this topic',
+    'quiz.questionOf': 'Question {current} of {total}',
+    'quiz.showAnswer': 'Show answer',
+    'quiz.sessionComplete': 'Session complete',
+    'quiz.score': 'You got {correct} of {count} right ({percent}%).',
+    'quiz.runningScore': 'Score: {correct}/{answered}',
+    'quiz.nextReview': 'Next review due {date}.',
+    'quiz.noneDue': 'No questions are due.',
+    'quiz.noneDueUntil': 'No questions are due. The next review is on {date}.',
+    'quiz.practiceAll': 'Practice all questions',
+    'quiz.close': 'Close quiz',
+    'quiz.start': '🎯 Start quiz',
+    'playground.runEdit': '▶ Run / Edit',
+    'playground.edit': '✎ Edit',
+    'playground.editor': 'Edit {language} code. Tab inserts spaces',
+    'playground.editorRunnable': 'Edit {language} code. Tab inserts spaces, Ctrl+Enter runs',
+    'playground.run': '▶ Run',
+    'playground.reset': '↺ Reset',
+    'playground.close': '✕ Close',
+    'playground.restored': 'Restored your saved edits',
+    'playground.resetDone': 'Reset to the original example',
+    'playground.saved': 'Edits saved in this browser',
+    'playground.preview': 'Code preview',
+    'playground.console': 'Console output',
+    'performance.title': '⚡ Performance',
+    'performance.label': 'Performance metrics',
+    'performance.close': 'Close performance overlay',
+    'performance.slowest': 'Slowest resources',
+    'performance.lcp': 'Largest Contentful Paint',
+    'performance.cls': 'Cumulative Layout Shift',
+    'performance.inp': 'Interaction to Next Paint',
+    'performance.fcp': 'First Contentful Paint',
+    'performance.ttfb': 'Time to First Byte',
+    'performance.longTasks': 'Long tasks',
+    'performance.longTasksTitle': 'Main-thread tasks over 50 ms, with total blocking time',
+    'performance.resources': 'Resources',
+    'performance.resourcesTitle': 'Resources loaded and bytes transferred (0 when served from cache)',
+    'shortcuts.title': '⌨️ Keyboard shortcuts',
+    'shortcuts.palette': 'Open the command palette',
+    'shortcuts.search': 'Focus search',
+    'shortcuts.nextMatch': 'Next search match (in search)',
+    'shortcuts.previousMatch': 'Previous search match (in search)',
+    'shortcuts.sections': 'Previous / next section',
+    'shortcuts.cards': 'Next / previous card',
+    'shortcuts.performance': 'Toggle performance overlay',
+    'shortcuts.help': 'Show keyboard shortcuts',
+    'shortcuts.close': 'Close dialogs, sidebar or search',
+    'palette.label': 'Command palette',
+    'palette.placeholder': 'Type a command…',
+    'palette.commands': 'Commands',
+    'palette.hint': '↑↓ to choose · Enter to run · Esc to close',
+    'palette.noMatches': 'No commands match "{query}"',
+    'commandGroup.navigation': 'Navigation',
+    'commandGroup.search': 'Search',
+    'commandGroup.theme': 'Theme',
+    'commandGroup.view': 'View',
+    'commandGroup.cards': 'Cards',
+    'commandGroup.progress': 'Progress',
+    'commandGroup.tools': 'Tools',
+    'commandGroup.code': 'Code',
+    'commandGroup.help': 'Help',
+    'commandGroup.quiz': 'Quiz',
+    'commandGroup.paths': 'Learning paths',
+    'command.section.next': 'Next section',
+    'command.section.prev': 'Previous section',
+    'command.scroll.top': 'Scroll to top',
+    'command.search.focus': 'Focus search',
+    'command.search.clear': 'Clear search',
+    'command.theme.toggle': 'Toggle light / dark theme',
+    'command.reading.toggle': 'Toggle reading mode',
+    'command.focus.toggle': 'Toggle focus mode',
+    'command.cards.expand': 'Expand all cards',
+    'command.cards.collapse': 'Collapse all cards',
+    'command.progress.reset': 'Reset progress',
+    'command.progress.export': 'Export progress',
+    'command.progress.import': 'Import progress',
+    'command.progress.undo': 'Undo last change',
+    'command.print.sections': 'Export / print sections',
+    'command.stats.open': 'Show my reading stats',
+    'command.code.lineNumbers': 'Toggle line numbers in code',
+    'command.performance.overlay': 'Toggle performance overlay',
+    'command.language.switch': 'Change language',
+    'command.help.shortcuts': 'Show keyboard shortcuts',
+    'command.quiz.start': 'Start interview quiz',
+    'command.goTo': 'Go to {section}',
+    'command.theme': 'Theme: {theme}',
+    'command.path': 'Follow path: {path}',
+    'command.path.next': 'Go to the next step on my path',
+    'command.path.leave': 'Stop following the learning path',
+    'code.copy': '📋 Copy',
+    'code.copied': '✅ Copied!',
+    'code.copyLabel': 'Copy code',
+    'code.lineNumbers': 'Toggle line numbers',
+    'analytics.consentPrompt': '📊 Share anonymous usage data to help improve these docs?',
+    'analytics.allow': 'Allow',
+    'analytics.enabled': 'Anonymous usage sharing enabled',
+    'analytics.disabled': 'Anonymous usage sharing disabled',
+    'analytics.share': 'Share anonymous usage data with the docs team',
+    'analytics.shareLocalOnly': 'Share anonymous usage data with the docs team (no endpoint configured, data stays on this device)',
+    'stats.title': '📊 My reading stats',
+    'stats.readingTime': 'Reading time',
+    'stats.visits': 'Visits',
+    'stats.cardsOpened': 'Cards opened',
+    'stats.codeCopied': 'Code copied',
+    'stats.timeBySection': 'Time by section',
+    'stats.topCards': 'Most opened topics',
+    'stats.searches': 'Searches',
+    'stats.failedSearches': 'Searches with no results',
+    'stats.times': '{count}×',
+    'stats.empty': 'Nothing yet',
+    'stats.clear': 'Clear my data',
+    'stats.cleared': 'Reading stats cleared',
+    'duration.seconds': '{seconds}s',
+    'duration.minutes': '{minutes} min',
+    'duration.hours': '{hours}h {minutes}m',
+    'offline.offline': '📴 You are offline — showing the saved copy',
+    'offline.online': '📶 Back online',
+    'offline.update': '✨ Update available',
+    'offline.reload': 'Reload'
+};
+
+const i18n = {
+    messages: {},
+    pluralRules: null,
+    numberFormat: null,
+    started: false
+};
+
+export async function initializeLanguage() {
+    const language = getPreferredLanguage();
+    
+    try {
+        applyLanguage(language, await loadMessages(language));
+    } catch (e) {
+        console.warn(`⚠️ Couldn't load the "${language}" translation, using English:`, e);
+        applyLanguage(CONFIG.I18N.DEFAULT_LANGUAGE, {});
+    }
+    
+    i18n.started = true;
+    onDestroy(() => {
+        i18n.started = false;
+    });
+    
+    renderLanguageSelect();
+    if (elements.languageSelect) {
+        listen(elements.languageSelect, 'change', () => setLanguage(elements.languageSelect.value));
+    }
+    
+    console.log(`🌐 Language: ${LANGUAGES[state.language].label}`);
+}
+
+function applyLanguage(language, messages) {
+    i18n.messages = messages;
+    state.language = language;
+    i18n.pluralRules = new Intl.PluralRules(language);
+    i18n.numberFormat = new Intl.NumberFormat(language);
+    
+    document.documentElement.lang = language;
+    document.documentElement.dir = LANGUAGES[language].dir;
+    
+    applyTranslations(document);
+}
+
+// A saved choice wins, then the first browser language we have a catalog for
+function getPreferredLanguage() {
+    const saved = localStorage.getItem(CONFIG.STORAGE_KEYS.LANGUAGE);
+    if (saved && LANGUAGES[saved]) {
+        return saved;
+    }
+    
+    const browserLanguages = navigator.languages || [navigator.language || ''];
+    const match = browserLanguages
+        .map(tag => tag.toLowerCase().split('-')[0])
+        .find(code => LANGUAGES[code]);
+    
+    return match || CONFIG.I18N.DEFAULT_LANGUAGE;
+}
+
+async function loadMessages(language) {
+    const { messages } = LANGUAGES[language];
+    if (messages || language === CONFIG.I18N.DEFAULT_LANGUAGE) {
+        return messages || {};
+    }
+    
+    const response = await fetch(`${CONFIG.I18N.BASE_PATH}${language}.json`);
+    if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+    }
+    return response.json();
+}
+
+export function hasTranslation(key) {
+    return key in i18n.messages || key in DEFAULT_MESSAGES;
+}
+
+export function translate(key, params = {}) {
+    let message = key in i18n.messages ? i18n.messages[key] : DEFAULT_MESSAGES[key];
+    
+    if (message === undefined) {
+        console.warn(`⚠️ Missing translation for "${key}"`);
+        return key;
+    }
+    
+    if (typeof message === 'object') {
+        const category = i18n.pluralRules ? i18n.pluralRules.select(params.count) : 'other';
+        message = message[category] || message.other;
+    }
+    
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+        if (!(name in params)) return placeholder;
+        return typeof params[name] === 'number' ? formatNumber(params[name]) : String(params[name]);
+    });
+}
+
+// Like translate, but placeholders can be DOM nodes, which are moved into
+// place instead of being turned into text
+export function renderMessage(element, key, params = {}) {
+    const text = translate(key, Object.fromEntries(
+        Object.entries(params).filter(([, value]) => !(value instanceof Node))
+    ));
+    
+    const fragment = document.createDocumentFragment();
+    text.split(/(\{\w+\})/).forEach(part => {
+        const node = params[part.slice(1, -1)];
+        if (/^\{\w+\}$/.test(part) && node instanceof Node) {
+            fragment.appendChild(node);
+        } else if (part) {
+            fragment.appendChild(document.createTextNode(part));
+        }
+    });
+    
+    element.replaceChildren(fragment);
+}
+
+export function formatNumber(value) {
+    return i18n.numberFormat ? i18n.numberFormat.format(value) : String(value);
+}
+
+export function formatDate(date, options) {
+    return date.toLocaleDateString(state.language, options);
+}
+
+// Static markup marks its strings with data-i18n="key" (text) and
+// data-i18n-attr="attribute:key; ..." (attributes)
+function applyTranslations(root) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = translate(element.dataset.i18n);
+    });
+    
+    root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+        element.dataset.i18nAttr.split(';').forEach(pair => {
+            const [attribute, key] = pair.split(':').map(part => part.trim());
+            if (attribute && key) {
+                element.setAttribute(attribute, translate(key));
+            }
+        });
+    });
+    
+    if (root === document) {
+        document.title = translate('document.title');
+    }
+}
+
+// For elements created before the language has loaded; applyTranslations
+// fills them in once it has
+export function setTranslatedText(element, key) {
+    element.dataset.i18n = key;
+    element.textContent = translate(key);
+}
+
+export function setTranslatedAttribute(element, attribute, key) {
+    const pairs = (element.dataset.i18nAttr || '').split(';').filter(Boolean);
+    pairs.push(`${attribute}:${key}`);
+    element.dataset.i18nAttr = pairs.join(';');
+    element.setAttribute(attribute, translate(key));
+}
+
+function renderLanguageSelect() {
+    const select = elements.languageSelect;
+    if (!select) return;
+    
+    select.replaceChildren(...Object.entries(LANGUAGES).map(([code, { label }]) => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.lang = code;
+        option.textContent = label;
+        return option;
+    }));
+    select.value = state.language;
+}
+
+// Content and every rendered string depend on the language, so switching
+// saves the choice and reloads rather than re-rendering in place
+export function setLanguage(code) {
+    if (!LANGUAGES[code]) {
+        throw new Error(`Unknown language "${code}"`);
+    }
+    
+    localStorage.setItem(CONFIG.STORAGE_KEYS.LANGUAGE, code);
+    if (code !== state.language) {
+        location.reload();
+    }
+}
+
+// Plugins can add a language with its catalog inline, e.g. an RTL one:
+// WebDevDocs.registerLanguage('ar', { label: 'العربية', dir: 'rtl', messages: {...} })
+export function registerLanguage(code, { label, dir = 'ltr', messages } = {}) {
+    if (!code || !label) {
+        throw new Error('A language needs a code and a label');
+    }
+    
+    LANGUAGES[code] = { label, dir, messages };
+    
+    // Registered after start-up (e.g. from a plugin's init), so the saved choice
+    // fell back to another language; switch now. Strings modules have already
+    // rendered keep the old language until they render again.
+    if (i18n.started && code !== state.language && localStorage.getItem(CONFIG.STORAGE_KEYS.LANGUAGE) === code) {
+        loadMessages(code)
+            .then(loaded => {
+                applyLanguage(code, loaded);
+                renderLanguageSelect();
+                console.log(`🌐 Language: ${label}`);
+            })
+            .catch(e => console.warn(`⚠️ Couldn't load the "${code}" translation:`, e));
+    }
+    renderLanguageSelect();
+}
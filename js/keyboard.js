@@ -0,0 +1,181 @@
+// ============================================
+// Web Dev Documentation Portal - Keyboard Navigation
+// ============================================
+
+import { CONFIG } from './config.js';
+import { elements, state } from './state.js';
+import { listen } from './lifecycle.js';
+import { store } from './store.js';
+import { translate } from './i18n.js';
+import { scrollToElement, scrollToSection } from './navigation.js';
+import { getCardTitle, getTrackedCards } from './progress.js';
+import { getActivePathSections } from './paths.js';
+import { closeSidebar } from './sidebar.js';
+import { openModal } from './dialogs.js';
+import { openCommandPalette } from './command-palette.js';
+import { togglePerformanceOverlay } from './performance.js';
+import { announce } from './accessibility.js';
+
+// ==================== Keyboard Navigation ====================
+// Listed in the "?" overlay; keep in sync with the handler below
+const KEYBOARD_SHORTCUTS = [
+    { keys: ['Ctrl/⌘', 'Shift', 'P'], description: 'shortcuts.palette' },
+    { keys: ['/'], description: 'shortcuts.palette' },
+    { keys: ['Ctrl/⌘', 'K'], description: 'shortcuts.search' },
+    { keys: ['Enter'], description: 'shortcuts.nextMatch' },
+    { keys: ['Shift', 'Enter'], description: 'shortcuts.previousMatch' },
+    { keys: ['Alt', '↑ / ↓'], description: 'shortcuts.sections' },
+    { keys: ['j / k'], description: 'shortcuts.cards' },
+    { keys: ['Alt', 'Shift', 'P'], description: 'shortcuts.performance' },
+    { keys: ['?'], description: 'shortcuts.help' },
+    { keys: ['Esc'], description: 'shortcuts.close' }
+];
+
+export function initializeKeyboardShortcuts() {
+    listen(document, 'keydown', handleGlobalKeydown);
+}
+
+function handleGlobalKeydown(e) {
+    // Ctrl/Cmd + Shift + P opens the command palette, even from a text field
+    if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.code === 'KeyP') {
+        e.preventDefault();
+        openCommandPalette();
+        return;
+    }
+    
+    // Ctrl/Cmd + K for search focus
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        elements.searchInput.focus();
+    }
+    
+    // Escape to close sidebar on mobile
+    if (e.key === 'Escape' && state.isSidebarOpen) {
+        closeSidebar();
+    }
+    
+    // Alt + Shift + P toggles the performance overlay
+    if (e.altKey && e.shiftKey && e.code === 'KeyP') {
+        e.preventDefault();
+        togglePerformanceOverlay();
+        return;
+    }
+    
+    // Arrow keys for navigation
+    if (e.altKey) {
+        if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            navigateSection('prev');
+        } else if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            navigateSection('next');
+        }
+    }
+    
+    // Single-key shortcuts must not fire while typing or inside a dialog
+    if (e.ctrlKey || e.metaKey || e.altKey || isTypingTarget(e.target) || isDialogOpen()) return;
+    
+    if (e.key === '/') {
+        e.preventDefault();
+        openCommandPalette();
+    } else if (e.key === '?') {
+        e.preventDefault();
+        showKeyboardShortcuts();
+    } else if (e.key === 'j') {
+        navigateCard(1);
+    } else if (e.key === 'k') {
+        navigateCard(-1);
+    }
+}
+
+function isTypingTarget(target) {
+    return Boolean(target && target.closest && (
+        target.closest('input, textarea, select') || target.isContentEditable
+    ));
+}
+
+function isDialogOpen() {
+    return Boolean(document.querySelector('.modal-overlay, .command-palette-overlay'));
+}
+
+// With a learning path active, Alt+↑/↓ follows the path's sections and stops
+// at either end instead of wrapping round
+export function navigateSection(direction) {
+    const pathSections = getActivePathSections();
+    if (pathSections) {
+        // Off the path, "next" goes to its first section
+        const index = pathSections.indexOf(store.getState().currentSection);
+        const target = direction === 'next' ? pathSections[index + 1] : pathSections[index - 1];
+        if (target) {
+            scrollToSection(target);
+        } else {
+            announce(translate('paths.endReached'));
+        }
+        return;
+    }
+    
+    const currentIndex = Array.from(elements.sections).findIndex(
+        section => section.id === store.getState().currentSection
+    );
+    
+    let newIndex;
+    if (direction === 'next') {
+        newIndex = (currentIndex + 1) % elements.sections.length;
+    } else {
+        newIndex = currentIndex - 1 < 0 ? elements.sections.length - 1 : currentIndex - 1;
+    }
+    
+    const newSection = elements.sections[newIndex];
+    if (newSection) {
+        scrollToSection(newSection.id);
+    }
+}
+
+// j/k: step through cards, starting from the one nearest the top of the viewport
+function navigateCard(step) {
+    const cards = Array.from(getTrackedCards());
+    if (cards.length === 0) return;
+    
+    let index = cards.indexOf(document.activeElement);
+    if (index !== -1) {
+        index += step;
+    } else {
+        const below = cards.findIndex(card => card.getBoundingClientRect().top > CONFIG.SCROLL_OFFSET + 10);
+        const next = below === -1 ? cards.length : below;
+        index = step > 0 ? next : next - 1;
+    }
+    
+    const card = cards[Math.max(0, Math.min(cards.length - 1, index))];
+    if (!card.hasAttribute('tabindex')) {
+        card.setAttribute('tabindex', '-1');
+    }
+    card.focus({ preventScroll: true });
+    scrollToElement(card);
+    announce(getCardTitle(card));
+}
+
+export function showKeyboardShortcuts() {
+    const list = document.createElement('dl');
+    list.className = 'shortcut-list';
+    
+    KEYBOARD_SHORTCUTS.forEach(shortcut => {
+        const keys = document.createElement('dt');
+        shortcut.keys.forEach((key, index) => {
+            if (index > 0) keys.append(' + ');
+            const kbd = document.createElement('kbd');
+            kbd.textContent = key;
+            keys.appendChild(kbd);
+        });
+        
+        const description = document.createElement('dd');
+        description.textContent = translate(shortcut.description);
+        
+        list.append(keys, description);
+    });
+    
+    openModal({
+        title: translate('shortcuts.title'),
+        content: list,
+        actions: [{ label: translate('common.close'), primary: true }]
+    });
+}
@@ -0,0 +1,29 @@
+// ============================================
+// Web Dev Documentation Portal - Lifecycle
+// ============================================
+
+// ==================== Lifecycle ====================
+// Everything init() sets up on long-lived targets (window, document, the
+// static page chrome) is registered here so destroy() can undo it.
+const cleanups = [];
+
+export function listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    cleanups.push(() => target.removeEventListener(type, handler, options));
+}
+
+export function onDestroy(cleanup) {
+    cleanups.push(cleanup);
+}
+
+// Last in, first out, so teardown mirrors setup
+export function runCleanups() {
+    while (cleanups.length > 0) {
+        const cleanup = cleanups.pop();
+        try {
+            cleanup();
+        } catch (e) {
+            console.error('Error during cleanup:', e);
+        }
+    }
+}
@@ -0,0 +1,212 @@
+// ============================================
+// Advanced Web Development Documentation Portal
+// Entry point: start-up, teardown and the public API
+// ============================================
+
+import { CONFIG } from './config.js';
+import { elements, queryElements, state } from './state.js';
+import { listen, runCleanups } from './lifecycle.js';
+import { clearEventListeners, defineEvent, emit, off, on } from './events.js';
+import { startPlugins, stopPlugins, use } from './plugins.js';
+import { store } from './store.js';
+import { initializeLanguage, registerLanguage, setLanguage, translate } from './i18n.js';
+import { loadContent, showContentError } from './content.js';
+import { initializeTheme, registerTheme, setThemePreference, toggleTheme } from './theme.js';
+import {
+    initializeFocusMode, initializeReadingMode, setFocusMode, setReadingMode
+} from './reading.js';
+import {
+    initializeDeepLinks, initializeNavigation, initializePageToc, scrollToSection
+} from './navigation.js';
+import { clearSearch, initializeSearch } from './search.js';
+import { initializeExpandables, initializeScrollAnimations, toggleExpand } from './cards.js';
+import {
+    initializeProgressSharing, initializeProgressTracking, loadUserProgress,
+    undoLastChange, updateProgressDisplay
+} from './progress.js';
+import { initializeLearningPaths, setActivePath } from './paths.js';
+import { initializeWhatsNew } from './whats-new.js';
+import { initializeAnnotations } from './annotations.js';
+import { initializeResponsiveLayout, initializeSidebar } from './sidebar.js';
+import { initializePrintExport } from './print.js';
+import { initializeQuiz } from './quiz.js';
+import { initializeKeyboardShortcuts } from './keyboard.js';
+import {
+    initializeCommandPalette, openCommandPalette, registerCommand
+} from './command-palette.js';
+import { initializeCodeBlocks } from './code-blocks.js';
+import { handlePlaygroundMessage } from './playground.js';
+import { initializeAnalytics } from './analytics.js';
+import { measurePerformance, schedulePerformanceRender } from './performance.js';
+import { initializeOfflineSupport } from './offline.js';
+import { initializeEasterEggs } from './easter-eggs.js';
+import { createScrollToTopButton, enhanceAccessibility } from './accessibility.js';
+
+// ==================== Initialization ====================
+// Modules only declare things; nothing touches the page until init() runs,
+// and destroy() undoes it so the app can be torn down and started again.
+let initialized = false;
+let initializing = null;
+
+function init() {
+    if (!initializing) {
+        initializing = startApp().finally(() => {
+            initializing = null;
+        });
+    }
+    return initializing;
+}
+
+async function startApp() {
+    if (initialized) return;
+    initialized = true;
+    console.log('🚀 Web Dev Documentation Portal Initialized');
+    
+    queryElements();
+    measurePerformance();
+    enhanceAccessibility();
+    createScrollToTopButton();
+    initializeKeyboardShortcuts();
+    initializeEasterEggs();
+    initializeResponsiveLayout();
+    initializeOfflineSupport();
+    listen(window, 'message', handlePlaygroundMessage);
+    
+    // Theme labels and content depend on the language, so it loads first
+    await initializeLanguage();
+    initializeTheme();
+    // Applied before content renders so the layout doesn't jump
+    initializeReadingMode();
+    
+    try {
+        await loadContent();
+    } catch (e) {
+        console.error('Error loading content:', e);
+        showContentError(e);
+        return;
+    }
+    
+    initializeCodeBlocks();
+    // Before deep links so saved cards are open when the hash target is scrolled to
+    initializeExpandables();
+    initializeNavigation();
+    initializeDeepLinks();
+    initializePageToc();
+    initializeFocusMode();
+    initializeAnnotations();
+    initializeSearch();
+    initializeScrollAnimations();
+    initializeProgressTracking();
+    initializeLearningPaths();
+    initializeSidebar();
+    loadUserProgress();
+    // Needs the previous visit date read by loadUserProgress
+    initializeWhatsNew();
+    initializeProgressSharing();
+    initializePrintExport();
+    initializeQuiz();
+    initializeAnalytics();
+    initializeCommandPalette();
+    
+    // Fill the live Web Vitals panel in the Performance section
+    schedulePerformanceRender();
+    
+    // Fills in the total and the translated "x / y completed" line
+    updateProgressDisplay();
+    
+    logStartupSummary();
+    
+    startPlugins(WebDevDocs);
+    emit('app:ready');
+}
+
+function destroy() {
+    if (!initialized) return;
+    
+    emit('app:destroy');
+    stopPlugins();
+    runCleanups();
+    clearEventListeners();
+    initialized = false;
+    console.log('👋 Web Dev Documentation Portal stopped');
+}
+
+// ==================== Final Setup ====================
+function logStartupSummary() {
+    console.log(`
+╔═══════════════════════════════════════════╗
+║  Web Development Documentation Portal    ║
+║  Status: ✅ Fully Loaded                 ║
+║  Sections: ${elements.sections.length}                            ║
+║  Theme: ${state.currentTheme}                    ║
+╚═══════════════════════════════════════════╝
+`);
+    
+    console.log('⌨️  Press ? for keyboard shortcuts or / for the command palette');
+}
+
+// A copy, so callers can't change app state behind the app's back
+function getState() {
+    const data = store.getState();
+    
+    return {
+        currentSection: data.currentSection,
+        theme: state.currentTheme,
+        themePreference: data.themePreference,
+        accentColor: data.accentColor,
+        learningPath: data.activePath,
+        language: state.language,
+        reading: { ...state.reading },
+        visitedSections: [...data.visitedSections],
+        cards: Object.fromEntries(data.cardProgress),
+        expandedCards: [...state.expandedCards],
+        bookmarks: [...data.bookmarks.keys()],
+        searchQuery: state.searchQuery
+    };
+}
+
+// ==================== Export Public API ====================
+const WebDevDocs = {
+    init,
+    destroy,
+    use,
+    on,
+    off,
+    defineEvent,
+    getState,
+    // subscribe(selector, listener): selectors get the store's data, which is read-only
+    subscribe: store.subscribe,
+    undo: undoLastChange,
+    scrollToSection,
+    toggleTheme,
+    setTheme: setThemePreference,
+    registerTheme,
+    registerCommand,
+    openCommandPalette,
+    setLanguage,
+    registerLanguage,
+    translate,
+    clearSearch,
+    setReadingMode,
+    setFocusMode,
+    setLearningPath: setActivePath,
+    config: CONFIG
+};
+
+window.WebDevDocs = WebDevDocs;
+// Inline onclick handlers in custom content still call this
+window.toggleExpand = toggleExpand;
+
+// ==================== Export State (for debugging) ====================
+// A fresh copy on every read; changes go through the API
+Object.defineProperty(window, 'appState', { get: getState, configurable: true });
+window.appConfig = CONFIG;
+
+// Module scripts, this one and any plugin scripts after it, all run before
+// DOMContentLoaded. Waiting for it lets plugins register themes and languages
+// before the saved choices are read. Imported later than that, call init().
+if (document.readyState === 'complete') {
+    init();
+} else {
+    document.addEventListener('DOMContentLoaded', init, { once: true });
+}
@@ -0,0 +1,376 @@
+// ============================================
+// Web Dev Documentation Portal - Navigation
+// ============================================
+
+import { CONFIG } from './config.js';
+import { elements } from './state.js';
+import { listen, onDestroy } from './lifecycle.js';
+import { emit } from './events.js';
+import { store } from './store.js';
+import { translate } from './i18n.js';
+import { getScrollBehavior } from './reading.js';
+import { getSectionTitle } from './search.js';
+import { revealCard } from './cards.js';
+import { getCardTitle, markSectionVisited } from './progress.js';
+import { closeSidebar } from './sidebar.js';
+import { scrollToTop } from './utils.js';
+import { copyToClipboard } from './code-blocks.js';
+import { trackPageView } from './analytics.js';
+import { announce } from './accessibility.js';
+
+// ==================== Navigation System ====================
+export function initializeNavigation() {
+    // Add click handlers to navigation links
+    elements.navLinks.forEach(link => {
+        listen(link, 'click', handleNavClick);
+    });
+    
+    listen(elements.navList, 'click', handleNavListClick);
+    
+    // The nav follows the current section however it changes (scrolling, links, search)
+    renderActiveNav(store.getState().currentSection);
+    onDestroy(store.subscribe(data => data.currentSection, handleSectionChange));
+    
+    observeActiveSection();
+}
+
+function handleNavListClick(e) {
+    const toggle = e.target.closest('.nav-subtoggle');
+    if (toggle) {
+        const item = toggle.closest('.nav-item');
+        // Once opened or closed by hand, a sublist no longer follows scrolling
+        item.dataset.pinned = 'true';
+        setNavSublistExpanded(item, toggle.getAttribute('aria-expanded') !== 'true');
+        return;
+    }
+    
+    if (e.target.closest('.nav-sublink')) {
+        followInPageLink(e);
+        if (window.innerWidth <= 768) {
+            closeSidebar();
+        }
+    }
+}
+
+function setNavSublistExpanded(item, expanded) {
+    const toggle = item.querySelector('.nav-subtoggle');
+    const sublist = item.querySelector('.nav-sublist');
+    if (!toggle || !sublist) return;
+    
+    toggle.setAttribute('aria-expanded', expanded ? 'true' : 'false');
+    sublist.hidden = !expanded;
+}
+
+function handleNavClick(e) {
+    e.preventDefault();
+    const targetId = this.getAttribute('href').substring(1);
+    
+    // Update active state
+    elements.navLinks.forEach(link => link.classList.remove('active'));
+    this.classList.add('active');
+    
+    // Scroll to section
+    scrollToSection(targetId);
+    
+    // Update URL
+    history.pushState(null, null, `#${targetId}`);
+    
+    // Close sidebar on mobile
+    if (window.innerWidth <= 768) {
+        closeSidebar();
+    }
+    
+    // Mark section as visited
+    markSectionVisited(targetId);
+}
+
+// Accepts a section id or the id of any element inside a section (e.g. a card)
+export function scrollToSection(targetId) {
+    const target = document.getElementById(targetId);
+    if (target) {
+        scrollToElement(target);
+    }
+}
+
+export function scrollToElement(target) {
+    const offsetTop = target.getBoundingClientRect().top + window.scrollY - CONFIG.SCROLL_OFFSET;
+    window.scrollTo({
+        top: offsetTop,
+        behavior: getScrollBehavior()
+    });
+    
+    const section = target.closest('.section');
+    if (section) {
+        store.setState({ currentSection: section.id }, { type: 'section/scroll' });
+    }
+}
+
+// The current section is the first one crossing the reading band just below
+// the header. IntersectionObserver does the geometry, so scrolling never
+// forces layout reads.
+export function getReadingBandMargin() {
+    return `-${CONFIG.SCROLL_OFFSET + 50}px 0px -60% 0px`;
+}
+
+function observeActiveSection() {
+    const intersecting = new Set();
+    
+    const observer = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            if (entry.isIntersecting) {
+                intersecting.add(entry.target);
+            } else {
+                intersecting.delete(entry.target);
+            }
+        });
+        
+        const current = Array.from(elements.sections).find(section => intersecting.has(section));
+        if (current) {
+            setActiveSection(current.id);
+        }
+    }, {
+        rootMargin: getReadingBandMargin()
+    });
+    
+    elements.sections.forEach(section => observer.observe(section));
+    onDestroy(() => observer.disconnect());
+}
+
+function setActiveSection(sectionId) {
+    if (sectionId === store.getState().currentSection) return;
+    
+    store.setState({ currentSection: sectionId }, { type: 'section/active' });
+    markSectionVisited(sectionId);
+}
+
+function handleSectionChange(sectionId) {
+    renderActiveNav(sectionId);
+    renderPageToc(sectionId);
+    emit('section:changed', { sectionId });
+    trackPageView(sectionId);
+}
+
+function renderActiveNav(sectionId) {
+    elements.navLinks.forEach(link => {
+        const active = link.getAttribute('href') === `#${sectionId}`;
+        link.classList.toggle('active', active);
+        if (active) {
+            link.setAttribute('aria-current', 'location');
+        } else {
+            link.removeAttribute('aria-current');
+        }
+    });
+    
+    elements.navList.querySelectorAll('.nav-item').forEach(item => {
+        if (item.dataset.pinned !== 'true') {
+            setNavSublistExpanded(item, item.dataset.section === sectionId);
+        }
+    });
+}
+
+// ==================== On This Page ====================
+// Right-rail table of contents for the current section: its cards, with the
+// headings inside each card nested below. One observer watches every card and
+// heading; only the entries of the rendered section are highlighted.
+const pageToc = {
+    sectionId: null,
+    entries: [],
+    visible: new Set()
+};
+
+export function initializePageToc() {
+    const observer = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            if (entry.isIntersecting) {
+                pageToc.visible.add(entry.target);
+            } else {
+                pageToc.visible.delete(entry.target);
+            }
+        });
+        updatePageTocHighlight();
+    }, {
+        rootMargin: getReadingBandMargin()
+    });
+    
+    document.querySelectorAll('.section .card, .section .card h3[id], .section .card h4[id]').forEach(target => {
+        observer.observe(target);
+    });
+    onDestroy(() => observer.disconnect());
+    
+    listen(elements.pageTocList, 'click', (e) => {
+        if (e.target.closest('.page-toc-link')) {
+            followInPageLink(e);
+        }
+    });
+    
+    renderPageToc(store.getState().currentSection);
+}
+
+function renderPageToc(sectionId) {
+    const section = document.getElementById(sectionId);
+    if (!section || sectionId === pageToc.sectionId) return;
+    
+    pageToc.sectionId = sectionId;
+    pageToc.entries = [];
+    elements.pageTocList.innerHTML = '';
+    elements.pageTocSection.textContent = getSectionTitle(section);
+    
+    section.querySelectorAll('.card').forEach(card => {
+        const item = createPageTocItem(card, getCardTitle(card));
+        
+        const headings = card.querySelectorAll('h3[id], h4[id]');
+        if (headings.length > 0) {
+            const sublist = document.createElement('ol');
+            sublist.className = 'page-toc-sublist';
+            headings.forEach(heading => {
+                sublist.appendChild(createPageTocItem(heading, heading.textContent.trim()));
+            });
+            item.appendChild(sublist);
+        }
+        
+        elements.pageTocList.appendChild(item);
+    });
+    
+    elements.pageToc.hidden = pageToc.entries.length === 0;
+    updatePageTocHighlight();
+}
+
+function createPageTocItem(target, label) {
+    const item = document.createElement('li');
+    const link = document.createElement('a');
+    link.href = `#${target.id}`;
+    link.className = 'page-toc-link';
+    link.textContent = label;
+    item.appendChild(link);
+    
+    pageToc.entries.push({ target, link });
+    return item;
+}
+
+// Highlights the first visible card and the first visible heading; when
+// nothing in the section is in the band the previous highlight stays
+function updatePageTocHighlight() {
+    const isVisible = entry => pageToc.visible.has(entry.target);
+    const activeCard = pageToc.entries.find(entry => entry.target.classList.contains('card') && isVisible(entry));
+    if (!activeCard) return;
+    
+    const activeHeading = pageToc.entries.find(entry =>
+        !entry.target.classList.contains('card') && activeCard.target.contains(entry.target) && isVisible(entry)
+    );
+    
+    pageToc.entries.forEach(entry => {
+        const active = entry === activeCard || entry === activeHeading;
+        entry.link.classList.toggle('active', active);
+        if (active) {
+            entry.link.setAttribute('aria-current', 'location');
+        } else {
+            entry.link.removeAttribute('aria-current');
+        }
+    });
+}
+
+// ==================== Deep Links ====================
+// Sections, cards and headings inside cards all have stable ids, so any of
+// them can be linked as index.html#<id>. Hash targets are revealed (collapsed
+// cards expanded), scrolled to and briefly flashed, on load and on back/forward.
+export function initializeDeepLinks() {
+    addAnchorLinks();
+    
+    navigateToHash();
+    listen(window, 'popstate', navigateToHash);
+}
+
+function getHashTarget() {
+    let id = window.location.hash.substring(1);
+    try {
+        // Slugs keep non-Latin letters, which arrive percent-encoded
+        id = decodeURIComponent(id);
+    } catch (e) {
+        return null;
+    }
+    return id ? document.getElementById(id) : null;
+}
+
+function navigateToHash() {
+    const target = getHashTarget();
+    if (!target) {
+        // Back to the entry we started on; hashes like #progress= aren't element ids
+        if (!window.location.hash) {
+            scrollToTop();
+        }
+        return;
+    }
+    
+    revealCard(target);
+    scrollToElement(target);
+    
+    if (!target.classList.contains('section')) {
+        flashTarget(target);
+    }
+}
+
+function flashTarget(target) {
+    target.classList.remove('link-target');
+    // Force a reflow so the animation restarts when the same target is flashed twice
+    void target.offsetWidth;
+    target.classList.add('link-target');
+    setTimeout(() => {
+        target.classList.remove('link-target');
+    }, CONFIG.DEEP_LINKS.FLASH_DURATION);
+}
+
+function addAnchorLinks() {
+    elements.sections.forEach(section => {
+        const title = section.querySelector('.section-title');
+        if (title) {
+            title.appendChild(createAnchorLink(section, getSectionTitle(section)));
+        }
+        
+        section.querySelectorAll('.card').forEach(card => {
+            // Card headers can be disclosure buttons, so the card anchor sits beside them
+            card.classList.add('has-anchor');
+            card.insertBefore(createAnchorLink(card, getCardTitle(card)), card.firstChild);
+            
+            card.querySelectorAll('h3[id], h4[id]').forEach(heading => {
+                heading.appendChild(createAnchorLink(heading, heading.textContent.trim()));
+            });
+        });
+    });
+}
+
+// In-page links to cards and headings go through the same path as deep links
+function followInPageLink(e) {
+    const link = e.target.closest('a[href^="#"]');
+    if (!link) return;
+    
+    e.preventDefault();
+    if (window.location.hash !== link.getAttribute('href')) {
+        history.pushState(null, null, link.getAttribute('href'));
+    }
+    navigateToHash();
+}
+
+function createAnchorLink(target, label) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'anchor-link';
+    button.setAttribute('aria-label', translate('anchor.copyLinkTo', { title: label }));
+    button.title = translate('anchor.copyLink');
+    
+    button.addEventListener('click', () => {
+        const url = `${window.location.origin}${window.location.pathname}${window.location.search}#${target.id}`;
+        copyToClipboard(url);
+        
+        if (window.location.hash !== `#${target.id}`) {
+            history.pushState(null, null, `#${target.id}`);
+        }
+        
+        button.classList.add('copied');
+        setTimeout(() => {
+            button.classList.remove('copied');
+        }, CONFIG.DEEP_LINKS.COPIED_FEEDBACK_DURATION);
+        announce(translate('anchor.copied', { title: label }));
+    });
+    
+    return button;
+}
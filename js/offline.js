@@ -0,0 +1,127 @@
+// ============================================
+// Web Dev Documentation Portal - Offline Support
+// ============================================
+
+import { CONFIG } from './config.js';
+import { listen } from './lifecycle.js';
+import { translate } from './i18n.js';
+
+// Set once the reader accepts an update; clients.claim() also changes the
+// controller on a first visit, which must not reload the page
+let updateAccepted = false;
+
+// ==================== Offline Support ====================
+export function initializeOfflineSupport() {
+    if (!('serviceWorker' in navigator)) return;
+    
+    if (document.readyState === 'complete') {
+        registerServiceWorker();
+    } else {
+        listen(window, 'load', registerServiceWorker);
+    }
+}
+
+function registerServiceWorker() {
+    navigator.serviceWorker.register('sw.js')
+        .then(registration => {
+            console.log('✅ Service Worker registered');
+            
+            // A worker already waiting means an update shipped while this tab was closed
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                showUpdateToast(registration.waiting);
+            }
+            
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    // No controller yet means this is the first install, not an update
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        showUpdateToast(worker);
+                    }
+                });
+            });
+        })
+        .catch(err => console.log('❌ Service Worker registration failed:', err));
+    
+    listen(navigator.serviceWorker, 'controllerchange', () => {
+        if (!updateAccepted) return;
+        updateAccepted = false;
+        window.location.reload();
+    });
+    
+    // A cached file changed on the server without a new worker
+    listen(navigator.serviceWorker, 'message', (e) => {
+        if (e.data && e.data.type === 'CONTENT_UPDATED') {
+            showUpdateToast(null);
+        }
+    });
+    
+    listen(window, 'offline', () => {
+        showToast(translate('offline.offline'));
+    });
+    listen(window, 'online', () => {
+        showToast(translate('offline.online'));
+    });
+}
+
+function showUpdateToast(worker) {
+    showToast(translate('offline.update'), {
+        label: translate('offline.reload'),
+        onClick: () => {
+            if (worker) {
+                // controllerchange reloads once the new worker takes over
+                updateAccepted = true;
+                worker.postMessage({ type: 'SKIP_WAITING' });
+            } else {
+                window.location.reload();
+            }
+        }
+    });
+}
+
+export function showToast(message, action, onDismiss) {
+    const existing = document.querySelector('.toast');
+    if (existing) {
+        existing.remove();
+    }
+    
+    const toast = document.createElement('div');
+    toast.className = 'toast';
+    toast.setAttribute('role', 'status');
+    
+    const text = document.createElement('span');
+    text.textContent = message;
+    toast.appendChild(text);
+    
+    if (action) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'toast-action';
+        button.textContent = action.label;
+        button.addEventListener('click', () => {
+            toast.remove();
+            action.onClick();
+        });
+        toast.appendChild(button);
+    }
+    
+    const dismiss = document.createElement('button');
+    dismiss.type = 'button';
+    dismiss.className = 'toast-dismiss';
+    dismiss.setAttribute('aria-label', translate('common.dismiss'));
+    dismiss.textContent = '×';
+    dismiss.addEventListener('click', () => {
+        toast.remove();
+        if (onDismiss) {
+            onDismiss();
+        }
+    });
+    toast.appendChild(dismiss);
+    
+    document.body.appendChild(toast);
+    
+    // Actionable toasts stay until dismissed
+    if (!action) {
+        setTimeout(() => toast.remove(), CONFIG.TOAST_DURATION);
+    }
+}
@@ -0,0 +1,298 @@
+// ============================================
+// Web Dev Documentation Portal - Learning Paths
+// ============================================
+
+import { CONFIG } from './config.js';
+import { elements, state } from './state.js';
+import { listen, onDestroy } from './lifecycle.js';
+import { persist, store } from './store.js';
+import { hasTranslation, translate } from './i18n.js';
+import { scrollToElement } from './navigation.js';
+import { getSectionTitle } from './search.js';
+import { revealCard } from './cards.js';
+import { getCardTitle } from './progress.js';
+import { announce } from './accessibility.js';
+
+// ==================== Learning Paths ====================
+// Curated tracks through the docs, listed under "paths" in site.json. A step
+// is a section or a card:
+//   { "section": "backend" }
+//   { "card": "backend-jwt-authentication-flow", "requires": ["backend"] }
+// A step is locked until the steps it requires are done; without "requires"
+// that is the step before it. Sections are done once visited, cards once read.
+let learningPaths = [];
+
+// Remembered between renders to announce a path being finished only once
+const pathView = {
+    pathId: null,
+    complete: false
+};
+
+export function initializeLearningPaths() {
+    learningPaths = normalizePaths(state.content.site.paths || []);
+    elements.learningPath.hidden = learningPaths.length === 0;
+    if (learningPaths.length === 0) return;
+    
+    renderPathOptions();
+    listen(elements.pathSelect, 'change', () => setActivePath(elements.pathSelect.value || null));
+    listen(elements.pathNextBtn, 'click', goToNextStep);
+    
+    // A saved path that was removed from site.json is dropped
+    const saved = localStorage.getItem(CONFIG.STORAGE_KEYS.LEARNING_PATH);
+    store.setState({ activePath: findPath(saved) ? saved : null }, { type: 'paths/load', persist: false });
+    persist({
+        key: CONFIG.STORAGE_KEYS.LEARNING_PATH,
+        slices: ['activePath'],
+        save: data => data.activePath,
+        load: value => ({ activePath: findPath(value) ? value : null })
+    });
+    onDestroy(store.subscribe(data => [data.activePath, data.visitedSections, data.cardProgress], () => renderLearningPath()));
+    
+    renderLearningPath();
+}
+
+function normalizePaths(paths) {
+    const seenIds = new Set();
+    
+    return paths.filter(path => {
+        if (!path.id || !path.title || !Array.isArray(path.steps)) {
+            console.warn('⚠️ Learning paths need an id, a title and a list of steps:', path);
+            return false;
+        }
+        if (seenIds.has(path.id)) {
+            console.warn(`⚠️ Duplicate learning path "${path.id}"`);
+            return false;
+        }
+        seenIds.add(path.id);
+        return true;
+    }).map(path => ({ ...path, steps: normalizeSteps(path) }));
+}
+
+function normalizeSteps(path) {
+    const steps = path.steps.map(step => {
+        const type = step.section ? 'section' : 'card';
+        const id = step.section || step.card;
+        const target = id && document.getElementById(id);
+        
+        if (!target || !target.classList.contains(type)) {
+            console.warn(`⚠️ Learning path "${path.id}" links to unknown ${type} "${id}"`);
+            return null;
+        }
+        
+        return { id, type, sectionId: target.closest('.section').id, requires: step.requires };
+    }).filter(Boolean);
+    
+    const stepIds = steps.map(step => step.id);
+    
+    return steps.map((step, index) => {
+        const requires = step.requires || (index > 0 ? [stepIds[index - 1]] : []);
+        
+        return {
+            ...step,
+            requires: requires.filter(id => {
+                if (stepIds.includes(id)) return true;
+                console.warn(`⚠️ Learning path "${path.id}": "${step.id}" requires "${id}", which is not a step of the path`);
+                return false;
+            })
+        };
+    });
+}
+
+function findPath(pathId) {
+    return learningPaths.find(path => path.id === pathId) || null;
+}
+
+// Path titles and descriptions are translated under "path.<id>.title" and
+// "path.<id>.description"; otherwise the site.json text is used
+function getPathTitle(path) {
+    const key = `path.${path.id}.title`;
+    return hasTranslation(key) ? translate(key) : path.title;
+}
+
+function getPathDescription(path) {
+    const key = `path.${path.id}.description`;
+    return hasTranslation(key) ? translate(key) : (path.description || '');
+}
+
+function getStepTitle(step) {
+    const target = document.getElementById(step.id);
+    return step.type === 'section' ? getSectionTitle(target) : getCardTitle(target);
+}
+
+function isStepDone(step, data) {
+    if (step.type === 'section') {
+        return data.visitedSections.has(step.id);
+    }
+    
+    const progress = data.cardProgress.get(step.id);
+    return Boolean(progress && (progress.readAt || progress.understoodAt));
+}
+
+// Steps done out of order count as done even if they were still locked
+function getPathStatus(path, data = store.getState()) {
+    const done = new Set(path.steps.filter(step => isStepDone(step, data)).map(step => step.id));
+    
+    return path.steps.map(step => ({
+        step,
+        done: done.has(step.id),
+        locked: !done.has(step.id) && step.requires.some(id => !done.has(id)),
+        missing: step.requires.filter(id => !done.has(id))
+    }));
+}
+
+function getNextStatus(statuses) {
+    return statuses.find(status => !status.done && !status.locked) || null;
+}
+
+export function setActivePath(pathId) {
+    const path = pathId ? findPath(pathId) : null;
+    if (pathId && !path) {
+        throw new Error(`Unknown learning path "${pathId}"`);
+    }
+    
+    store.setState({ activePath: path ? path.id : null }, { type: 'paths/select' });
+    announce(path ? translate('paths.selected', { path: getPathTitle(path) }) : translate('paths.left'));
+}
+
+// Section order of the active path for Alt+↑/↓, or null without one
+export function getActivePathSections() {
+    const path = findPath(store.getState().activePath);
+    if (!path) return null;
+    
+    return [...new Set(path.steps.map(step => step.sectionId))];
+}
+
+function goToNextStep() {
+    const path = findPath(store.getState().activePath);
+    const next = path && getNextStatus(getPathStatus(path));
+    if (!next) {
+        announce(translate(path ? 'paths.complete' : 'paths.noneSelected'));
+        return;
+    }
+    
+    const target = document.getElementById(next.step.id);
+    revealCard(target);
+    scrollToElement(target);
+    history.pushState(null, null, `#${next.step.id}`);
+}
+
+// Listed by the command palette each time it opens, like sections and themes
+export function getPathCommands() {
+    if (learningPaths.length === 0) return [];
+    const group = translate('commandGroup.paths');
+    
+    const pathCommands = learningPaths.map(path => ({
+        id: `path.${path.id}`,
+        title: translate('command.path', { path: getPathTitle(path) }),
+        group,
+        keywords: 'learning track',
+        run: () => setActivePath(path.id)
+    }));
+    
+    return [
+        ...pathCommands,
+        { id: 'path.next', title: translate('command.path.next'), group, keywords: 'learning next up', run: goToNextStep },
+        { id: 'path.leave', title: translate('command.path.leave'), group, keywords: 'learning exit stop', run: () => setActivePath(null) }
+    ];
+}
+
+// ==================== Path Picker & Nav Markers ====================
+function renderPathOptions() {
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = translate('paths.none');
+    
+    elements.pathSelect.replaceChildren(none, ...learningPaths.map(path => {
+        const option = document.createElement('option');
+        option.value = path.id;
+        return option;
+    }));
+}
+
+function renderLearningPath() {
+    const data = store.getState();
+    const path = findPath(data.activePath);
+    const statuses = path ? getPathStatus(path, data) : [];
+    
+    // Each option shows how far along that path the reader is
+    learningPaths.forEach(candidate => {
+        const option = elements.pathSelect.querySelector(`option[value="${candidate.id}"]`);
+        const done = getPathStatus(candidate, data).filter(status => status.done).length;
+        option.textContent = translate('paths.option', { path: getPathTitle(candidate), done, count: candidate.steps.length });
+    });
+    elements.pathSelect.value = path ? path.id : '';
+    
+    renderPathSummary(path, statuses);
+    renderNavMarkers(path, statuses);
+    
+    const complete = Boolean(path) && statuses.every(status => status.done);
+    if (complete && !pathView.complete && pathView.pathId === path.id) {
+        announce(translate('paths.finished', { path: getPathTitle(path) }));
+    }
+    pathView.pathId = path ? path.id : null;
+    pathView.complete = complete;
+}
+
+function renderPathSummary(path, statuses) {
+    elements.pathSummary.hidden = !path;
+    if (!path) return;
+    
+    const done = statuses.filter(status => status.done).length;
+    elements.pathDescription.textContent = getPathDescription(path);
+    elements.pathProgressFill.style.width = `${Math.round(done / statuses.length * 100)}%`;
+    elements.pathProgressText.textContent = translate('paths.progress', { done, count: statuses.length });
+    
+    const next = getNextStatus(statuses);
+    elements.pathNextBtn.disabled = !next;
+    elements.pathNextBtn.textContent = next
+        ? translate('paths.nextUp', { title: getStepTitle(next.step) })
+        : translate('paths.complete');
+}
+
+function renderNavMarkers(path, statuses) {
+    elements.navList.querySelectorAll('.path-marker').forEach(marker => marker.remove());
+    
+    const onPath = new Set(statuses.map(({ step }) => step.sectionId));
+    elements.navList.querySelectorAll('.nav-item').forEach(item => {
+        item.classList.toggle('off-path', Boolean(path) && !onPath.has(item.dataset.section));
+    });
+    
+    statuses.forEach((status, index) => {
+        const link = status.step.type === 'section'
+            ? elements.navList.querySelector(`.nav-item[data-section="${status.step.id}"] > .nav-link`)
+            : elements.navList.querySelector(`.nav-sublink[href="#${status.step.id}"]`);
+        if (link) {
+            link.after(createPathMarker(status, index + 1));
+        }
+    });
+}
+
+function createPathMarker(status, number) {
+    let label;
+    let symbol;
+    
+    if (status.done) {
+        label = translate('paths.stepDone', { number });
+        symbol = '✓';
+    } else if (status.locked) {
+        const requires = status.missing.map(id => getStepTitle(findStep(id))).join(', ');
+        label = translate('paths.stepLocked', { number, requires });
+        symbol = '🔒';
+    } else {
+        label = translate('paths.step', { number });
+        symbol = String(number);
+    }
+    
+    const marker = document.createElement('span');
+    marker.className = `path-marker ${status.done ? 'done' : status.locked ? 'locked' : 'open'}`;
+    marker.setAttribute('role', 'img');
+    marker.setAttribute('aria-label', label);
+    marker.title = label;
+    marker.textContent = symbol;
+    return marker;
+}
+
+function findStep(stepId) {
+    const path = findPath(store.getState().activePath);
+    return path.steps.find(step => step.id === stepId);
+}
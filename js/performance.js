@@ -0,0 +1,282 @@
+// ============================================
+// Web Dev Documentation Portal - Performance Monitoring
+// ============================================
+
+import { CONFIG } from './config.js';
+import { listen, onDestroy } from './lifecycle.js';
+import { trackInteraction } from './analytics.js';
+import { translate } from './i18n.js';
+
+// ==================== Performance Monitoring ====================
+// Core Web Vitals, long tasks and resource timing from PerformanceObserver.
+// Values update live in the debug overlay (Alt+Shift+P) and the Performance
+// section, and are reported once through trackInteraction when the page is hidden.
+const WEB_VITAL_LABELS = {
+    LCP: 'performance.lcp',
+    CLS: 'performance.cls',
+    INP: 'performance.inp',
+    FCP: 'performance.fcp',
+    TTFB: 'performance.ttfb'
+};
+
+const performanceMetrics = {
+    vitals: new Map(),
+    layoutShiftWindow: { value: 0, firstTime: 0, lastTime: 0 },
+    interactions: new Map(),
+    longTasks: { count: 0, blockingTime: 0 },
+    resources: { count: 0, transferSize: 0, slowest: [] },
+    renderScheduled: false,
+    reported: false
+};
+
+export function measurePerformance() {
+    // Registered before analytics so these events make the same flush
+    listen(document, 'visibilitychange', () => {
+        if (document.hidden) {
+            reportPerformance();
+        }
+    });
+    
+    listen(document, 'click', (e) => {
+        if (e.target.closest('[data-perf-overlay-toggle]')) {
+            togglePerformanceOverlay();
+        }
+    });
+    
+    if (!('PerformanceObserver' in window)) return;
+    
+    observePerformance('navigation', handleNavigationEntry);
+    observePerformance('paint', (entry) => {
+        if (entry.name === 'first-contentful-paint') {
+            setWebVital('FCP', entry.startTime);
+        }
+    });
+    // LCP keeps updating until the first interaction; the last entry wins
+    observePerformance('largest-contentful-paint', entry => setWebVital('LCP', entry.startTime));
+    observePerformance('layout-shift', handleLayoutShift);
+    observePerformance('event', handleInteractionEntry, { durationThreshold: CONFIG.PERFORMANCE.INP_DURATION_THRESHOLD });
+    observePerformance('first-input', handleInteractionEntry);
+    observePerformance('longtask', handleLongTask);
+    observePerformance('resource', handleResourceEntry);
+}
+
+function observePerformance(type, callback, options = {}) {
+    const supported = PerformanceObserver.supportedEntryTypes || [];
+    if (!supported.includes(type)) return;
+    
+    try {
+        const observer = new PerformanceObserver(list => list.getEntries().forEach(callback));
+        observer.observe({ type, buffered: true, ...options });
+        onDestroy(() => observer.disconnect());
+    } catch (e) {
+        console.warn(`⚠️ Cannot observe ${type} entries:`, e);
+    }
+}
+
+function handleNavigationEntry(entry) {
+    setWebVital('TTFB', entry.responseStart);
+    
+    if (entry.loadEventEnd > 0) {
+        console.log(`⚡ Page load time: ${Math.round(entry.loadEventEnd)}ms`);
+    }
+}
+
+// CLS is the largest burst of shifts less than 1s apart and at most 5s long
+function handleLayoutShift(entry) {
+    if (entry.hadRecentInput) return;
+    
+    const burst = performanceMetrics.layoutShiftWindow;
+    if (burst.value > 0 &&
+        entry.startTime - burst.lastTime < 1000 &&
+        entry.startTime - burst.firstTime < 5000) {
+        burst.value += entry.value;
+    } else {
+        burst.value = entry.value;
+        burst.firstTime = entry.startTime;
+    }
+    burst.lastTime = entry.startTime;
+    
+    const current = performanceMetrics.vitals.get('CLS');
+    if (!current || burst.value > current.value) {
+        setWebVital('CLS', burst.value);
+    }
+}
+
+// INP is the slowest interaction, ignoring one outlier per 50 interactions
+function handleInteractionEntry(entry) {
+    if (!entry.interactionId) return;
+    
+    const { interactions } = performanceMetrics;
+    interactions.set(entry.interactionId, Math.max(interactions.get(entry.interactionId) || 0, entry.duration));
+    
+    const durations = Array.from(interactions.values()).sort((a, b) => b - a);
+    const index = Math.min(durations.length - 1, Math.floor(durations.length / 50));
+    setWebVital('INP', durations[index]);
+}
+
+function handleLongTask(entry) {
+    const { longTasks } = performanceMetrics;
+    longTasks.count++;
+    longTasks.blockingTime += Math.max(0, entry.duration - 50);
+    schedulePerformanceRender();
+}
+
+function handleResourceEntry(entry) {
+    const { resources } = performanceMetrics;
+    resources.count++;
+    resources.transferSize += entry.transferSize || 0;
+    
+    resources.slowest.push({
+        name: entry.name.split('/').pop().split('?')[0] || entry.name,
+        duration: entry.duration
+    });
+    resources.slowest.sort((a, b) => b.duration - a.duration);
+    resources.slowest.length = Math.min(resources.slowest.length, CONFIG.PERFORMANCE.SLOWEST_RESOURCES);
+    
+    schedulePerformanceRender();
+}
+
+function setWebVital(name, value) {
+    const [good, poor] = CONFIG.PERFORMANCE.THRESHOLDS[name];
+    let rating = 'needs-improvement';
+    if (value <= good) rating = 'good';
+    else if (value > poor) rating = 'poor';
+    
+    performanceMetrics.vitals.set(name, { value, rating });
+    schedulePerformanceRender();
+}
+
+function reportPerformance() {
+    if (performanceMetrics.reported) return;
+    performanceMetrics.reported = true;
+    
+    performanceMetrics.vitals.forEach(({ value, rating }, name) => {
+        trackInteraction('web_vital', name, {
+            value: name === 'CLS' ? Number(value.toFixed(3)) : Math.round(value),
+            rating
+        });
+    });
+    
+    const { longTasks, resources } = performanceMetrics;
+    trackInteraction('long_tasks', String(longTasks.count), { blockingTime: Math.round(longTasks.blockingTime) });
+    trackInteraction('resources', String(resources.count), { transferSize: resources.transferSize });
+}
+
+function formatWebVital(name, value) {
+    if (name === 'CLS') return value.toFixed(3);
+    return value >= 1000 ? `${(value / 1000).toFixed(2)} s` : `${Math.round(value)} ms`;
+}
+
+function getPerformanceRows() {
+    const rows = Object.keys(WEB_VITAL_LABELS).map(name => {
+        const vital = performanceMetrics.vitals.get(name);
+        return {
+            label: name,
+            title: translate(WEB_VITAL_LABELS[name]),
+            value: vital ? formatWebVital(name, vital.value) : '—',
+            rating: vital ? vital.rating : null
+        };
+    });
+    
+    const { longTasks, resources } = performanceMetrics;
+    rows.push({
+        label: translate('performance.longTasks'),
+        title: translate('performance.longTasksTitle'),
+        value: `${longTasks.count} · ${Math.round(longTasks.blockingTime)} ms`
+    });
+    rows.push({
+        label: translate('performance.resources'),
+        title: translate('performance.resourcesTitle'),
+        value: `${resources.count} · ${(resources.transferSize / 1024).toFixed(1)} KB`
+    });
+    
+    return rows;
+}
+
+// Entries can arrive in bursts (every resource), so render once per frame
+export function schedulePerformanceRender() {
+    if (performanceMetrics.renderScheduled) return;
+    performanceMetrics.renderScheduled = true;
+    
+    requestAnimationFrame(() => {
+        performanceMetrics.renderScheduled = false;
+        document.querySelectorAll('[data-perf-live], .perf-overlay .perf-metrics').forEach(renderPerformanceMetrics);
+        
+        const slowest = document.querySelector('.perf-overlay .perf-slowest');
+        if (slowest) {
+            renderSlowestResources(slowest);
+        }
+    });
+}
+
+function renderPerformanceMetrics(list) {
+    list.innerHTML = '';
+    
+    getPerformanceRows().forEach(({ label, title, value, rating }) => {
+        const item = document.createElement('div');
+        item.className = rating ? `perf-metric rating-${rating}` : 'perf-metric';
+        item.title = title;
+        
+        const term = document.createElement('dt');
+        term.textContent = label;
+        const detail = document.createElement('dd');
+        detail.textContent = value;
+        
+        item.append(term, detail);
+        list.appendChild(item);
+    });
+}
+
+function renderSlowestResources(list) {
+    list.innerHTML = '';
+    
+    performanceMetrics.resources.slowest.forEach(({ name, duration }) => {
+        const item = document.createElement('li');
+        item.textContent = `${name} · ${Math.round(duration)} ms`;
+        list.appendChild(item);
+    });
+}
+
+export function togglePerformanceOverlay() {
+    const existing = document.querySelector('.perf-overlay');
+    if (existing) {
+        existing.remove();
+        return;
+    }
+    
+    const overlay = document.createElement('div');
+    overlay.className = 'perf-overlay';
+    overlay.setAttribute('role', 'region');
+    overlay.setAttribute('aria-label', translate('performance.label'));
+    
+    const header = document.createElement('div');
+    header.className = 'perf-overlay-header';
+    
+    const title = document.createElement('strong');
+    title.textContent = translate('performance.title');
+    
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.className = 'perf-overlay-close';
+    closeButton.setAttribute('aria-label', translate('performance.close'));
+    closeButton.textContent = '×';
+    closeButton.addEventListener('click', togglePerformanceOverlay);
+    
+    header.append(title, closeButton);
+    
+    const metrics = document.createElement('dl');
+    metrics.className = 'perf-metrics';
+    
+    const slowestTitle = document.createElement('p');
+    slowestTitle.className = 'perf-slowest-title';
+    slowestTitle.textContent = translate('performance.slowest');
+    
+    const slowest = document.createElement('ol');
+    slowest.className = 'perf-slowest';
+    
+    overlay.append(header, metrics, slowestTitle, slowest);
+    document.body.appendChild(overlay);
+    
+    renderPerformanceMetrics(metrics);
+    renderSlowestResources(slowest);
+}
@@ -0,0 +1,266 @@
+// ============================================
+// Web Dev Documentation Portal - Code Playground
+// ============================================
+
+import { CONFIG } from './config.js';
+import { debounce, ensureCardId } from './utils.js';
+import { getCodeSource } from './syntax-highlighting.js';
+import { translate } from './i18n.js';
+
+// ==================== Code Playground ====================
+// Each .code-example can switch into an editor. HTML, CSS and JavaScript run
+// in a sandboxed iframe (no same-origin access) that reports console output
+// back through postMessage.
+const RUNNABLE_LANGUAGES = ['html', 'css', 'javascript'];
+const playgrounds = new Map();
+
+export function createPlaygroundButton(block) {
+    const button = document.createElement('button');
+    button.className = 'code-run-btn';
+    button.textContent = translate(isRunnable(block) ? 'playground.runEdit' : 'playground.edit');
+    button.setAttribute('aria-expanded', 'false');
+    button.classList.toggle('has-edits', getSavedPlaygroundCode(block) !== null);
+    
+    button.addEventListener('click', () => {
+        if (block.classList.contains('playground-active')) {
+            closePlayground(block);
+        } else {
+            openPlayground(block);
+        }
+    });
+    
+    return button;
+}
+
+function getCodeLanguage(block) {
+    return block.dataset.lang || 'text';
+}
+
+function isRunnable(block) {
+    return RUNNABLE_LANGUAGES.includes(getCodeLanguage(block));
+}
+
+// Stable per-block key: the owning card's id plus the block's position in it
+export function getCodeBlockId(block) {
+    const card = block.closest('.card');
+    if (!card) return null;
+    
+    ensureCardId(card, card.closest('.section'));
+    const index = Array.from(card.querySelectorAll('.code-example')).indexOf(block);
+    return `${card.id}-code-${index + 1}`;
+}
+
+function loadPlaygroundEdits() {
+    try {
+        return JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEYS.PLAYGROUND)) || {};
+    } catch (e) {
+        console.error('Error loading playground edits:', e);
+        return {};
+    }
+}
+
+function getSavedPlaygroundCode(block) {
+    const edits = loadPlaygroundEdits();
+    const blockId = getCodeBlockId(block);
+    return blockId && Object.prototype.hasOwnProperty.call(edits, blockId) ? edits[blockId] : null;
+}
+
+function savePlaygroundCode(block, code) {
+    const blockId = getCodeBlockId(block);
+    if (!blockId) return;
+    
+    const edits = loadPlaygroundEdits();
+    const original = getCodeSource(block);
+    
+    if (code === original) {
+        delete edits[blockId];
+    } else {
+        edits[blockId] = code;
+    }
+    
+    localStorage.setItem(CONFIG.STORAGE_KEYS.PLAYGROUND, JSON.stringify(edits));
+    block.querySelector('.code-run-btn').classList.toggle('has-edits', code !== original);
+}
+
+function openPlayground(block) {
+    const original = getCodeSource(block);
+    const saved = getSavedPlaygroundCode(block);
+    const runnable = isRunnable(block);
+    
+    const container = document.createElement('div');
+    container.className = 'code-playground';
+    
+    const editor = document.createElement('textarea');
+    editor.className = 'playground-editor';
+    editor.spellcheck = false;
+    editor.value = saved !== null ? saved : original;
+    editor.rows = Math.min(Math.max(editor.value.split('\n').length, 6), 24);
+    editor.setAttribute('aria-label', translate(runnable ? 'playground.editorRunnable' : 'playground.editor', {
+        language: getCodeLanguage(block)
+    }));
+    
+    const actions = document.createElement('div');
+    actions.className = 'playground-actions';
+    
+    const status = document.createElement('span');
+    status.className = 'playground-status';
+    status.textContent = saved !== null ? translate('playground.restored') : '';
+    
+    const playground = { block, editor, status, iframe: null, output: null };
+    
+    if (runnable) {
+        actions.appendChild(createPlaygroundAction(translate('playground.run'), 'primary', () => runPlayground(playground)));
+    }
+    actions.appendChild(createPlaygroundAction(translate('playground.reset'), '', () => {
+        editor.value = original;
+        savePlaygroundCode(block, original);
+        status.textContent = translate('playground.resetDone');
+        if (runnable) {
+            runPlayground(playground);
+        }
+    }));
+    actions.appendChild(createPlaygroundAction(translate('playground.close'), '', () => closePlayground(block)));
+    actions.appendChild(status);
+    
+    container.append(editor, actions);
+    
+    if (runnable) {
+        const iframe = document.createElement('iframe');
+        iframe.className = `playground-preview lang-${getCodeLanguage(block)}`;
+        iframe.setAttribute('sandbox', 'allow-scripts');
+        iframe.setAttribute('title', translate('playground.preview'));
+        
+        const output = document.createElement('div');
+        output.className = 'playground-console';
+        output.setAttribute('role', 'log');
+        output.setAttribute('aria-label', translate('playground.console'));
+        
+        container.append(iframe, output);
+        playground.iframe = iframe;
+        playground.output = output;
+    }
+    
+    const saveEdits = debounce(() => {
+        savePlaygroundCode(block, editor.value);
+        status.textContent = translate('playground.saved');
+    }, CONFIG.PLAYGROUND.SAVE_DELAY);
+    
+    editor.addEventListener('input', saveEdits);
+    editor.addEventListener('keydown', (e) => handleEditorKeydown(e, playground));
+    
+    block.classList.add('playground-active');
+    block.querySelector('.code-run-btn').setAttribute('aria-expanded', 'true');
+    block.appendChild(container);
+    playgrounds.set(block, playground);
+    
+    editor.focus();
+    if (runnable) {
+        runPlayground(playground);
+    }
+}
+
+function closePlayground(block) {
+    const playground = playgrounds.get(block);
+    if (!playground) return;
+    
+    savePlaygroundCode(block, playground.editor.value);
+    block.querySelector('.code-playground').remove();
+    block.classList.remove('playground-active');
+    block.querySelector('.code-run-btn').setAttribute('aria-expanded', 'false');
+    playgrounds.delete(block);
+}
+
+function createPlaygroundAction(label, className, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `playground-btn ${className}`.trim();
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+function handleEditorKeydown(e, playground) {
+    const editor = playground.editor;
+    
+    if (e.key === 'Tab' && !e.shiftKey) {
+        e.preventDefault();
+        const { selectionStart, selectionEnd, value } = editor;
+        editor.value = `${value.slice(0, selectionStart)}    ${value.slice(selectionEnd)}`;
+        editor.selectionStart = editor.selectionEnd = selectionStart + 4;
+        editor.dispatchEvent(new Event('input'));
+    } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey) && playground.iframe) {
+        e.preventDefault();
+        runPlayground(playground);
+    }
+}
+
+function runPlayground(playground) {
+    playground.output.innerHTML = '';
+    playground.iframe.srcdoc = buildPlaygroundDocument(getCodeLanguage(playground.block), playground.editor.value, playground.block);
+}
+
+function buildPlaygroundDocument(language, code, block) {
+    const bridge = `<script>${PLAYGROUND_CONSOLE_BRIDGE}<\/script>`;
+    const baseStyle = '<style>body { font-family: system-ui, sans-serif; margin: 1rem; }</style>';
+    
+    switch (language) {
+        case 'html':
+            // Run the bridge before any of the snippet's own scripts
+            return /<head[^>]*>/i.test(code)
+                ? code.replace(/<head[^>]*>/i, match => `${match}${bridge}`)
+                : `${bridge}${code}`;
+        case 'css':
+            return `<!DOCTYPE html><html><head>${bridge}${baseStyle}<style>${code}</style></head>` +
+                `<body>${block.dataset.previewHtml || CONFIG.PLAYGROUND.CSS_FIXTURE}</body></html>`;
+        default:
+            return `<!DOCTYPE html><html><head>${bridge}${baseStyle}</head><body>` +
+                `<script>${code.replace(/<\/script/gi, '<\\/script')}<\/script></body></html>`;
+    }
+}
+
+// Runs inside the sandboxed iframe
+const PLAYGROUND_CONSOLE_BRIDGE = `
+(function () {
+    function format(value) {
+        if (typeof value === 'string') return value;
+        if (value instanceof Error) return value.name + ': ' + value.message;
+        if (typeof value === 'function') return value.toString();
+        try { return JSON.stringify(value); } catch (e) { return String(value); }
+    }
+    function send(level, args) {
+        parent.postMessage({ source: 'webdev-playground', level: level, args: args.map(format) }, '*');
+    }
+    ['log', 'info', 'warn', 'error'].forEach(function (level) {
+        var original = console[level];
+        console[level] = function () {
+            var args = Array.prototype.slice.call(arguments);
+            send(level, args);
+            original.apply(console, args);
+        };
+    });
+    window.addEventListener('error', function (e) {
+        send('error', [e.message + (e.lineno ? ' (line ' + e.lineno + ')' : '')]);
+    });
+    window.addEventListener('unhandledrejection', function (e) {
+        send('error', ['Unhandled promise rejection: ' + format(e.reason)]);
+    });
+})();
+`;
+
+export function handlePlaygroundMessage(e) {
+    if (!e.data || e.data.source !== 'webdev-playground') return;
+    
+    playgrounds.forEach(playground => {
+        if (playground.iframe && playground.iframe.contentWindow === e.source) {
+            appendConsoleLine(playground.output, e.data.level, e.data.args.join(' '));
+        }
+    });
+}
+
+function appendConsoleLine(output, level, text) {
+    const line = document.createElement('div');
+    line.className = `console-line console-${level}`;
+    line.textContent = text;
+    output.appendChild(line);
+    output.scrollTop = output.scrollHeight;
+}
@@ -0,0 +1,74 @@
+// ============================================
+// Web Dev Documentation Portal - Plugins
+// ============================================
+
+// ==================== Plugins ====================
+// A plugin is { name, init(api), destroy() }, or a named init function. init
+// may return a cleanup function instead of the plugin defining destroy.
+// Plugins registered before the app is ready start once it is.
+const plugins = new Map();
+let pluginApi = null;
+
+export function use(plugin) {
+    const entry = {
+        plugin: typeof plugin === 'function' ? { name: plugin.name, init: plugin } : plugin,
+        started: false,
+        cleanup: null
+    };
+    
+    if (!entry.plugin || !entry.plugin.name || typeof entry.plugin.init !== 'function') {
+        throw new TypeError('A plugin needs a name and an init function');
+    }
+    if (plugins.has(entry.plugin.name)) {
+        throw new Error(`Plugin "${entry.plugin.name}" is already registered`);
+    }
+    
+    plugins.set(entry.plugin.name, entry);
+    if (pluginApi) {
+        startPlugin(entry);
+    }
+    
+    return () => {
+        stopPlugin(entry);
+        plugins.delete(entry.plugin.name);
+    };
+}
+
+export function startPlugins(api) {
+    pluginApi = api;
+    plugins.forEach(startPlugin);
+}
+
+export function stopPlugins() {
+    plugins.forEach(stopPlugin);
+    pluginApi = null;
+}
+
+function startPlugin(entry) {
+    if (entry.started) return;
+    
+    try {
+        const cleanup = entry.plugin.init(pluginApi);
+        entry.cleanup = typeof cleanup === 'function' ? cleanup : null;
+        entry.started = true;
+        console.log(`🧩 Plugin "${entry.plugin.name}" started`);
+    } catch (e) {
+        console.error(`Plugin "${entry.plugin.name}" failed to start:`, e);
+    }
+}
+
+function stopPlugin(entry) {
+    if (!entry.started) return;
+    entry.started = false;
+    
+    try {
+        if (entry.cleanup) {
+            entry.cleanup();
+        }
+        if (typeof entry.plugin.destroy === 'function') {
+            entry.plugin.destroy();
+        }
+    } catch (e) {
+        console.error(`Plugin "${entry.plugin.name}" failed to stop:`, e);
+    }
+}
@@ -0,0 +1,220 @@
+// ============================================
+// Web Dev Documentation Portal - Print & Export
+// ============================================
+
+import { elements } from './state.js';
+import { listen } from './lifecycle.js';
+import { store } from './store.js';
+import { formatDate, translate } from './i18n.js';
+import { getSectionTitle } from './search.js';
+import { getCardTitle } from './progress.js';
+import { openModal } from './dialogs.js';
+import { trackInteraction } from './analytics.js';
+import { showToast } from './offline.js';
+
+// ==================== Print & Export ====================
+// Study packets: the chosen sections are cloned into a print-only view with
+// a cover, a table of contents and every card opened. Interactive controls
+// are stripped; URLs are printed next to links by the print stylesheet.
+const PRINT_STRIP_SELECTOR = [
+    '.annotations',
+    '.anchor-link',
+    '.code-toolbar',
+    '.code-playground',
+    '.card-understood-btn',
+    '.change-badge',
+    '.disclosure-controls',
+    '.quiz-launcher',
+    '.quiz-panel',
+    '.perf-live-panel',
+    'script'
+].join(', ');
+
+export function initializePrintExport() {
+    listen(elements.printSectionsBtn, 'click', openPrintDialog);
+}
+
+export function openPrintDialog() {
+    const picker = document.createElement('fieldset');
+    picker.className = 'print-picker';
+    
+    const legend = document.createElement('legend');
+    legend.textContent = translate('print.sections');
+    picker.appendChild(legend);
+    
+    const checkboxes = Array.from(elements.sections).map(section => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = section.id;
+        checkbox.checked = section.id === store.getState().currentSection;
+        label.append(checkbox, ` ${getSectionTitle(section)}`);
+        picker.appendChild(label);
+        return checkbox;
+    });
+    
+    const bulk = document.createElement('div');
+    bulk.className = 'print-picker-bulk';
+    [['print.selectAll', true], ['print.selectNone', false]].forEach(([key, checked]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'progress-action-btn';
+        button.textContent = translate(key);
+        button.addEventListener('click', () => {
+            checkboxes.forEach(checkbox => {
+                checkbox.checked = checked;
+            });
+        });
+        bulk.appendChild(button);
+    });
+    picker.appendChild(bulk);
+    
+    openModal({
+        title: translate('print.title'),
+        message: translate('print.message'),
+        content: picker,
+        actions: [
+            { label: translate('common.cancel') },
+            {
+                label: translate('print.print'),
+                primary: true,
+                onClick: () => {
+                    const sectionIds = checkboxes.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value);
+                    if (sectionIds.length === 0) {
+                        showToast(translate('print.nothingSelected'));
+                        return;
+                    }
+                    printSections(sectionIds);
+                }
+            }
+        ]
+    });
+}
+
+function printSections(sectionIds) {
+    const sections = sectionIds.map(id => document.getElementById(id)).filter(Boolean);
+    if (sections.length === 0) return;
+    
+    const view = buildPrintView(sections);
+    const previousTitle = document.title;
+    
+    // Browsers use the document title as the default PDF file name
+    document.title = `${previousTitle} - ${sections.map(getSectionTitle).join(', ')}`;
+    document.body.appendChild(view);
+    document.body.classList.add('printing');
+    
+    const cleanup = () => {
+        window.removeEventListener('afterprint', cleanup);
+        view.remove();
+        document.body.classList.remove('printing');
+        document.title = previousTitle;
+    };
+    window.addEventListener('afterprint', cleanup);
+    
+    trackInteraction('print', sectionIds.join(','), { sections: sectionIds.length });
+    window.print();
+}
+
+function buildPrintView(sections) {
+    const view = document.createElement('div');
+    view.className = 'print-view';
+    
+    const cover = document.createElement('header');
+    cover.className = 'print-cover';
+    
+    const title = document.createElement('h1');
+    title.textContent = document.querySelector('.hero-title').textContent;
+    
+    const meta = document.createElement('p');
+    meta.className = 'print-meta';
+    meta.textContent = translate('print.packetDate', { date: formatDate(new Date(), { dateStyle: 'long' }) });
+    
+    const source = document.createElement('p');
+    source.className = 'print-meta';
+    source.textContent = `${window.location.origin}${window.location.pathname}`;
+    
+    cover.append(title, meta, source);
+    view.append(cover, buildPrintToc(sections));
+    
+    const includedIds = new Set();
+    sections.forEach(section => {
+        includedIds.add(section.id);
+        section.querySelectorAll('[id]').forEach(element => includedIds.add(element.id));
+    });
+    
+    sections.forEach(section => view.appendChild(clonePrintSection(section, includedIds)));
+    
+    return view;
+}
+
+function buildPrintToc(sections) {
+    const toc = document.createElement('nav');
+    toc.className = 'print-toc';
+    
+    const heading = document.createElement('h2');
+    heading.textContent = translate('print.contents');
+    
+    const list = document.createElement('ol');
+    sections.forEach(section => {
+        const item = document.createElement('li');
+        item.appendChild(createPrintLink(section.id, getSectionTitle(section)));
+        
+        const cards = section.querySelectorAll('.card');
+        if (cards.length > 0) {
+            const sublist = document.createElement('ol');
+            cards.forEach(card => {
+                const cardItem = document.createElement('li');
+                cardItem.appendChild(createPrintLink(card.id, getCardTitle(card)));
+                sublist.appendChild(cardItem);
+            });
+            item.appendChild(sublist);
+        }
+        
+        list.appendChild(item);
+    });
+    
+    toc.append(heading, list);
+    return toc;
+}
+
+function createPrintLink(id, label) {
+    const link = document.createElement('a');
+    link.href = `#print-${id}`;
+    link.textContent = label;
+    return link;
+}
+
+function clonePrintSection(section, includedIds) {
+    const clone = section.cloneNode(true);
+    clone.classList.add('print-section');
+    
+    clone.querySelectorAll(PRINT_STRIP_SELECTOR).forEach(element => element.remove());
+    
+    // Leftovers from scroll animations, search and deep-link highlighting
+    [clone, ...clone.querySelectorAll('.card')].forEach(element => {
+        element.removeAttribute('style');
+        element.classList.remove('search-target', 'link-target');
+    });
+    clone.querySelectorAll('mark.search-hit').forEach(mark => mark.replaceWith(mark.textContent));
+    
+    clone.querySelectorAll('.expandable, .faq-card').forEach(card => card.classList.add('expanded'));
+    
+    // Ids must stay unique while the clone shares the document with the original
+    [clone, ...clone.querySelectorAll('[id]')].forEach(element => {
+        element.id = `print-${element.id}`;
+    });
+    clone.querySelectorAll('[aria-controls], [aria-labelledby]').forEach(element => {
+        element.removeAttribute('aria-controls');
+        element.removeAttribute('aria-labelledby');
+    });
+    
+    // Links into the packet stay in-document; other in-page links point at the live site
+    clone.querySelectorAll('a[href^="#"]').forEach(link => {
+        const id = link.getAttribute('href').substring(1);
+        link.href = includedIds.has(id)
+            ? `#print-${id}`
+            : `${window.location.origin}${window.location.pathname}#${id}`;
+    });
+    
+    return clone;
+}
@@ -0,0 +1,658 @@
+// ============================================
+// Web Dev Documentation Portal - Progress Tracking
+// ============================================
+
+import { CONFIG } from './config.js';
+import { elements, state } from './state.js';
+import { listen, onDestroy } from './lifecycle.js';
+import { emit } from './events.js';
+import { persist, store } from './store.js';
+import { renderMessage, translate } from './i18n.js';
+import { scrollToSection } from './navigation.js';
+import { getIndexableText, getSectionTitle } from './search.js';
+import { openModal } from './dialogs.js';
+import { ensureCardId } from './utils.js';
+import { copyToClipboard } from './code-blocks.js';
+import { showToast } from './offline.js';
+import { announce } from './accessibility.js';
+
+// ==================== Progress Tracking ====================
+export function initializeProgressTracking() {
+    // Scroll progress bar
+    listen(window, 'scroll', updateScrollProgress);
+    
+    // Section visit tracking
+    const sectionObserver = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            if (entry.isIntersecting && entry.intersectionRatio > 0.5) {
+                const sectionId = entry.target.getAttribute('id');
+                markSectionVisited(sectionId);
+            }
+        });
+    }, {
+        threshold: 0.5
+    });
+    
+    elements.sections.forEach(section => {
+        sectionObserver.observe(section);
+    });
+    onDestroy(() => sectionObserver.disconnect());
+    
+    initializeCardTracking();
+    createSectionProgressRings();
+    
+    // Every change to progress, from this tab or another, re-renders the tracker
+    onDestroy(store.subscribe(data => [data.visitedSections, data.cardProgress], () => updateProgressDisplay()));
+    persist({
+        key: CONFIG.STORAGE_KEYS.PROGRESS,
+        slices: ['visitedSections', 'cardProgress'],
+        save: data => JSON.stringify(getProgressSnapshot(data)),
+        load: value => value ? toProgressState(migrateProgress(JSON.parse(value))) : toProgressState({})
+    });
+}
+
+function updateScrollProgress() {
+    const windowHeight = window.innerHeight;
+    const documentHeight = document.documentElement.scrollHeight - windowHeight;
+    const scrollTop = window.scrollY;
+    const scrollPercentage = (scrollTop / documentHeight) * 100;
+    
+    elements.progressBar.style.width = `${scrollPercentage}%`;
+}
+
+export function markSectionVisited(sectionId) {
+    const { visitedSections } = store.getState();
+    if (!visitedSections.has(sectionId)) {
+        store.setState({ visitedSections: new Set(visitedSections).add(sectionId) }, { type: 'progress/visit' });
+        emit('section:visited', { sectionId });
+    }
+}
+
+export function updateProgressDisplay() {
+    const sectionProgress = getSectionProgress();
+    const completedCount = sectionProgress.filter(section => section.ratio === 1).length;
+    const percentage = Math.round(getOverallProgress() * 100);
+    
+    elements.progressPercentage.textContent = translate('progress.percent', { percent: percentage });
+    
+    // Animate the update
+    animateNumber(elements.completedSections, completedCount);
+    renderProgressStats(completedCount);
+    
+    updateSectionProgressRings(sectionProgress);
+    updateCardProgressStates();
+    
+    emit('progress:changed', { completedSections: completedCount, percentage });
+}
+
+// The counters stay in place inside the translated sentence so animateNumber
+// can keep ticking them
+function renderProgressStats(completedCount) {
+    const total = elements.sections.length;
+    elements.totalSections.textContent = total;
+    renderMessage(elements.progressStats, 'progress.completed', {
+        count: total,
+        completed: elements.completedSections,
+        total: elements.totalSections
+    });
+    elements.progressStats.setAttribute('aria-label', translate('progress.completedLabel', { completed: completedCount, count: total }));
+}
+
+// One animation per element: a new target replaces the running one instead of
+// racing it
+const numberAnimations = new WeakMap();
+
+function animateNumber(element, target) {
+    clearInterval(numberAnimations.get(element));
+    numberAnimations.delete(element);
+    
+    const current = parseInt(element.textContent) || 0;
+    const increment = target > current ? 1 : -1;
+    
+    if (current !== target) {
+        const interval = setInterval(() => {
+            const newValue = parseInt(element.textContent) + increment;
+            element.textContent = newValue;
+            
+            if (newValue === target) {
+                clearInterval(interval);
+                numberAnimations.delete(element);
+            }
+        }, 50);
+        numberAnimations.set(element, interval);
+    }
+}
+
+// ==================== Card & Topic Progress ====================
+// Every card counts half once it has been read (enough dwell time in view,
+// expanded for collapsible topics) and fully once marked as understood.
+const dwellThresholds = new WeakMap();
+
+function initializeCardTracking() {
+    const cardObserver = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            const visibleHeight = entry.intersectionRect.height;
+            const inView = entry.isIntersecting && (
+                entry.intersectionRatio >= 0.5 ||
+                visibleHeight >= window.innerHeight * 0.5
+            );
+            
+            if (inView) {
+                state.cardsInView.add(entry.target);
+            } else {
+                state.cardsInView.delete(entry.target);
+            }
+        });
+    }, {
+        threshold: [0, 0.25, 0.5, 0.75, 1]
+    });
+    
+    getTrackedCards().forEach(card => {
+        ensureCardId(card, card.closest('.section'));
+        addUnderstoodControl(card);
+        cardObserver.observe(card);
+    });
+    
+    const dwellTimer = setInterval(trackCardDwell, CONFIG.PROGRESS.DWELL_TICK);
+    onDestroy(() => {
+        cardObserver.disconnect();
+        clearInterval(dwellTimer);
+    });
+}
+
+export function getTrackedCards() {
+    return document.querySelectorAll('.section .card');
+}
+
+function trackCardDwell() {
+    if (document.hidden) return;
+    
+    const { cardProgress } = store.getState();
+    
+    state.cardsInView.forEach(card => {
+        const progress = cardProgress.get(card.id);
+        if ((progress && progress.readAt) || isCardCollapsed(card)) return;
+        
+        const dwell = (state.cardDwell.get(card.id) || 0) + CONFIG.PROGRESS.DWELL_TICK;
+        state.cardDwell.set(card.id, dwell);
+        
+        if (dwell >= getDwellThreshold(card)) {
+            markCardRead(card.id);
+        }
+    });
+}
+
+// Longer cards need more time in view before they count as read
+function getDwellThreshold(card) {
+    if (!dwellThresholds.has(card)) {
+        const wordCount = getIndexableText(card).split(' ').length;
+        const threshold = Math.min(
+            Math.max(wordCount * CONFIG.PROGRESS.DWELL_PER_WORD, CONFIG.PROGRESS.MIN_DWELL),
+            CONFIG.PROGRESS.MAX_DWELL
+        );
+        dwellThresholds.set(card, threshold);
+    }
+    
+    return dwellThresholds.get(card);
+}
+
+function markCardRead(cardId) {
+    const progress = store.getState().cardProgress.get(cardId);
+    if (progress && progress.readAt) return;
+    
+    updateCardProgress(cardId, { readAt: new Date().toISOString() }, 'progress/read');
+}
+
+function toggleCardUnderstood(cardId) {
+    const current = store.getState().cardProgress.get(cardId);
+    const understoodAt = current && current.understoodAt ? null : new Date().toISOString();
+    const progress = updateCardProgress(cardId, { understoodAt }, 'progress/understood');
+    
+    const title = getCardTitle(document.getElementById(cardId));
+    announce(translate(progress.understoodAt ? 'progress.markedUnderstood' : 'progress.unmarked', { title }));
+}
+
+function updateCardProgress(cardId, changes, type) {
+    const { cardProgress } = store.getState();
+    const progress = { readAt: null, understoodAt: null, ...cardProgress.get(cardId), ...changes };
+    
+    store.setState({ cardProgress: new Map(cardProgress).set(cardId, progress) }, { type });
+    return progress;
+}
+
+function addUnderstoodControl(card) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'card-understood-btn';
+    button.setAttribute('aria-pressed', 'false');
+    button.textContent = translate('progress.markUnderstood');
+    
+    button.addEventListener('click', () => toggleCardUnderstood(card.id));
+    
+    card.appendChild(button);
+}
+
+function getCardValue(cardId) {
+    const progress = store.getState().cardProgress.get(cardId);
+    if (!progress) return 0;
+    if (progress.understoodAt) return 1;
+    return progress.readAt ? 0.5 : 0;
+}
+
+function getSectionProgress() {
+    return Array.from(elements.sections).map(section => {
+        const cards = section.querySelectorAll('.card');
+        let ratio;
+        
+        if (cards.length === 0) {
+            ratio = store.getState().visitedSections.has(section.id) ? 1 : 0;
+        } else {
+            const total = Array.from(cards).reduce((sum, card) => sum + getCardValue(card.id), 0);
+            ratio = total / cards.length;
+        }
+        
+        return {
+            sectionId: section.id,
+            title: getSectionTitle(section),
+            ratio
+        };
+    });
+}
+
+function getOverallProgress() {
+    const cards = Array.from(getTrackedCards());
+    if (cards.length === 0) return 0;
+    
+    return cards.reduce((sum, card) => sum + getCardValue(card.id), 0) / cards.length;
+}
+
+function updateCardProgressStates() {
+    const { cardProgress } = store.getState();
+    
+    getTrackedCards().forEach(card => {
+        const progress = cardProgress.get(card.id) || {};
+        const isUnderstood = Boolean(progress.understoodAt);
+        
+        card.classList.toggle('card-read', Boolean(progress.readAt));
+        card.classList.toggle('card-understood', isUnderstood);
+        
+        const button = card.querySelector('.card-understood-btn');
+        if (button) {
+            button.setAttribute('aria-pressed', String(isUnderstood));
+            button.textContent = translate(isUnderstood ? 'progress.understood' : 'progress.markUnderstood');
+        }
+    });
+}
+
+export function getCardTitle(card) {
+    const heading = card && card.querySelector('h3');
+    return heading ? heading.textContent.trim() : '';
+}
+
+export function isCardCollapsed(card) {
+    return (card.classList.contains('expandable') || card.classList.contains('faq-card')) &&
+        !card.classList.contains('expanded');
+}
+
+// ==================== Section Progress Rings ====================
+const RING_RADIUS = 14;
+const RING_CIRCUMFERENCE = 2 * Math.PI * RING_RADIUS;
+
+function createSectionProgressRings() {
+    const list = elements.sectionProgressList;
+    const svgNamespace = 'http://www.w3.org/2000/svg';
+    list.replaceChildren();
+    
+    elements.sections.forEach(section => {
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'section-progress-item';
+        button.dataset.section = section.id;
+        
+        const svg = document.createElementNS(svgNamespace, 'svg');
+        svg.setAttribute('class', 'progress-ring');
+        svg.setAttribute('viewBox', '0 0 36 36');
+        svg.setAttribute('aria-hidden', 'true');
+        
+        ['progress-ring-track', 'progress-ring-value'].forEach(className => {
+            const circle = document.createElementNS(svgNamespace, 'circle');
+            circle.setAttribute('class', className);
+            circle.setAttribute('cx', '18');
+            circle.setAttribute('cy', '18');
+            circle.setAttribute('r', String(RING_RADIUS));
+            svg.appendChild(circle);
+        });
+        
+        const label = document.createElement('span');
+        label.className = 'section-progress-label';
+        label.textContent = getSectionTitle(section);
+        
+        const value = document.createElement('span');
+        value.className = 'section-progress-value';
+        value.textContent = translate('progress.percent', { percent: 0 });
+        
+        button.append(svg, label, value);
+        button.addEventListener('click', () => scrollToSection(section.id));
+        
+        item.appendChild(button);
+        list.appendChild(item);
+    });
+    
+    updateSectionProgressRings(getSectionProgress());
+}
+
+function updateSectionProgressRings(sectionProgress) {
+    sectionProgress.forEach(({ sectionId, title, ratio }) => {
+        const button = elements.sectionProgressList.querySelector(`[data-section="${sectionId}"]`);
+        if (!button) return;
+        
+        const percentage = Math.round(ratio * 100);
+        const ring = button.querySelector('.progress-ring-value');
+        ring.style.strokeDasharray = RING_CIRCUMFERENCE;
+        ring.style.strokeDashoffset = RING_CIRCUMFERENCE * (1 - ratio);
+        
+        button.querySelector('.section-progress-value').textContent = translate('progress.percent', { percent: percentage });
+        button.classList.toggle('complete', ratio === 1);
+        button.setAttribute('aria-label', translate('progress.sectionComplete', { section: title, percent: percentage }));
+    });
+}
+
+// ==================== Local Storage Management ====================
+// Schema history:
+//   v1 { visitedSections, lastVisited }
+//   v2 { version, visitedSections, cards: { [cardId]: { readAt, understoodAt } }, lastVisited }
+const PROGRESS_MIGRATIONS = {
+    1: progress => ({
+        version: 2,
+        visitedSections: progress.visitedSections || [],
+        cards: {},
+        lastVisited: progress.lastVisited || null
+    })
+};
+
+function migrateProgress(progress) {
+    let migrated = progress;
+    
+    while ((migrated.version || 1) < CONFIG.PROGRESS.SCHEMA_VERSION) {
+        migrated = PROGRESS_MIGRATIONS[migrated.version || 1](migrated);
+    }
+    
+    return migrated;
+}
+
+// Saving is done by the persist() middleware registered in initializeProgressTracking
+function toProgressState(progress) {
+    return {
+        visitedSections: new Set(progress.visitedSections || []),
+        cardProgress: new Map(Object.entries(progress.cards || {}))
+    };
+}
+
+export function loadUserProgress() {
+    const savedProgress = localStorage.getItem(CONFIG.STORAGE_KEYS.PROGRESS);
+    
+    if (savedProgress) {
+        try {
+            const parsed = JSON.parse(savedProgress);
+            const progress = migrateProgress(parsed);
+            
+            // Read before anything is saved, since every save moves lastVisited on
+            state.previousVisit = progress.lastVisited || null;
+            
+            // Only a migrated copy needs writing back
+            store.setState(toProgressState(progress), { type: 'progress/load', persist: progress !== parsed });
+            if (progress !== parsed) {
+                console.log(`🔄 Migrated progress to schema v${progress.version}`);
+            }
+            
+            const { visitedSections, cardProgress } = store.getState();
+            console.log(`📊 Loaded progress: ${visitedSections.size} sections visited, ${cardProgress.size} cards tracked`);
+        } catch (e) {
+            console.error('Error loading progress:', e);
+        }
+    }
+}
+
+// ==================== Progress Export & Import ====================
+export function initializeProgressSharing() {
+    listen(elements.exportProgressBtn, 'click', exportProgressFile);
+    listen(elements.shareProgressBtn, 'click', () => shareProgressLink(elements.shareProgressBtn));
+    listen(elements.importProgressBtn, 'click', () => elements.importProgressInput.click());
+    listen(elements.importProgressInput, 'change', handleProgressFileImport);
+    
+    // Restore progress shared through a #progress=... link
+    if (window.location.hash.startsWith(CONFIG.PROGRESS.SHARE_HASH_PREFIX)) {
+        const encoded = window.location.hash.substring(CONFIG.PROGRESS.SHARE_HASH_PREFIX.length);
+        history.replaceState(null, null, window.location.pathname + window.location.search);
+        
+        try {
+            importProgress(decodeProgressFragment(encoded), translate('progress.sharedLink'));
+        } catch (e) {
+            console.error('Error reading shared progress:', e);
+            showProgressImportError([translate('progress.error.damagedLink')]);
+        }
+    }
+}
+
+// Saves progress as it is just to move lastVisited on to now
+export function recordVisit() {
+    localStorage.setItem(CONFIG.STORAGE_KEYS.PROGRESS, JSON.stringify(getProgressSnapshot()));
+}
+
+function getProgressSnapshot(data = store.getState()) {
+    return {
+        version: CONFIG.PROGRESS.SCHEMA_VERSION,
+        visitedSections: Array.from(data.visitedSections),
+        cards: Object.fromEntries(data.cardProgress),
+        lastVisited: new Date().toISOString()
+    };
+}
+
+export function exportProgressFile() {
+    const payload = {
+        format: CONFIG.PROGRESS.EXPORT_FORMAT,
+        exportedAt: new Date().toISOString(),
+        progress: getProgressSnapshot()
+    };
+    
+    const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `webdev-docs-progress-${payload.exportedAt.slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+    
+    announce(translate('progress.exported'));
+}
+
+function shareProgressLink(button) {
+    const url = `${window.location.origin}${window.location.pathname}` +
+        `${CONFIG.PROGRESS.SHARE_HASH_PREFIX}${encodeProgressFragment(getProgressSnapshot())}`;
+    
+    copyToClipboard(url);
+    
+    // Visual feedback
+    const label = button.textContent;
+    button.textContent = translate('progress.linkCopied');
+    setTimeout(() => {
+        button.textContent = label;
+    }, 2000);
+    announce(translate('progress.linkCopiedAnnounce'));
+}
+
+function handleProgressFileImport(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    
+    file.text()
+        .then(text => {
+            const data = JSON.parse(text);
+            // Accept both the export envelope and a bare progress object
+            importProgress(data && data.format === CONFIG.PROGRESS.EXPORT_FORMAT ? data.progress : data, file.name);
+        })
+        .catch(err => {
+            console.error('Error importing progress:', err);
+            showProgressImportError([translate('progress.error.invalidJson', { file: file.name })]);
+        });
+}
+
+function importProgress(data, sourceLabel) {
+    const errors = validateProgressData(data);
+    if (errors.length > 0) {
+        showProgressImportError(errors);
+        return;
+    }
+    
+    const imported = migrateProgress(data);
+    
+    if (!hasLocalProgress() || isSameProgress(imported)) {
+        applyImportedProgress(imported, 'replace');
+        return;
+    }
+    
+    openModal({
+        title: translate('progress.importTitle'),
+        message: translate('progress.importConflict', { source: sourceLabel }),
+        actions: [
+            { label: translate('progress.merge'), primary: true, onClick: () => applyImportedProgress(imported, 'merge') },
+            { label: translate('progress.replace'), onClick: () => applyImportedProgress(imported, 'replace') },
+            { label: translate('common.cancel') }
+        ]
+    });
+}
+
+// Returns a list of problems; an empty list means the data can be imported
+function validateProgressData(data) {
+    const errors = [];
+    const isDate = value => value === null || (typeof value === 'string' && !isNaN(Date.parse(value)));
+    
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return [translate('progress.error.notObject')];
+    }
+    
+    const version = data.version === undefined ? 1 : data.version;
+    if (!Number.isInteger(version) || version < 1 || version > CONFIG.PROGRESS.SCHEMA_VERSION) {
+        errors.push(translate('progress.error.version', { version: String(data.version) }));
+    }
+    
+    if (!Array.isArray(data.visitedSections) ||
+        !data.visitedSections.every(id => typeof id === 'string')) {
+        errors.push(translate('progress.error.visitedSections'));
+    }
+    
+    if (data.lastVisited !== undefined && !isDate(data.lastVisited)) {
+        errors.push(translate('progress.error.lastVisited'));
+    }
+    
+    if (version >= 2) {
+        if (!data.cards || typeof data.cards !== 'object' || Array.isArray(data.cards)) {
+            errors.push(translate('progress.error.cards'));
+        } else {
+            Object.entries(data.cards).forEach(([cardId, card]) => {
+                if (!card || typeof card !== 'object' || !isDate(card.readAt) || !isDate(card.understoodAt)) {
+                    errors.push(translate('progress.error.card', { card: cardId }));
+                }
+            });
+        }
+    }
+    
+    return errors;
+}
+
+function hasLocalProgress() {
+    const { visitedSections, cardProgress } = store.getState();
+    return visitedSections.size > 0 || cardProgress.size > 0;
+}
+
+function isSameProgress(progress) {
+    const local = getProgressSnapshot();
+    return JSON.stringify([local.visitedSections.sort(), local.cards]) ===
+        JSON.stringify([progress.visitedSections.slice().sort(), progress.cards]);
+}
+
+function applyImportedProgress(progress, mode) {
+    if (mode === 'merge') {
+        const { visitedSections, cardProgress } = store.getState();
+        const merged = {
+            visitedSections: new Set([...visitedSections, ...progress.visitedSections]),
+            cardProgress: new Map(cardProgress)
+        };
+        
+        Object.entries(progress.cards).forEach(([cardId, imported]) => {
+            const local = cardProgress.get(cardId) || { readAt: null, understoodAt: null };
+            merged.cardProgress.set(cardId, {
+                readAt: earliestDate(local.readAt, imported.readAt),
+                understoodAt: local.understoodAt || imported.understoodAt
+            });
+        });
+        store.setState(merged, { type: 'progress/import', undoable: true });
+    } else {
+        store.setState(toProgressState(progress), { type: 'progress/import', undoable: true });
+    }
+    
+    offerUndo(translate(mode === 'merge' ? 'progress.importMerged' : 'progress.importRestored'));
+}
+
+function earliestDate(a, b) {
+    if (!a || !b) return a || b;
+    return Date.parse(a) <= Date.parse(b) ? a : b;
+}
+
+function showProgressImportError(errors) {
+    openModal({
+        title: translate('progress.importFailed'),
+        message: errors.join(' '),
+        actions: [{ label: translate('common.ok'), primary: true }]
+    });
+}
+
+// Compact share format: short keys and epoch seconds instead of ISO dates
+function encodeProgressFragment(progress) {
+    const toSeconds = date => date ? Math.round(Date.parse(date) / 1000) : 0;
+    const compact = {
+        v: progress.version,
+        s: progress.visitedSections,
+        c: Object.fromEntries(Object.entries(progress.cards).map(
+            ([cardId, card]) => [cardId, [toSeconds(card.readAt), toSeconds(card.understoodAt)]]
+        ))
+    };
+    
+    const bytes = new TextEncoder().encode(JSON.stringify(compact));
+    return btoa(String.fromCharCode(...bytes))
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
+
+function decodeProgressFragment(encoded) {
+    const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+    const bytes = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+    const compact = JSON.parse(new TextDecoder().decode(bytes));
+    const toDate = seconds => seconds ? new Date(seconds * 1000).toISOString() : null;
+    
+    return {
+        version: compact.v,
+        visitedSections: compact.s,
+        cards: Object.fromEntries(Object.entries(compact.c || {}).map(
+            ([cardId, [readAt, understoodAt]]) => [cardId, { readAt: toDate(readAt), understoodAt: toDate(understoodAt) }]
+        )),
+        lastVisited: null
+    };
+}
+
+// ==================== Undo ====================
+// Destructive changes (resetting or importing progress, deleting a note) are
+// undoable store actions
+export function offerUndo(message) {
+    showToast(message, { label: translate('common.undo'), onClick: undoLastChange });
+}
+
+export function undoLastChange() {
+    const undone = store.undo();
+    announce(translate(undone ? 'common.undone' : 'common.nothingToUndo'));
+}
@@ -0,0 +1,435 @@
+// ============================================
+// Web Dev Documentation Portal - Interview Quiz
+// ============================================
+
+import { CONFIG } from './config.js';
+import { elements, state } from './state.js';
+import { listen, onDestroy } from './lifecycle.js';
+import { persist, store } from './store.js';
+import { formatDate, translate } from './i18n.js';
+import { getScrollBehavior } from './reading.js';
+import { scrollToSection } from './navigation.js';
+import { getCardTitle } from './progress.js';
+import { shuffle } from './utils.js';
+import { slugify } from './content-model.js';
+import { announce } from './accessibility.js';
+
+// ==================== Interview Quiz ====================
+// Questions come from three places: interview topics marked with
+// data-quiz-question, every FAQ card, and the #quizQuestions JSON block.
+const QUIZ_GRADES = [
+    { label: 'quiz.again', grade: 1 },
+    { label: 'quiz.hard', grade: 3 },
+    { label: 'quiz.good', grade: 4 },
+    { label: 'quiz.easy', grade: 5 }
+];
+
+export function initializeQuiz() {
+    if (!elements.quizPanel) return;
+    
+    state.quiz.questions = collectQuizQuestions();
+    store.setState({ quizRecords: loadQuizRecords() }, { type: 'quiz/load', persist: false });
+    
+    listen(elements.startQuizBtn, 'click', () => startQuizSession());
+    listen(elements.quizPanel, 'keydown', handleQuizKeydown);
+    
+    updateQuizDueCount();
+    onDestroy(store.subscribe(data => data.quizRecords, () => updateQuizDueCount()));
+    persist({
+        key: CONFIG.STORAGE_KEYS.QUIZ,
+        slices: ['quizRecords'],
+        save: data => JSON.stringify({ version: 1, questions: data.quizRecords }),
+        load: value => ({ quizRecords: parseQuizRecords(value) })
+    });
+}
+
+function collectQuizQuestions() {
+    const questions = [];
+    
+    document.querySelectorAll('[data-quiz-question]').forEach(topic => {
+        const prompt = topic.dataset.quizQuestion;
+        const card = topic.closest('.card');
+        questions.push({
+            id: topic.dataset.quizId || `quiz-${slugify(prompt)}`,
+            type: 'flashcard',
+            prompt,
+            answerElement: topic,
+            source: card ? card.id : null
+        });
+    });
+    
+    document.querySelectorAll('.faq-card').forEach(card => {
+        const answer = card.querySelector('.faq-answer');
+        if (!answer) return;
+        questions.push({
+            id: card.id,
+            type: 'flashcard',
+            prompt: getCardTitle(card),
+            answerElement: answer,
+            source: card.id
+        });
+    });
+    
+    state.content.sections.forEach(section => {
+        questions.push(...(section.quiz || []));
+    });
+    
+    return questions;
+}
+
+// Saving is done by the persist() middleware registered in initializeQuiz
+function loadQuizRecords() {
+    try {
+        return parseQuizRecords(localStorage.getItem(CONFIG.STORAGE_KEYS.QUIZ));
+    } catch (e) {
+        console.error('Error loading quiz history:', e);
+        return {};
+    }
+}
+
+function parseQuizRecords(value) {
+    const saved = JSON.parse(value);
+    return saved && saved.questions ? saved.questions : {};
+}
+
+// SM-2: grades 0-5, anything below 3 restarts the repetition sequence
+function scheduleReview(record, grade, now = Date.now()) {
+    const next = {
+        repetitions: record ? record.repetitions : 0,
+        interval: record ? record.interval : 0,
+        easeFactor: record ? record.easeFactor : CONFIG.QUIZ.INITIAL_EASE
+    };
+    
+    if (grade >= 3) {
+        if (next.repetitions === 0) {
+            next.interval = 1;
+        } else if (next.repetitions === 1) {
+            next.interval = 6;
+        } else {
+            next.interval = Math.round(next.interval * next.easeFactor);
+        }
+        next.repetitions++;
+        next.easeFactor = Math.max(
+            CONFIG.QUIZ.MIN_EASE,
+            next.easeFactor + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02))
+        );
+    } else {
+        // A lapse starts the repetitions over but leaves the ease alone
+        next.repetitions = 0;
+        next.interval = 1;
+    }
+    
+    next.dueAt = new Date(now + next.interval * 24 * 60 * 60 * 1000).toISOString();
+    
+    return next;
+}
+
+function gradeQuizQuestion(question, grade) {
+    const { quizRecords } = store.getState();
+    const record = quizRecords[question.id];
+    const history = record && record.history ? record.history : [];
+    
+    const session = state.quiz.session;
+    session.answered++;
+    if (grade >= 3) {
+        session.correct++;
+    }
+    
+    store.setState({
+        quizRecords: {
+            ...quizRecords,
+            [question.id]: {
+                ...scheduleReview(record, grade),
+                history: history.concat({ at: new Date().toISOString(), grade }).slice(-CONFIG.QUIZ.HISTORY_LIMIT)
+            }
+        }
+    }, { type: 'quiz/grade' });
+}
+
+// Overdue questions first (oldest first), then questions never seen before
+function getDueQuestions(now = Date.now()) {
+    const { quizRecords } = store.getState();
+    const due = [];
+    const unseen = [];
+    
+    state.quiz.questions.forEach(question => {
+        const record = quizRecords[question.id];
+        if (!record) {
+            unseen.push(question);
+        } else if (Date.parse(record.dueAt) <= now) {
+            due.push(question);
+        }
+    });
+    
+    due.sort((a, b) => Date.parse(quizRecords[a.id].dueAt) - Date.parse(quizRecords[b.id].dueAt));
+    
+    return due.concat(unseen);
+}
+
+function updateQuizDueCount() {
+    const count = getDueQuestions().length;
+    elements.quizDueCount.textContent = count > 0 ? translate('quiz.due', { count }) : translate('quiz.caughtUp');
+}
+
+export function startQuizSession(practiceAll = false) {
+    const questions = practiceAll ? shuffle(state.quiz.questions.slice()) : getDueQuestions();
+    
+    state.quiz.session = {
+        queue: questions.slice(0, CONFIG.QUIZ.SESSION_SIZE),
+        index: 0,
+        answered: 0,
+        correct: 0
+    };
+    
+    elements.quizPanel.hidden = false;
+    
+    if (state.quiz.session.queue.length === 0) {
+        renderQuizCaughtUp();
+    } else {
+        renderQuizQuestion();
+    }
+    
+    elements.quizPanel.scrollIntoView({ behavior: getScrollBehavior(), block: 'start' });
+}
+
+function renderQuizQuestion() {
+    const session = state.quiz.session;
+    const question = session.queue[session.index];
+    const panel = elements.quizPanel;
+    panel.innerHTML = '';
+    
+    panel.appendChild(createQuizHeader(translate('quiz.questionOf', { current: session.index + 1, total: session.queue.length })));
+    
+    const prompt = document.createElement('h3');
+    prompt.className = 'quiz-prompt';
+    prompt.textContent = question.prompt;
+    panel.appendChild(prompt);
+    
+    const options = document.createElement('div');
+    options.className = 'quiz-options';
+    panel.appendChild(options);
+    
+    if (question.type === 'choice') {
+        question.choices.forEach((choice, index) => {
+            const button = createQuizButton(`${index + 1}. ${choice}`, 'quiz-choice', () => {
+                answerQuizChoice(question, index);
+            });
+            options.appendChild(button);
+        });
+    } else {
+        options.appendChild(createQuizButton(translate('quiz.showAnswer'), 'quiz-reveal', () => revealQuizAnswer(question)));
+    }
+    
+    focusFirstQuizOption();
+}
+
+function answerQuizChoice(question, chosenIndex) {
+    const isCorrect = chosenIndex === question.answer;
+    const buttons = elements.quizPanel.querySelectorAll('.quiz-choice');
+    
+    buttons.forEach((button, index) => {
+        button.disabled = true;
+        if (index === question.answer) {
+            button.classList.add('correct');
+        } else if (index === chosenIndex) {
+            button.classList.add('incorrect');
+        }
+    });
+    
+    gradeQuizQuestion(question, isCorrect ? 4 : 1);
+    
+    const feedback = document.createElement('div');
+    feedback.className = `quiz-feedback ${isCorrect ? 'correct' : 'incorrect'}`;
+    feedback.textContent = `${translate(isCorrect ? 'quiz.correct' : 'quiz.incorrect')} ${question.explanation || ''}`.trim();
+    elements.quizPanel.appendChild(feedback);
+    
+    appendQuizFooter(question);
+}
+
+function revealQuizAnswer(question) {
+    const panel = elements.quizPanel;
+    const answer = document.createElement('div');
+    answer.className = 'quiz-answer';
+    
+    if (question.answerElement) {
+        const clone = question.answerElement.cloneNode(true);
+        clone.removeAttribute('data-quiz-question');
+        clone.querySelectorAll(`h4, ${CONFIG.SEARCH.IGNORE_SELECTOR}`).forEach(node => node.remove());
+        answer.append(...clone.childNodes);
+    } else {
+        answer.textContent = question.answer;
+    }
+    
+    const options = panel.querySelector('.quiz-options');
+    options.innerHTML = '';
+    panel.insertBefore(answer, options);
+    
+    // Self-grading, each button shows when the question would come back
+    const record = store.getState().quizRecords[question.id];
+    QUIZ_GRADES.forEach(({ label, grade }, index) => {
+        const interval = scheduleReview(record, grade).interval;
+        const button = createQuizButton(translate('quiz.gradeButton', { index: index + 1, grade: translate(label), days: interval }), 'quiz-grade', () => {
+            gradeQuizQuestion(question, grade);
+            nextQuizQuestion();
+        });
+        options.appendChild(button);
+    });
+    
+    focusFirstQuizOption();
+}
+
+function appendQuizFooter(question) {
+    const footer = document.createElement('div');
+    footer.className = 'quiz-footer';
+    
+    if (question.source) {
+        const link = document.createElement('a');
+        link.href = `#${question.source}`;
+        link.className = 'quiz-source-link';
+        link.textContent = translate('quiz.reviewTopic');
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            scrollToSection(question.source);
+        });
+        footer.appendChild(link);
+    }
+    
+    const next = createQuizButton('Next →', 'quiz-next', nextQuizQuestion);
+    footer.appendChild(next);
+    elements.quizPanel.appendChild(footer);
+    next.focus();
+}
+
+function nextQuizQuestion() {
+    const session = state.quiz.session;
+    session.index++;
+    
+    if (session.index < session.queue.length) {
+        renderQuizQuestion();
+    } else {
+        renderQuizSummary();
+    }
+}
+
+function renderQuizSummary() {
+    const { answered, correct } = state.quiz.session;
+    const panel = elements.quizPanel;
+    panel.innerHTML = '';
+    
+    panel.appendChild(createQuizHeader(translate('quiz.sessionComplete')));
+    
+    const score = document.createElement('p');
+    score.className = 'quiz-score';
+    score.textContent = translate('quiz.score', { correct, count: answered, percent: Math.round((correct / answered) * 100) });
+    panel.appendChild(score);
+    
+    const nextReview = getNextReviewDate();
+    if (nextReview) {
+        const schedule = document.createElement('p');
+        schedule.className = 'quiz-schedule';
+        schedule.textContent = translate('quiz.nextReview', { date: formatDate(nextReview) });
+        panel.appendChild(schedule);
+    }
+    
+    appendQuizEndActions();
+    announce(score.textContent);
+}
+
+function renderQuizCaughtUp() {
+    const panel = elements.quizPanel;
+    panel.innerHTML = '';
+    
+    panel.appendChild(createQuizHeader(translate('quiz.caughtUp')));
+    
+    const message = document.createElement('p');
+    message.className = 'quiz-schedule';
+    const nextReview = getNextReviewDate();
+    message.textContent = nextReview
+        ? translate('quiz.noneDueUntil', { date: formatDate(nextReview) })
+        : translate('quiz.noneDue');
+    panel.appendChild(message);
+    
+    appendQuizEndActions();
+}
+
+function appendQuizEndActions() {
+    const options = document.createElement('div');
+    options.className = 'quiz-options';
+    options.append(
+        createQuizButton(translate('quiz.practiceAll'), 'quiz-restart', () => startQuizSession(true)),
+        createQuizButton(translate('common.close'), 'quiz-close', closeQuiz)
+    );
+    elements.quizPanel.appendChild(options);
+    focusFirstQuizOption();
+}
+
+function getNextReviewDate() {
+    const dueDates = Object.values(store.getState().quizRecords).map(record => Date.parse(record.dueAt));
+    return dueDates.length ? new Date(Math.min(...dueDates)) : null;
+}
+
+function closeQuiz() {
+    state.quiz.session = null;
+    elements.quizPanel.hidden = true;
+    elements.quizPanel.innerHTML = '';
+    elements.startQuizBtn.focus();
+}
+
+function createQuizHeader(title) {
+    const header = document.createElement('div');
+    header.className = 'quiz-header';
+    
+    const label = document.createElement('span');
+    label.className = 'quiz-status';
+    label.textContent = title;
+    
+    const session = state.quiz.session;
+    const score = document.createElement('span');
+    score.className = 'quiz-status';
+    score.textContent = session && session.answered
+        ? translate('quiz.runningScore', { correct: session.correct, answered: session.answered })
+        : '';
+    
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'quiz-close-btn';
+    close.setAttribute('aria-label', translate('quiz.close'));
+    close.innerHTML = '&times;';
+    close.addEventListener('click', closeQuiz);
+    
+    header.append(label, score, close);
+    return header;
+}
+
+function createQuizButton(label, className, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `quiz-btn ${className}`;
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+function focusFirstQuizOption() {
+    const button = elements.quizPanel.querySelector('.quiz-options button:not(:disabled)');
+    if (button) {
+        button.focus();
+    }
+}
+
+// Number keys pick the matching choice or grade
+function handleQuizKeydown(e) {
+    if (e.key === 'Escape') {
+        closeQuiz();
+        return;
+    }
+    
+    const index = parseInt(e.key, 10) - 1;
+    if (isNaN(index)) return;
+    
+    const buttons = elements.quizPanel.querySelectorAll('.quiz-choice:not(:disabled), .quiz-grade');
+    if (buttons[index]) {
+        e.preventDefault();
+        buttons[index].click();
+    }
+}
@@ -0,0 +1,155 @@
+// ============================================
+// Web Dev Documentation Portal - Reading & Focus Modes
+// ============================================
+
+import { CONFIG } from './config.js';
+import { elements, state } from './state.js';
+import { listen, onDestroy } from './lifecycle.js';
+import { formatNumber, translate } from './i18n.js';
+import { getReadingBandMargin } from './navigation.js';
+import { announce } from './accessibility.js';
+
+// ==================== Reading Mode ====================
+// Reading mode hides the sidebar, hero and decorative motion; focus mode
+// dims every card except the one in the reading band. Font size, line
+// height and content width apply in either layout.
+// Queried in initializeReadingMode() rather than at import, like the theme queries
+let reducedMotionQuery = null;
+
+export function initializeReadingMode() {
+    reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+    state.reading = loadReadingSettings();
+    
+    const { FONT_SIZE, LINE_HEIGHT } = CONFIG.READING;
+    Object.assign(elements.fontSizeInput, { min: FONT_SIZE.MIN, max: FONT_SIZE.MAX, step: FONT_SIZE.STEP });
+    Object.assign(elements.lineHeightInput, { min: LINE_HEIGHT.MIN, max: LINE_HEIGHT.MAX, step: LINE_HEIGHT.STEP });
+    
+    applyReadingSettings();
+    
+    listen(elements.readingSettings, 'input', (e) => {
+        const input = e.target;
+        if (input === elements.readingModeInput) {
+            setReadingMode(input.checked);
+        } else if (input === elements.focusModeInput) {
+            setFocusMode(input.checked);
+        } else if (input === elements.fontSizeInput) {
+            updateReadingSettings({ fontSize: Number(input.value) });
+        } else if (input === elements.lineHeightInput) {
+            updateReadingSettings({ lineHeight: Number(input.value) });
+        } else if (input === elements.contentWidthInput) {
+            updateReadingSettings({ width: input.value });
+        }
+    });
+    listen(elements.readingResetBtn, 'click', () => {
+        updateReadingSettings({ ...CONFIG.READING.DEFAULTS });
+        announce(translate('reading.resetDone'));
+    });
+}
+
+export function setReadingMode(enabled) {
+    updateReadingSettings({ mode: enabled });
+    announce(translate(enabled ? 'reading.modeOn' : 'reading.modeOff'));
+}
+
+export function setFocusMode(enabled) {
+    updateReadingSettings({ focus: enabled });
+    announce(translate(enabled ? 'reading.focusOn' : 'reading.focusOff'));
+}
+
+function updateReadingSettings(changes) {
+    state.reading = normalizeReadingSettings({ ...state.reading, ...changes });
+    localStorage.setItem(CONFIG.STORAGE_KEYS.READING, JSON.stringify(state.reading));
+    applyReadingSettings();
+}
+
+function applyReadingSettings() {
+    const { mode, focus, fontSize, lineHeight, width } = state.reading;
+    const style = document.documentElement.style;
+    
+    document.body.classList.toggle('reading-mode', mode);
+    document.body.classList.toggle('focus-mode', focus);
+    style.setProperty('--reading-font-scale', String(fontSize / 100));
+    style.setProperty('--reading-line-height', String(lineHeight));
+    style.setProperty('--reading-width', CONFIG.READING.WIDTHS[width]);
+    
+    elements.readingModeInput.checked = mode;
+    elements.focusModeInput.checked = focus;
+    elements.fontSizeInput.value = fontSize;
+    elements.fontSizeValue.textContent = translate('progress.percent', { percent: fontSize });
+    elements.lineHeightInput.value = lineHeight;
+    elements.lineHeightValue.textContent = formatNumber(lineHeight);
+    elements.contentWidthInput.value = width;
+}
+
+function loadReadingSettings() {
+    try {
+        return normalizeReadingSettings(JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEYS.READING)) || {});
+    } catch (e) {
+        console.warn('⚠️ Ignoring invalid reading settings:', e);
+        return { ...CONFIG.READING.DEFAULTS };
+    }
+}
+
+// Clamps and snaps saved or typed values so stale settings can't break the layout
+function normalizeReadingSettings(settings) {
+    const { DEFAULTS, FONT_SIZE, LINE_HEIGHT, WIDTHS } = CONFIG.READING;
+    const toStep = (value, { MIN, MAX, STEP }, fallback) => {
+        if (typeof value !== 'number' || !Number.isFinite(value)) return fallback;
+        const snapped = MIN + Math.round((value - MIN) / STEP) * STEP;
+        return Number(Math.min(MAX, Math.max(MIN, snapped)).toFixed(2));
+    };
+    
+    return {
+        mode: typeof settings.mode === 'boolean' ? settings.mode : DEFAULTS.mode,
+        focus: typeof settings.focus === 'boolean' ? settings.focus : DEFAULTS.focus,
+        fontSize: toStep(settings.fontSize, FONT_SIZE, DEFAULTS.fontSize),
+        lineHeight: toStep(settings.lineHeight, LINE_HEIGHT, DEFAULTS.lineHeight),
+        width: settings.width in WIDTHS ? settings.width : DEFAULTS.width
+    };
+}
+
+// The card in focus is the first one in the reading band, the same band
+// the page TOC highlights from
+export function initializeFocusMode() {
+    const cardsInBand = new Set();
+    
+    const observer = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            if (entry.isIntersecting) {
+                cardsInBand.add(entry.target);
+            } else {
+                cardsInBand.delete(entry.target);
+            }
+        });
+        
+        const current = Array.from(document.querySelectorAll('.section .card')).find(card => cardsInBand.has(card));
+        if (current) {
+            setCardInFocus(current);
+        }
+    }, {
+        rootMargin: getReadingBandMargin()
+    });
+    
+    document.querySelectorAll('.section .card').forEach(card => observer.observe(card));
+    onDestroy(() => observer.disconnect());
+}
+
+function setCardInFocus(card) {
+    document.querySelectorAll('.card.in-focus').forEach(other => {
+        if (other !== card) other.classList.remove('in-focus');
+    });
+    card.classList.add('in-focus');
+}
+
+function prefersReducedMotion() {
+    return reducedMotionQuery !== null && reducedMotionQuery.matches;
+}
+
+// Fade-ins and the like; reading mode turns them off as well
+export function allowsDecorativeMotion() {
+    return !prefersReducedMotion() && !state.reading.mode;
+}
+
+export function getScrollBehavior() {
+    return prefersReducedMotion() ? 'auto' : 'smooth';
+}
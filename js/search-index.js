@@ -0,0 +1,69 @@
+// ============================================
+// Web Dev Documentation Portal - Search Index
+// ============================================
+
+import { CONFIG } from './config.js';
+
+// ==================== Inverted Index ====================
+// term -> Map(document index -> weighted term frequency). Kept free of the
+// page so tools/build.js can build the same index ahead of time.
+export function createSearchIndex() {
+    return {
+        documents: [],
+        terms: new Map()
+    };
+}
+
+export function addSearchDocument(index, doc) {
+    const { documents, terms } = index;
+    const docIndex = documents.length;
+    const weights = new Map();
+    
+    tokenize(doc.title).forEach(token => {
+        weights.set(token, (weights.get(token) || 0) + CONFIG.SEARCH.TITLE_WEIGHT);
+    });
+    tokenize(doc.text).forEach(token => {
+        weights.set(token, (weights.get(token) || 0) + 1);
+    });
+    
+    weights.forEach((weight, term) => {
+        if (!terms.has(term)) {
+            terms.set(term, new Map());
+        }
+        terms.get(term).set(docIndex, weight);
+    });
+    
+    documents.push(doc);
+}
+
+export function tokenize(text) {
+    return (text.toLowerCase().match(/[\p{L}\p{M}\p{N}]+/gu) || [])
+        .filter(token => !SEARCH_STOP_WORDS.has(token));
+}
+
+const SEARCH_STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in',
+    'is', 'it', 'of', 'on', 'or', 'that', 'the', 'to', 'with'
+]);
+
+// ==================== JSON Form ====================
+// { version, documents, terms: { term: [[docIndex, weight], ...] } }
+const SEARCH_INDEX_VERSION = 1;
+
+export function serializeSearchIndex(index) {
+    return {
+        version: SEARCH_INDEX_VERSION,
+        documents: index.documents,
+        terms: Object.fromEntries(Array.from(index.terms, ([term, postings]) => [term, Array.from(postings)]))
+    };
+}
+
+// Returns null for an index written by a different version of the format
+export function readSearchIndex(data) {
+    if (!data || data.version !== SEARCH_INDEX_VERSION) return null;
+    
+    return {
+        documents: [...data.documents],
+        terms: new Map(Object.entries(data.terms).map(([term, postings]) => [term, new Map(postings)]))
+    };
+}
@@ -0,0 +1,622 @@
+// ============================================
+// Web Dev Documentation Portal - Search
+// ============================================
+
+import { CONFIG } from './config.js';
+import { elements, state } from './state.js';
+import { listen } from './lifecycle.js';
+import { emit } from './events.js';
+import { store } from './store.js';
+import { translate } from './i18n.js';
+import { scrollToElement, scrollToSection } from './navigation.js';
+import { revealCard } from './cards.js';
+import { getAnnotationTarget, getAnnotationTitle, isBookmarked } from './annotations.js';
+import { closeSidebar } from './sidebar.js';
+import { debounce, ensureCardId, escapeRegExp } from './utils.js';
+import { addSearchDocument, createSearchIndex, readSearchIndex, tokenize } from './search-index.js';
+import { trackSearch } from './analytics.js';
+import { announce } from './accessibility.js';
+
+// ==================== Search Functionality ====================
+export function initializeSearch() {
+    buildSearchIndex();
+    
+    elements.searchInput.setAttribute('role', 'combobox');
+    elements.searchInput.setAttribute('aria-autocomplete', 'list');
+    elements.searchInput.setAttribute('aria-controls', 'searchResults');
+    elements.searchInput.setAttribute('aria-expanded', 'false');
+    
+    listen(elements.searchInput, 'input', debounce(handleSearch, CONFIG.SEARCH.DEBOUNCE_DELAY));
+    listen(elements.searchInput, 'keydown', handleSearchKeydown);
+    
+    // Close the results panel when clicking anywhere outside the search box
+    listen(document, 'click', (e) => {
+        if (!e.target.closest('.search-container')) {
+            hideSearchResults();
+        }
+    });
+}
+
+function handleSearch(e) {
+    runSearch(e.target.value);
+}
+
+function runSearch(rawQuery) {
+    const query = rawQuery.trim();
+    const searchTerm = query.toLowerCase();
+    
+    if (searchTerm.length === 0) {
+        clearSearch();
+        return;
+    }
+    
+    state.searchQuery = query;
+    clearSearchHighlights();
+    
+    const pattern = buildHighlightPattern(query);
+    
+    // Filter navigation items
+    elements.navLinks.forEach(link => {
+        const text = link.textContent.toLowerCase();
+        const listItem = link.parentElement;
+        
+        if (text.includes(searchTerm)) {
+            listItem.style.display = 'block';
+            if (pattern) {
+                highlightSearchTerm(link, pattern);
+            }
+        } else {
+            listItem.style.display = 'none';
+        }
+    });
+    
+    // Highlight matches in the page content for Enter / Shift+Enter navigation
+    if (pattern) {
+        elements.sections.forEach(section => {
+            state.searchHits.push(...highlightSearchTerm(section, pattern));
+        });
+    }
+    updateSearchHitCounter();
+    
+    // Ranked full-text search over the page content
+    state.searchResults = querySearchIndex(query);
+    renderSearchResults(query);
+    trackSearch(query, state.searchResults.length);
+    emit('search:query', { query, resultCount: state.searchResults.length });
+}
+
+function handleSearchKeydown(e) {
+    switch (e.key) {
+        case 'Escape':
+            clearSearch();
+            break;
+        case 'ArrowDown':
+            e.preventDefault();
+            moveActiveSearchResult(1);
+            break;
+        case 'ArrowUp':
+            e.preventDefault();
+            moveActiveSearchResult(-1);
+            break;
+        case 'Enter': {
+            e.preventDefault();
+            
+            // The debounced input handler may not have run yet
+            const query = elements.searchInput.value.trim();
+            if (query && query !== state.searchQuery) {
+                runSearch(query);
+            }
+            
+            const result = state.searchResults[state.activeSearchResult];
+            if (result) {
+                openSearchResult(result);
+            } else {
+                goToSearchHit(e.shiftKey ? -1 : 1);
+            }
+            break;
+        }
+    }
+}
+
+// ==================== Search Highlighting ====================
+// Matches every whitespace-separated word of the query literally, longest first
+function buildHighlightPattern(query) {
+    const words = query
+        .split(/\s+/)
+        .filter(word => word.length >= CONFIG.SEARCH.MIN_HIGHLIGHT_LENGTH)
+        .sort((a, b) => b.length - a.length);
+    
+    if (words.length === 0) return null;
+    
+    return new RegExp(words.map(escapeRegExp).join('|'), 'giu');
+}
+
+// Wraps every match inside root in <mark class="search-hit"> by splitting text
+// nodes with Ranges, so existing markup and listeners are never re-parsed
+function highlightSearchTerm(root, pattern) {
+    const skip = `${CONFIG.SEARCH.IGNORE_SELECTOR}, mark.search-hit`;
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+        acceptNode: node => node.parentElement.closest(skip)
+            ? NodeFilter.FILTER_REJECT
+            : NodeFilter.FILTER_ACCEPT
+    });
+    
+    const textNodes = [];
+    while (walker.nextNode()) {
+        textNodes.push(walker.currentNode);
+    }
+    
+    const marks = [];
+    
+    textNodes.forEach(node => {
+        const matches = Array.from(node.nodeValue.matchAll(pattern));
+        const nodeMarks = [];
+        
+        // Wrap from the end so the offsets of earlier matches stay valid
+        for (let i = matches.length - 1; i >= 0; i--) {
+            const range = document.createRange();
+            range.setStart(node, matches[i].index);
+            range.setEnd(node, matches[i].index + matches[i][0].length);
+            
+            const mark = document.createElement('mark');
+            mark.className = 'search-hit';
+            range.surroundContents(mark);
+            nodeMarks.unshift(mark);
+        }
+        
+        marks.push(...nodeMarks);
+    });
+    
+    return marks;
+}
+
+// Unwraps all highlight marks and merges the split text nodes back together
+function clearSearchHighlights() {
+    const parents = new Set();
+    
+    document.querySelectorAll('mark.search-hit').forEach(mark => {
+        parents.add(mark.parentNode);
+        mark.replaceWith(...mark.childNodes);
+    });
+    
+    parents.forEach(parent => parent.normalize());
+    
+    state.searchHits = [];
+    state.activeSearchHit = -1;
+    updateSearchHitCounter();
+}
+
+function goToSearchHit(step) {
+    const hits = state.searchHits;
+    if (hits.length === 0) return;
+    
+    if (state.activeSearchHit >= 0) {
+        hits[state.activeSearchHit].classList.remove('current');
+    }
+    
+    const index = state.activeSearchHit === -1 && step < 0
+        ? hits.length - 1
+        : (state.activeSearchHit + step + hits.length) % hits.length;
+    const hit = hits[index];
+    
+    // Open collapsed cards so the hit is actually visible
+    revealCard(hit);
+    
+    hit.classList.add('current');
+    state.activeSearchHit = index;
+    
+    hideSearchResults();
+    scrollToElement(hit);
+    updateSearchHitCounter();
+    announce(elements.searchHitCounter.textContent);
+}
+
+function updateSearchHitCounter() {
+    const counter = elements.searchHitCounter;
+    const total = state.searchHits.length;
+    
+    if (!state.searchQuery) {
+        counter.hidden = true;
+        counter.textContent = '';
+        return;
+    }
+    
+    counter.hidden = false;
+    
+    if (total === 0) {
+        counter.textContent = translate('search.noMatches');
+    } else if (state.activeSearchHit === -1) {
+        counter.textContent = translate('search.matches', { count: total });
+    } else {
+        counter.textContent = translate('search.matchPosition', { current: state.activeSearchHit + 1, total });
+    }
+}
+
+export function clearSearch() {
+    elements.searchInput.value = '';
+    state.searchQuery = '';
+    
+    // Reset navigation items
+    elements.navLinks.forEach(link => {
+        link.parentElement.style.display = 'block';
+    });
+    
+    clearSearchHighlights();
+    hideSearchResults();
+    state.searchResults = [];
+}
+
+// ==================== Search Index ====================
+// Inverted index of every section header, card, code example and FAQ answer
+// (see search-index.js). A built site ships it precomputed; it is used as long
+// as every document it points to is on the page.
+export function buildSearchIndex() {
+    const prebuilt = state.content && readSearchIndex(state.content.searchIndex);
+    const isCurrent = prebuilt && prebuilt.documents.every(doc => document.getElementById(doc.targetId));
+    
+    state.searchIndex = isCurrent ? prebuilt : createSearchIndex();
+    if (!isCurrent) {
+        indexPageContent();
+    }
+    
+    // Personal notes are searchable alongside the content they annotate
+    store.getState().notes.forEach((note, key) => {
+        const target = getAnnotationTarget(key);
+        if (!target) return;
+        
+        const section = target.closest('.section');
+        const sectionTitle = getSectionTitle(section);
+        
+        addSearchDocument(state.searchIndex, {
+            type: 'note',
+            targetId: target.id,
+            sectionId: section.id,
+            sectionTitle,
+            title: getAnnotationTitle(target),
+            text: note.text
+        });
+    });
+    
+    console.log(`🔎 Search index ${isCurrent ? 'loaded' : 'built'}: ${state.searchIndex.documents.length} documents, ${state.searchIndex.terms.size} terms`);
+}
+
+function indexPageContent() {
+    elements.sections.forEach(section => {
+        const sectionTitle = getSectionTitle(section);
+        const header = section.querySelector('.section-header');
+        
+        addSearchDocument(state.searchIndex, {
+            type: 'section',
+            targetId: section.id,
+            sectionId: section.id,
+            sectionTitle,
+            title: sectionTitle,
+            text: header ? getIndexableText(header) : ''
+        });
+        
+        section.querySelectorAll('.card').forEach(card => {
+            const cardId = ensureCardId(card, section);
+            const heading = card.querySelector('h3');
+            const title = heading ? heading.textContent.trim() : sectionTitle;
+            
+            if (card.classList.contains('faq-card')) {
+                const answer = card.querySelector('.faq-answer');
+                addSearchDocument(state.searchIndex, {
+                    type: 'faq',
+                    targetId: cardId,
+                    sectionId: section.id,
+                    sectionTitle,
+                    title,
+                    text: answer ? getIndexableText(answer) : ''
+                });
+                return;
+            }
+            
+            addSearchDocument(state.searchIndex, {
+                type: 'card',
+                targetId: cardId,
+                sectionId: section.id,
+                sectionTitle,
+                title,
+                text: getIndexableText(card, '.code-example')
+            });
+            
+            card.querySelectorAll('.code-example').forEach(block => {
+                addSearchDocument(state.searchIndex, {
+                    type: 'code',
+                    targetId: cardId,
+                    sectionId: section.id,
+                    sectionTitle,
+                    title,
+                    text: getIndexableText(block)
+                });
+            });
+        });
+    });
+}
+
+function querySearchIndex(query) {
+    if (!state.searchIndex) return [];
+    
+    const { documents, terms } = state.searchIndex;
+    const queryTokens = tokenize(query);
+    const matches = new Map();
+    
+    if (queryTokens.length === 0) return [];
+    
+    queryTokens.forEach(token => {
+        // Best-scoring variant (exact, prefix or fuzzy) of this token per document
+        const best = new Map();
+        
+        expandQueryToken(token).forEach(({ term, quality }) => {
+            const postings = terms.get(term);
+            const idf = Math.log(1 + documents.length / postings.size);
+            
+            postings.forEach((weight, docIndex) => {
+                const score = quality * idf * (1 + Math.log(weight));
+                const current = best.get(docIndex);
+                if (!current || score > current.score) {
+                    best.set(docIndex, { score, term });
+                }
+            });
+        });
+        
+        best.forEach(({ score, term }, docIndex) => {
+            const match = matches.get(docIndex) || { score: 0, matchedTokens: 0, terms: [] };
+            match.score += score;
+            match.matchedTokens++;
+            match.terms.push(term);
+            matches.set(docIndex, match);
+        });
+    });
+    
+    const phrase = query.toLowerCase();
+    
+    return Array.from(matches.entries())
+        .filter(([, match]) => match.matchedTokens === queryTokens.length)
+        .map(([docIndex, match]) => {
+            const doc = documents[docIndex];
+            const phraseBonus = doc.title.toLowerCase().includes(phrase) ? CONFIG.SEARCH.PHRASE_BOOST : 1;
+            return { doc, score: match.score * phraseBonus, terms: match.terms };
+        })
+        .sort((a, b) => b.score - a.score)
+        .slice(0, CONFIG.SEARCH.MAX_RESULTS);
+}
+
+function expandQueryToken(token) {
+    const variants = [];
+    const maxDistance = token.length >= 7 ? 2 : 1;
+    
+    state.searchIndex.terms.forEach((postings, term) => {
+        if (term === token) {
+            variants.push({ term, quality: 1 });
+        } else if (term.startsWith(token)) {
+            variants.push({ term, quality: CONFIG.SEARCH.PREFIX_QUALITY });
+        } else if (token.length >= CONFIG.SEARCH.FUZZY_MIN_LENGTH &&
+                   Math.abs(term.length - token.length) <= maxDistance &&
+                   editDistance(token, term, maxDistance) <= maxDistance) {
+            variants.push({ term, quality: CONFIG.SEARCH.FUZZY_QUALITY });
+        }
+    });
+    
+    return variants;
+}
+
+// Levenshtein distance that gives up once every path exceeds maxDistance
+function editDistance(a, b, maxDistance) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        
+        if (rowMin > maxDistance) return rowMin;
+        previous = current;
+    }
+    
+    return previous[b.length];
+}
+
+// Collects the visible text of an element, skipping UI chrome like copy buttons
+export function getIndexableText(root, excludeSelector) {
+    const skip = excludeSelector
+        ? `${CONFIG.SEARCH.IGNORE_SELECTOR}, ${excludeSelector}`
+        : CONFIG.SEARCH.IGNORE_SELECTOR;
+    
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+        acceptNode: node => node.parentElement.closest(skip)
+            ? NodeFilter.FILTER_REJECT
+            : NodeFilter.FILTER_ACCEPT
+    });
+    
+    const parts = [];
+    while (walker.nextNode()) {
+        parts.push(walker.currentNode.nodeValue);
+    }
+    
+    return parts.join(' ').replace(/\s+/g, ' ').trim();
+}
+
+export function getSectionTitle(section) {
+    const navLink = Array.from(elements.navLinks).find(
+        link => link.getAttribute('href') === `#${section.id}`
+    );
+    if (navLink) return navLink.textContent.trim();
+    
+    const title = section.querySelector('.section-title');
+    return title ? title.textContent.trim() : section.id;
+}
+
+// ==================== Search Results Panel ====================
+function renderSearchResults(query) {
+    const panel = elements.searchResults;
+    panel.innerHTML = '';
+    state.activeSearchResult = -1;
+    
+    if (state.searchResults.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'search-results-empty';
+        empty.textContent = translate('search.noResults', { query });
+        panel.appendChild(empty);
+    } else {
+        state.searchResults.forEach((result, index) => {
+            panel.appendChild(createSearchResultItem(result, index));
+        });
+    }
+    
+    showSearchResults();
+    announce(translate('search.resultsFor', { count: state.searchResults.length, query }));
+}
+
+function createSearchResultItem(result, index) {
+    const { doc, terms } = result;
+    
+    const item = document.createElement('div');
+    item.className = 'search-result';
+    item.id = `search-result-${index}`;
+    item.setAttribute('role', 'option');
+    item.setAttribute('aria-selected', 'false');
+    
+    const title = document.createElement('span');
+    title.className = 'search-result-title';
+    appendHighlightedText(title, doc.title, terms);
+    
+    const meta = document.createElement('span');
+    meta.className = 'search-result-meta';
+    meta.textContent = `${doc.sectionTitle} · ${translate(`search.type.${doc.type}`)}`;
+    if (isBookmarked(document.getElementById(doc.targetId))) {
+        meta.textContent += ` · ${translate('annotations.bookmarked')}`;
+    }
+    
+    const snippet = document.createElement('span');
+    snippet.className = 'search-result-snippet';
+    appendHighlightedText(snippet, buildSnippet(doc.text, terms), terms);
+    
+    item.append(title, meta, snippet);
+    
+    // Keep focus in the input so keyboard navigation continues to work
+    item.addEventListener('mousedown', e => e.preventDefault());
+    item.addEventListener('click', () => openSearchResult(result));
+    
+    return item;
+}
+
+function buildSnippet(text, terms) {
+    const lowerText = text.toLowerCase();
+    const radius = CONFIG.SEARCH.SNIPPET_RADIUS;
+    
+    const positions = terms
+        .map(term => lowerText.indexOf(term))
+        .filter(position => position !== -1);
+    const firstMatch = positions.length ? Math.min(...positions) : 0;
+    
+    let start = Math.max(0, firstMatch - radius);
+    let end = Math.min(text.length, firstMatch + radius * 2);
+    
+    // Avoid cutting words in half
+    if (start > 0) {
+        const space = text.indexOf(' ', start);
+        if (space !== -1 && space < firstMatch) start = space + 1;
+    }
+    if (end < text.length) {
+        const space = text.lastIndexOf(' ', end);
+        if (space > firstMatch) end = space;
+    }
+    
+    return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+}
+
+// Appends text to a container, wrapping matched terms in <mark> without using innerHTML
+function appendHighlightedText(container, text, terms) {
+    if (terms.length === 0) {
+        container.textContent = text;
+        return;
+    }
+    
+    const pattern = new RegExp(terms.map(escapeRegExp).join('|'), 'giu');
+    let lastIndex = 0;
+    let match;
+    
+    while ((match = pattern.exec(text)) !== null) {
+        if (match.index > lastIndex) {
+            container.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+        }
+        
+        const mark = document.createElement('mark');
+        mark.textContent = match[0];
+        container.appendChild(mark);
+        lastIndex = pattern.lastIndex;
+    }
+    
+    if (lastIndex < text.length) {
+        container.appendChild(document.createTextNode(text.slice(lastIndex)));
+    }
+}
+
+function moveActiveSearchResult(step) {
+    const items = elements.searchResults.querySelectorAll('.search-result');
+    if (items.length === 0) return;
+    
+    const nextIndex = (state.activeSearchResult + step + items.length) % items.length;
+    setActiveSearchResult(nextIndex);
+}
+
+function setActiveSearchResult(index) {
+    const items = elements.searchResults.querySelectorAll('.search-result');
+    
+    items.forEach((item, i) => {
+        const isActive = i === index;
+        item.classList.toggle('active', isActive);
+        item.setAttribute('aria-selected', String(isActive));
+        if (isActive) {
+            item.scrollIntoView({ block: 'nearest' });
+        }
+    });
+    
+    state.activeSearchResult = index;
+    
+    if (index >= 0) {
+        elements.searchInput.setAttribute('aria-activedescendant', `search-result-${index}`);
+    } else {
+        elements.searchInput.removeAttribute('aria-activedescendant');
+    }
+}
+
+function openSearchResult(result) {
+    const target = document.getElementById(result.doc.targetId);
+    if (!target) return;
+    
+    // Reveal matches hidden inside collapsed cards
+    revealCard(target);
+    
+    scrollToSection(result.doc.targetId);
+    history.pushState(null, null, `#${result.doc.targetId}`);
+    hideSearchResults();
+    
+    target.classList.add('search-target');
+    setTimeout(() => {
+        target.classList.remove('search-target');
+    }, CONFIG.SEARCH.TARGET_HIGHLIGHT_DURATION);
+    
+    // Close sidebar on mobile
+    if (window.innerWidth <= 768) {
+        closeSidebar();
+    }
+}
+
+function showSearchResults() {
+    elements.searchResults.hidden = false;
+    elements.searchInput.setAttribute('aria-expanded', 'true');
+}
+
+function hideSearchResults() {
+    elements.searchResults.hidden = true;
+    elements.searchInput.setAttribute('aria-expanded', 'false');
+    setActiveSearchResult(-1);
+}
@@ -0,0 +1,60 @@
+// ============================================
+// Web Dev Documentation Portal - Sidebar
+// ============================================
+
+import { elements, state } from './state.js';
+import { listen, onDestroy } from './lifecycle.js';
+
+// ==================== Sidebar Management ====================
+export function initializeSidebar() {
+    if (elements.sidebarToggle) {
+        listen(elements.sidebarToggle, 'click', toggleSidebar);
+    }
+    
+    if (elements.sidebarClose) {
+        listen(elements.sidebarClose, 'click', closeSidebar);
+    }
+    
+    // Close sidebar when clicking outside on mobile
+    listen(document, 'click', (e) => {
+        if (window.innerWidth <= 768 && state.isSidebarOpen) {
+            if (!elements.sidebar.contains(e.target) && 
+                !elements.sidebarToggle.contains(e.target)) {
+                closeSidebar();
+            }
+        }
+    });
+}
+
+function toggleSidebar() {
+    state.isSidebarOpen = !state.isSidebarOpen;
+    
+    if (state.isSidebarOpen) {
+        elements.sidebar.classList.add('active');
+    } else {
+        elements.sidebar.classList.remove('active');
+    }
+}
+
+export function closeSidebar() {
+    state.isSidebarOpen = false;
+    elements.sidebar.classList.remove('active');
+}
+
+// ==================== Responsive Utilities ====================
+let resizeTimer;
+
+export function initializeResponsiveLayout() {
+    listen(window, 'resize', () => {
+        clearTimeout(resizeTimer);
+        resizeTimer = setTimeout(() => {
+            // Close sidebar on desktop
+            if (window.innerWidth > 768 && state.isSidebarOpen) {
+                closeSidebar();
+            }
+            
+            console.log('📱 Window resized');
+        }, 250);
+    });
+    onDestroy(() => clearTimeout(resizeTimer));
+}
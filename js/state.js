@@ -0,0 +1,120 @@
+// ============================================
+// Web Dev Documentation Portal - State & DOM Elements
+// ============================================
+
+import { CONFIG } from './config.js';
+
+// ==================== State Management ====================
+// Session UI state. Progress, the theme preference, the current section,
+// bookmarks, notes and quiz history are user data and live in the store
+// (store.js).
+export const state = {
+    currentTheme: 'dark-theme',
+    language: 'en',
+    reading: { ...CONFIG.READING.DEFAULTS },
+    cardDwell: new Map(),
+    cardsInView: new Set(),
+    expandedCards: new Set(),
+    quiz: {
+        questions: [],
+        session: null
+    },
+    content: null,
+    // lastVisited from the saved progress, before this visit updates it
+    previousVisit: null,
+    isSidebarOpen: false,
+    searchResults: [],
+    searchIndex: null,
+    activeSearchResult: -1,
+    searchQuery: '',
+    searchHits: [],
+    activeSearchHit: -1
+};
+
+// ==================== DOM Elements ====================
+// Filled in by queryElements() when the app starts, so modules can be
+// imported before the page is parsed
+export const elements = {};
+
+export function queryElements() {
+    Object.assign(elements, {
+        // Sidebar
+        sidebar: document.getElementById('sidebar'),
+        sidebarToggle: document.getElementById('sidebarToggle'),
+        sidebarClose: document.getElementById('sidebarClose'),
+        
+        // Navigation (nav links and sections are re-queried once content renders)
+        navList: document.getElementById('navList'),
+        languageSelect: document.getElementById('languageSelect'),
+        progressStats: document.getElementById('progressStats'),
+        pageToc: document.getElementById('pageToc'),
+        pageTocSection: document.getElementById('pageTocSection'),
+        pageTocList: document.getElementById('pageTocList'),
+        navLinks: document.querySelectorAll('.nav-link'),
+        sections: document.querySelectorAll('.section'),
+        
+        // Search
+        searchInput: document.getElementById('searchInput'),
+        searchResults: document.getElementById('searchResults'),
+        searchHitCounter: document.getElementById('searchHitCounter'),
+        
+        // Learning paths
+        learningPath: document.getElementById('learningPath'),
+        pathSelect: document.getElementById('pathSelect'),
+        pathSummary: document.getElementById('pathSummary'),
+        pathDescription: document.getElementById('pathDescription'),
+        pathProgressFill: document.getElementById('pathProgressFill'),
+        pathProgressText: document.getElementById('pathProgressText'),
+        pathNextBtn: document.getElementById('pathNextBtn'),
+        
+        // Theme
+        themeToggle: document.getElementById('themeToggle'),
+        themeMenu: document.getElementById('themeMenu'),
+        themeOptions: document.getElementById('themeOptions'),
+        accentColorInput: document.getElementById('accentColorInput'),
+        accentResetBtn: document.getElementById('accentResetBtn'),
+        readingSettings: document.getElementById('readingSettings'),
+        readingModeInput: document.getElementById('readingModeInput'),
+        focusModeInput: document.getElementById('focusModeInput'),
+        fontSizeInput: document.getElementById('fontSizeInput'),
+        fontSizeValue: document.getElementById('fontSizeValue'),
+        lineHeightInput: document.getElementById('lineHeightInput'),
+        lineHeightValue: document.getElementById('lineHeightValue'),
+        contentWidthInput: document.getElementById('contentWidthInput'),
+        readingResetBtn: document.getElementById('readingResetBtn'),
+        
+        // Progress
+        progressBar: document.getElementById('progressBar'),
+        completedSections: document.getElementById('completedSections'),
+        totalSections: document.getElementById('totalSections'),
+        progressPercentage: document.getElementById('progressPercentage'),
+        sectionProgressList: document.getElementById('sectionProgressList'),
+        exportProgressBtn: document.getElementById('exportProgressBtn'),
+        importProgressBtn: document.getElementById('importProgressBtn'),
+        importProgressInput: document.getElementById('importProgressInput'),
+        shareProgressBtn: document.getElementById('shareProgressBtn'),
+        readingStatsBtn: document.getElementById('readingStatsBtn'),
+        printSectionsBtn: document.getElementById('printSectionsBtn'),
+        
+        // What's new
+        whatsNewPanel: document.getElementById('whatsNewPanel'),
+        whatsNewDismiss: document.getElementById('whatsNewDismiss'),
+        whatsNewSince: document.getElementById('whatsNewSince'),
+        whatsNewList: document.getElementById('whatsNewList'),
+        
+        // Bookmarks & Notes
+        annotationsList: document.getElementById('annotationsList'),
+        annotationsEmpty: document.getElementById('annotationsEmpty'),
+        
+        // Quiz
+        startQuizBtn: document.getElementById('startQuizBtn'),
+        quizDueCount: document.getElementById('quizDueCount'),
+        quizPanel: document.getElementById('quizPanel'),
+        
+        // Main Content
+        mainContent: document.getElementById('mainContent'),
+        contentSections: document.getElementById('contentSections'),
+        heroStats: document.getElementById('heroStats'),
+        footerCredits: document.getElementById('footerCredits')
+    });
+}
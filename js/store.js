@@ -0,0 +1,144 @@
+// ============================================
+// Web Dev Documentation Portal - Store
+// ============================================
+
+import { CONFIG } from './config.js';
+import { listen, onDestroy } from './lifecycle.js';
+
+// ==================== Observable Store ====================
+// State is replaced, never mutated: setState() shallow-merges a patch into a
+// new object, so a changed Set or Map has to be a new Set or Map. That keeps
+// selector comparisons to a reference check.
+function createStore(initialState) {
+    let current = Object.freeze({ ...initialState });
+    const subscribers = new Set();
+    const middleware = [];
+    const history = [];
+    
+    function getState() {
+        return current;
+    }
+    
+    // action describes the change for middleware: { type, undoable, persist, remote }
+    function setState(update, action = { type: 'update' }) {
+        const patch = typeof update === 'function' ? update(current) : update;
+        const keys = Object.keys(patch).filter(key => patch[key] !== current[key]);
+        if (keys.length === 0) return;
+        
+        const previous = current;
+        current = Object.freeze({ ...current, ...patch });
+        
+        if (action.undoable) {
+            history.push({ action, keys, values: pick(previous, keys) });
+            history.splice(0, history.length - CONFIG.STORE.HISTORY_LIMIT);
+        } else if (action.remote) {
+            // Undoing would overwrite what the other tab just did
+            dropHistory(keys);
+        }
+        
+        middleware.forEach(fn => fn(current, previous, action));
+        subscribers.forEach(subscriber => subscriber(current, previous, action));
+    }
+    
+    // The listener runs when the selected value changes. A selector may return
+    // an array to watch several slices at once.
+    function subscribe(selector, listener) {
+        const subscriber = (next, previous, action) => {
+            const selected = selector(next);
+            const before = selector(previous);
+            if (!isSameSelection(selected, before)) {
+                listener(selected, before, action);
+            }
+        };
+        
+        subscribers.add(subscriber);
+        return () => subscribers.delete(subscriber);
+    }
+    
+    function use(fn) {
+        middleware.push(fn);
+        return () => {
+            const index = middleware.indexOf(fn);
+            if (index !== -1) middleware.splice(index, 1);
+        };
+    }
+    
+    // Restores what the last undoable action replaced; returns that action
+    function undo() {
+        const entry = history.pop();
+        if (!entry) return null;
+        
+        setState(entry.values, { type: 'undo', undone: entry.action });
+        return entry.action;
+    }
+    
+    function canUndo() {
+        return history.length > 0;
+    }
+    
+    function dropHistory(keys) {
+        for (let i = history.length - 1; i >= 0; i--) {
+            if (history[i].keys.some(key => keys.includes(key))) {
+                history.splice(i, 1);
+            }
+        }
+    }
+    
+    return { getState, setState, subscribe, use, undo, canUndo };
+}
+
+function pick(source, keys) {
+    return Object.fromEntries(keys.map(key => [key, source[key]]));
+}
+
+function isSameSelection(a, b) {
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((value, index) => value === b[index]);
+    }
+    return a === b;
+}
+
+// ==================== User Data ====================
+// Reading progress, appearance, the current section, the learning path,
+// bookmarks, notes and quiz history; the rest of the session-only UI state
+// stays on `state`.
+export const store = createStore({
+    visitedSections: new Set(),
+    cardProgress: new Map(),
+    themePreference: 'system',
+    accentColor: null,
+    currentSection: 'introduction',
+    activePath: null,
+    bookmarks: new Map(),
+    notes: new Map(),
+    // Keyed by question id
+    quizRecords: {}
+});
+
+// Saves the given slices under a localStorage key whenever one of them
+// changes, and applies changes other tabs make to that key. save returns the
+// string to store, or null to remove the key; load turns a stored string back
+// into a patch.
+export function persist({ key, slices, save, load }) {
+    onDestroy(store.use((next, previous, action) => {
+        if (action.persist === false || action.remote) return;
+        if (slices.every(slice => next[slice] === previous[slice])) return;
+        
+        const value = save(next);
+        if (value === null) {
+            localStorage.removeItem(key);
+        } else {
+            localStorage.setItem(key, value);
+        }
+    }));
+    
+    listen(window, 'storage', (e) => {
+        if (e.key !== key || e.storageArea !== localStorage) return;
+        
+        try {
+            store.setState(load(e.newValue), { type: 'storage', remote: true });
+        } catch (error) {
+            console.error(`Error syncing ${key} from another tab:`, error);
+        }
+    });
+}
@@ -0,0 +1,254 @@
+// ============================================
+// Web Dev Documentation Portal - Syntax Highlighting
+// ============================================
+
+import { CONFIG } from './config.js';
+import { translate } from './i18n.js';
+
+// ==================== Syntax Highlighting ====================
+// A small Prism-style tokenizer: each grammar is an ordered list of rules tried
+// at the current position; the first match wins. A rule may carry an `inside`
+// grammar that re-tokenizes its match (used for HTML tags).
+const HTML_TAG_GRAMMAR = [
+    { type: 'tag', pattern: /^<\/?[\w-]+/ },
+    { type: 'string', pattern: /"[^"]*"|'[^']*'/ },
+    { type: 'attr', pattern: /[\w:@.#-]+/ },
+    { type: 'punctuation', pattern: /\/?>|=/ }
+];
+
+const SYNTAX_GRAMMARS = {
+    html: [
+        { type: 'comment', pattern: /<!--[\s\S]*?-->/ },
+        { type: 'meta', pattern: /<!DOCTYPE[^>]*>/i },
+        { type: 'tag-block', pattern: /<\/?[\w-]+(?:\s+(?:[^<>"']|"[^"]*"|'[^']*')*)?\/?>/, inside: HTML_TAG_GRAMMAR },
+        { type: 'literal', pattern: /&[\w#]+;/ }
+    ],
+    css: [
+        { type: 'comment', pattern: /\/\*[\s\S]*?\*\// },
+        { type: 'keyword', pattern: /@[\w-]+/ },
+        { type: 'selector', pattern: /[^{}\s;][^{};]*(?=\{)/ },
+        { type: 'property', pattern: /[\w-]+(?=\s*:)/ },
+        { type: 'string', pattern: /"[^"]*"|'[^']*'/ },
+        { type: 'literal', pattern: /#[\da-fA-F]{3,8}\b|!important/ },
+        { type: 'function', pattern: /[\w-]+(?=\()/ },
+        { type: 'number', pattern: /-?\d*\.?\d+(?:px|r?em|%|vh|vw|s|ms|deg|fr)?/ },
+        { type: 'punctuation', pattern: /[{}:;(),]/ }
+    ],
+    javascript: [
+        { type: 'comment', pattern: /\/\/[^\n]*|\/\*[\s\S]*?\*\// },
+        { type: 'string', pattern: /`(?:\\[\s\S]|[^\\`])*`|'(?:\\.|[^\\'\n])*'|"(?:\\.|[^\\"\n])*"/ },
+        { type: 'keyword', pattern: /\b(?:async|await|break|case|catch|class|const|continue|default|delete|do|else|export|extends|finally|for|from|function|if|import|in|instanceof|let|new|of|return|static|super|switch|this|throw|try|typeof|var|void|while|yield)\b/ },
+        { type: 'literal', pattern: /\b(?:true|false|null|undefined|NaN)\b/ },
+        { type: 'number', pattern: /\b\d+(?:\.\d+)?\b/ },
+        { type: 'function', pattern: /[A-Za-z_$][\w$]*(?=\s*\()/ },
+        { type: 'operator', pattern: /=>|[=!<>]=?=?|[+\-*/%&|^~?:]+/ },
+        { type: 'punctuation', pattern: /[{}()[\];,.]/ }
+    ],
+    json: [
+        { type: 'property', pattern: /"(?:\\.|[^\\"])*"(?=\s*:)/ },
+        { type: 'string', pattern: /"(?:\\.|[^\\"])*"/ },
+        { type: 'number', pattern: /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/ },
+        { type: 'literal', pattern: /\b(?:true|false|null)\b/ },
+        { type: 'punctuation', pattern: /[{}[\],:]/ }
+    ],
+    shell: [
+        { type: 'comment', pattern: /(?<=^|\s)#[^\n]*/m },
+        { type: 'string', pattern: /"(?:\\.|[^\\"])*"|'[^']*'/ },
+        { type: 'variable', pattern: /\$\{?[\w]+\}?/ },
+        { type: 'keyword', pattern: /\b(?:if|then|else|elif|fi|for|while|do|done|case|esac|function|export|in)\b/ },
+        { type: 'function', pattern: /(?<=^[ \t]*(?:\$ )?)[\w./-]+/m },
+        { type: 'attr', pattern: /(?<=\s)--?[\w-]+/ },
+        { type: 'operator', pattern: /&&|\|\||[|><;]/ }
+    ],
+    yaml: [
+        { type: 'comment', pattern: /(?<=^|\s)#[^\n]*/m },
+        { type: 'property', pattern: /[\w.-]+(?=\s*:(?:\s|$))/m },
+        { type: 'string', pattern: /"(?:\\.|[^\\"])*"|'[^']*'/ },
+        { type: 'variable', pattern: /[&*][\w-]+/ },
+        { type: 'literal', pattern: /\b(?:true|false|null|yes|no|on|off)\b/ },
+        { type: 'number', pattern: /\b\d+(?:\.\d+)?\b/ },
+        { type: 'punctuation', pattern: /[-:|>[\]{},]/ }
+    ],
+    dockerfile: [
+        { type: 'comment', pattern: /(?<=^\s*)#[^\n]*/m },
+        { type: 'keyword', pattern: /(?<=^\s*)(?:FROM|RUN|CMD|LABEL|EXPOSE|ENV|ADD|COPY|ENTRYPOINT|VOLUME|USER|WORKDIR|ARG|ONBUILD|STOPSIGNAL|HEALTHCHECK|SHELL)\b/im },
+        { type: 'keyword', pattern: /\bAS\b/ },
+        { type: 'string', pattern: /"(?:\\.|[^\\"])*"|'[^']*'/ },
+        { type: 'variable', pattern: /\$\{?[\w]+\}?/ },
+        { type: 'attr', pattern: /--[\w-]+/ },
+        { type: 'number', pattern: /\b\d+\b/ },
+        { type: 'punctuation', pattern: /[[\],=]/ }
+    ]
+};
+
+// Languages without their own grammar borrow the closest one
+const LANGUAGE_ALIASES = {
+    js: 'javascript',
+    jsx: 'javascript',
+    vue: 'html',
+    xml: 'html',
+    sh: 'shell',
+    bash: 'shell',
+    yml: 'yaml',
+    docker: 'dockerfile'
+};
+
+export const LANGUAGE_LABELS = {
+    html: 'HTML',
+    css: 'CSS',
+    javascript: 'JavaScript',
+    jsx: 'JSX',
+    vue: 'Vue',
+    json: 'JSON',
+    shell: 'Shell',
+    yaml: 'YAML',
+    dockerfile: 'Dockerfile',
+    sql: 'SQL',
+    graphql: 'GraphQL'
+};
+
+// Unhighlighted source of every block, captured before any markup is added
+const codeSources = new WeakMap();
+
+export function getCodeSource(block) {
+    return codeSources.has(block) ? codeSources.get(block) : block.querySelector('code').textContent;
+}
+
+// Guess a language from the code itself when the block has no data-lang
+function detectCodeLanguage(code) {
+    const source = code.trim();
+    const firstLine = source.split('\n').find(line => line.trim() && !line.trim().startsWith('#')) || '';
+    
+    if (source.startsWith('<')) return 'html';
+    if (/^[[{]/.test(source)) {
+        try {
+            JSON.parse(source);
+            return 'json';
+        } catch (e) {
+            // Not JSON, fall through
+        }
+    }
+    if (/^FROM\s/i.test(firstLine.trim())) return 'dockerfile';
+    if (/^(?:\$ |#!\/|npm |npx |yarn |git |cd |sudo |docker |curl )/m.test(source)) return 'shell';
+    if (/^[^{};]+\{[^}]*:[^}]*;?[^}]*\}/.test(source) && !/\b(?:function|const|let|=>)\b/.test(source)) return 'css';
+    if (/^[\w.-]+:(?:\s|$)/m.test(firstLine) && !/[;{}()]/.test(source)) return 'yaml';
+    
+    return 'javascript';
+}
+
+function tokenizeCode(code, grammar) {
+    const tokens = [];
+    const rules = grammar.map(rule => ({
+        ...rule,
+        regex: new RegExp(rule.pattern.source, `${rule.pattern.flags.replace('g', '')}y`)
+    }));
+    let plain = '';
+    let position = 0;
+    
+    while (position < code.length) {
+        let matched = null;
+        
+        for (const rule of rules) {
+            rule.regex.lastIndex = position;
+            const match = rule.regex.exec(code);
+            if (match && match[0].length > 0) {
+                matched = { rule, text: match[0] };
+                break;
+            }
+        }
+        
+        if (!matched) {
+            plain += code[position++];
+            continue;
+        }
+        
+        if (plain) {
+            tokens.push({ type: null, text: plain });
+            plain = '';
+        }
+        
+        if (matched.rule.inside) {
+            tokens.push(...tokenizeCode(matched.text, matched.rule.inside));
+        } else {
+            tokens.push({ type: matched.rule.type, text: matched.text });
+        }
+        position += matched.text.length;
+    }
+    
+    if (plain) {
+        tokens.push({ type: null, text: plain });
+    }
+    
+    return tokens;
+}
+
+// Renders tokens line by line so CSS counters can number the lines
+export function highlightCodeBlock(block) {
+    const code = block.querySelector('code');
+    if (!code || codeSources.has(block)) return;
+    
+    const source = code.textContent;
+    const language = block.dataset.lang || detectCodeLanguage(source);
+    const grammar = SYNTAX_GRAMMARS[LANGUAGE_ALIASES[language] || language];
+    const tokens = grammar ? tokenizeCode(source, grammar) : [{ type: null, text: source }];
+    
+    codeSources.set(block, source);
+    block.dataset.lang = language;
+    code.classList.add(`language-${language}`);
+    
+    const fragment = document.createDocumentFragment();
+    let line = document.createElement('span');
+    line.className = 'code-line';
+    
+    tokens.forEach(({ type, text }) => {
+        text.split('\n').forEach((part, index) => {
+            if (index > 0) {
+                fragment.appendChild(line);
+                fragment.appendChild(document.createTextNode('\n'));
+                line = document.createElement('span');
+                line.className = 'code-line';
+            }
+            if (!part) return;
+            
+            if (type) {
+                const span = document.createElement('span');
+                span.className = `token ${type}`;
+                span.textContent = part;
+                line.appendChild(span);
+            } else {
+                line.appendChild(document.createTextNode(part));
+            }
+        });
+    });
+    fragment.appendChild(line);
+    
+    code.textContent = '';
+    code.appendChild(fragment);
+}
+
+export function createLineNumbersButton() {
+    const button = document.createElement('button');
+    button.className = 'code-lines-btn';
+    button.textContent = '#';
+    button.setAttribute('aria-label', translate('code.lineNumbers'));
+    button.setAttribute('aria-pressed', String(areLineNumbersEnabled()));
+    button.addEventListener('click', () => setLineNumbers(!areLineNumbersEnabled()));
+    return button;
+}
+
+export function areLineNumbersEnabled() {
+    return localStorage.getItem(CONFIG.STORAGE_KEYS.LINE_NUMBERS) === 'true';
+}
+
+// Line numbers are a single preference shared by every block
+export function setLineNumbers(enabled) {
+    localStorage.setItem(CONFIG.STORAGE_KEYS.LINE_NUMBERS, String(enabled));
+    
+    document.querySelectorAll('.code-example').forEach(block => {
+        block.classList.toggle('line-numbers', enabled);
+        const button = block.querySelector('.code-lines-btn');
+        if (button) {
+            button.setAttribute('aria-pressed', String(enabled));
+        }
+    });
+}
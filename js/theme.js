@@ -0,0 +1,243 @@
+// ============================================
+// Web Dev Documentation Portal - Theme
+// ============================================
+
+import { CONFIG } from './config.js';
+import { elements, state } from './state.js';
+import { listen, onDestroy } from './lifecycle.js';
+import { emit } from './events.js';
+import { persist, store } from './store.js';
+import { hasTranslation, translate } from './i18n.js';
+import { announce } from './accessibility.js';
+
+// ==================== Theme Management ====================
+// Registered themes; each one is a body class whose CSS variables live in
+// styles.css. "system" is not a theme but a preference that resolves to one.
+export const THEME_REGISTRY = {
+    dark: { label: 'Dark', icon: '🌙', className: CONFIG.THEMES.DARK, scheme: 'dark' },
+    light: { label: 'Light', icon: '☀️', className: CONFIG.THEMES.LIGHT, scheme: 'light' },
+    'high-contrast': { label: 'High contrast', icon: '◐', className: CONFIG.THEMES.HIGH_CONTRAST, scheme: 'dark' },
+    sepia: { label: 'Sepia', icon: '📜', className: CONFIG.THEMES.SEPIA, scheme: 'light' }
+};
+
+// Queried in initializeTheme() rather than at import, so the module loads
+// where matchMedia doesn't exist (tests under jsdom)
+let systemThemeQueries = null;
+
+export function initializeTheme() {
+    systemThemeQueries = {
+        dark: window.matchMedia('(prefers-color-scheme: dark)'),
+        contrast: window.matchMedia('(prefers-contrast: more)')
+    };
+    onDestroy(() => {
+        systemThemeQueries = null;
+    });
+    
+    store.setState({
+        themePreference: parseThemePreference(localStorage.getItem(CONFIG.STORAGE_KEYS.THEME)),
+        accentColor: localStorage.getItem(CONFIG.STORAGE_KEYS.ACCENT)
+    }, { type: 'theme/load', persist: false });
+    
+    renderThemeOptions();
+    applyThemePreference();
+    applyAccentColor(store.getState().accentColor);
+    
+    onDestroy(store.subscribe(data => data.themePreference, () => applyThemePreference()));
+    onDestroy(store.subscribe(data => data.accentColor, applyAccentColor));
+    persist({
+        key: CONFIG.STORAGE_KEYS.THEME,
+        slices: ['themePreference'],
+        save: data => data.themePreference,
+        load: value => ({ themePreference: parseThemePreference(value) })
+    });
+    persist({
+        key: CONFIG.STORAGE_KEYS.ACCENT,
+        slices: ['accentColor'],
+        save: data => data.accentColor,
+        load: value => ({ accentColor: value })
+    });
+    
+    listen(elements.themeToggle, 'click', toggleThemeMenu);
+    listen(elements.themeMenu, 'change', (e) => {
+        if (e.target.name === 'theme') {
+            setThemePreference(e.target.value);
+        }
+    });
+    listen(elements.themeMenu, 'keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.stopPropagation();
+            closeThemeMenu();
+            elements.themeToggle.focus();
+        }
+    });
+    listen(elements.accentColorInput, 'input', (e) => setAccentColor(e.target.value));
+    listen(elements.accentResetBtn, 'click', () => setAccentColor(null));
+    
+    // Close the menu when clicking outside it
+    listen(document, 'click', (e) => {
+        if (!elements.themeMenu.hidden &&
+            !elements.themeMenu.contains(e.target) &&
+            !elements.themeToggle.contains(e.target)) {
+            closeThemeMenu();
+        }
+    });
+    
+    // Follow OS changes live while in system mode
+    Object.values(systemThemeQueries).forEach(query => {
+        listen(query, 'change', () => {
+            if (store.getState().themePreference === 'system') {
+                applyThemePreference();
+            }
+        });
+    });
+}
+
+// Older versions stored the body class name (e.g. "dark-theme")
+function parseThemePreference(saved) {
+    if (!saved) return 'system';
+    if (saved === 'system' || THEME_REGISTRY[saved]) return saved;
+    
+    const legacy = Object.keys(THEME_REGISTRY).find(id => THEME_REGISTRY[id].className === saved);
+    return legacy || 'system';
+}
+
+function resolveTheme(preference) {
+    if (preference !== 'system') {
+        return THEME_REGISTRY[preference] ? preference : 'dark';
+    }
+    if (systemThemeQueries.contrast.matches) return 'high-contrast';
+    return systemThemeQueries.dark.matches ? 'dark' : 'light';
+}
+
+function applyThemePreference() {
+    const { themePreference } = store.getState();
+    const themeId = resolveTheme(themePreference);
+    const theme = THEME_REGISTRY[themeId];
+    
+    // Swap only theme classes so unrelated body classes survive
+    Object.values(THEME_REGISTRY).forEach(({ className }) => {
+        document.body.classList.remove(className);
+    });
+    document.body.classList.add(theme.className);
+    document.documentElement.style.colorScheme = theme.scheme;
+    
+    state.currentTheme = theme.className;
+    updateThemeIcon();
+    emit('theme:changed', { preference: themePreference, theme: themeId });
+    
+    elements.themeOptions.querySelectorAll('input[name="theme"]').forEach(input => {
+        input.checked = input.value === themePreference;
+    });
+}
+
+export function setThemePreference(preference) {
+    if (preference !== 'system' && !THEME_REGISTRY[preference]) return;
+    
+    store.setState({ themePreference: preference }, { type: 'theme/set' });
+    announce(translate('theme.announce', { theme: getThemePreferenceLabel(preference) }));
+}
+
+// Flips between the dark and light family of whatever is currently shown
+export function toggleTheme() {
+    const currentScheme = THEME_REGISTRY[resolveTheme(store.getState().themePreference)].scheme;
+    setThemePreference(currentScheme === 'dark' ? 'light' : 'dark');
+    
+    // Add animation effect
+    elements.themeToggle.style.transform = 'scale(1.2) rotate(360deg)';
+    setTimeout(() => {
+        elements.themeToggle.style.transform = '';
+    }, CONFIG.ANIMATION_DURATION);
+}
+
+function updateThemeIcon() {
+    const { themePreference } = store.getState();
+    const icon = elements.themeToggle.querySelector('.theme-icon');
+    icon.textContent = themePreference === 'system'
+        ? '🖥️'
+        : THEME_REGISTRY[resolveTheme(themePreference)].icon;
+}
+
+// Built-in themes are translated; plugin themes keep the label they registered
+export function getThemePreferenceLabel(preference) {
+    const key = `theme.${preference}`;
+    return hasTranslation(key) ? translate(key) : THEME_REGISTRY[preference].label;
+}
+
+function renderThemeOptions() {
+    const container = elements.themeOptions;
+    container.innerHTML = '';
+    
+    ['system', ...Object.keys(THEME_REGISTRY)].forEach(id => {
+        const label = document.createElement('label');
+        label.className = 'theme-option';
+        
+        const input = document.createElement('input');
+        input.type = 'radio';
+        input.name = 'theme';
+        input.value = id;
+        input.checked = id === store.getState().themePreference;
+        
+        const icon = id === 'system' ? '🖥️' : THEME_REGISTRY[id].icon;
+        label.append(input, `${icon} ${getThemePreferenceLabel(id)}`);
+        container.appendChild(label);
+    });
+}
+
+// Lets plugins add a theme; its CSS must define the variables on the class
+export function registerTheme(id, { label, icon = '🎨', className, scheme = 'dark' }) {
+    THEME_REGISTRY[id] = { label, icon, className: className || `${id}-theme`, scheme };
+    // Before start-up initializeTheme() reads the saved choice itself
+    if (!systemThemeQueries) return;
+    
+    // Registered after start-up, so a saved choice of this theme fell back to "system"
+    if (localStorage.getItem(CONFIG.STORAGE_KEYS.THEME) === id) {
+        store.setState({ themePreference: id }, { type: 'theme/load', persist: false });
+    }
+    renderThemeOptions();
+    applyThemePreference();
+}
+
+function toggleThemeMenu() {
+    if (elements.themeMenu.hidden) {
+        elements.themeMenu.hidden = false;
+        elements.themeToggle.setAttribute('aria-expanded', 'true');
+        const checked = elements.themeMenu.querySelector('input:checked');
+        if (checked) {
+            checked.focus();
+        }
+    } else {
+        closeThemeMenu();
+    }
+}
+
+function closeThemeMenu() {
+    elements.themeMenu.hidden = true;
+    elements.themeToggle.setAttribute('aria-expanded', 'false');
+}
+
+// ==================== Accent Colour ====================
+function setAccentColor(color) {
+    store.setState({ accentColor: color }, { type: 'theme/accent' });
+}
+
+// Variables derived from the accent are set alongside it because custom
+// properties declared on :root do not re-evaluate when a descendant overrides one
+function applyAccentColor(color) {
+    const style = document.body.style;
+    const properties = ['--accent-purple', '--accent-rgb', '--gradient-primary', '--gradient-purple-gold', '--shadow-glow'];
+    
+    if (!color || !/^#[\da-f]{6}$/i.test(color)) {
+        properties.forEach(property => style.removeProperty(property));
+        elements.accentColorInput.value = CONFIG.DEFAULT_ACCENT;
+        return;
+    }
+    
+    const rgb = [1, 3, 5].map(offset => parseInt(color.slice(offset, offset + 2), 16)).join(', ');
+    
+    style.setProperty('--accent-purple', color);
+    style.setProperty('--accent-rgb', rgb);
+    style.setProperty('--gradient-primary', `linear-gradient(135deg, ${color} 0%, #764ba2 100%)`);
+    style.setProperty('--gradient-purple-gold', `linear-gradient(135deg, ${color} 0%, #f6d365 100%)`);
+    style.setProperty('--shadow-glow', `0 0 20px rgba(${rgb}, 0.3)`);
+    elements.accentColorInput.value = color;
+}
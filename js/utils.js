@@ -0,0 +1,83 @@
+// ============================================
+// Web Dev Documentation Portal - Utilities
+// ============================================
+
+import { getScrollBehavior } from './reading.js';
+import { slugify } from './content-model.js';
+
+// ==================== Utility Functions ====================
+
+// Throttle function for performance optimization
+function throttle(func, delay) {
+    let lastCall = 0;
+    return function(...args) {
+        const now = new Date().getTime();
+        if (now - lastCall < delay) {
+            return;
+        }
+        lastCall = now;
+        return func(...args);
+    };
+}
+
+// Debounce function for search
+export function debounce(func, delay) {
+    let timeoutId;
+    return function(...args) {
+        clearTimeout(timeoutId);
+        timeoutId = setTimeout(() => func.apply(this, args), delay);
+    };
+}
+
+// Escape user input for use inside a RegExp
+export function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Give a card a stable id derived from its section and heading
+export function ensureCardId(card, section) {
+    if (!card.id) {
+        const heading = card.querySelector('h3');
+        card.id = getUniqueId(`${section.id}-${slugify(heading ? heading.textContent : 'card')}`);
+    }
+    
+    return card.id;
+}
+
+// Headings inside a card body get ids scoped to the card; the first h3 is
+// the card title and is covered by the card id
+export function ensureHeadingIds(card) {
+    const title = card.querySelector('h3');
+    
+    card.querySelectorAll('h3, h4').forEach(heading => {
+        if (heading === title || heading.id) return;
+        heading.id = getUniqueId(`${card.id}-${slugify(heading.textContent) || 'heading'}`);
+    });
+}
+
+function getUniqueId(baseId) {
+    let id = baseId;
+    let suffix = 2;
+    
+    while (document.getElementById(id)) {
+        id = `${baseId}-${suffix++}`;
+    }
+    return id;
+}
+
+// Fisher-Yates shuffle (in place)
+export function shuffle(items) {
+    for (let i = items.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+}
+
+// Smooth scroll to top
+export function scrollToTop() {
+    window.scrollTo({
+        top: 0,
+        behavior: getScrollBehavior()
+    });
+}
@@ -0,0 +1,215 @@
+// ============================================
+// Web Dev Documentation Portal - What's New
+// ============================================
+
+import { elements, state } from './state.js';
+import { listen, onDestroy } from './lifecycle.js';
+import { store } from './store.js';
+import { formatDate, translate } from './i18n.js';
+import { formatContentDate } from './content.js';
+import { scrollToSection } from './navigation.js';
+import { getSectionTitle } from './search.js';
+import { revealCard } from './cards.js';
+import { getCardTitle, getTrackedCards, recordVisit } from './progress.js';
+import { closeSidebar } from './sidebar.js';
+import { showToast } from './offline.js';
+import { announce } from './accessibility.js';
+
+// ==================== What's New ====================
+// Cards added or updated after the reader's previous visit are badged in the
+// nav and the page, and listed in the sidebar, until the card has been read
+// again. Reading progress older than a card's "updated" date no longer counts.
+const whatsNew = {
+    changes: [],
+    dismissed: false
+};
+
+export function initializeWhatsNew() {
+    const cardDates = getCardDates();
+    const since = state.previousVisit ? new Date(state.previousVisit) : null;
+    
+    invalidateChangedProgress(cardDates);
+    whatsNew.changes = since ? findContentChanges(cardDates, since) : [];
+    whatsNew.dismissed = false;
+    recordVisit();
+    
+    listen(elements.whatsNewDismiss, 'click', () => {
+        whatsNew.dismissed = true;
+        elements.whatsNewPanel.hidden = true;
+    });
+    onDestroy(store.subscribe(data => data.cardProgress, () => renderWhatsNew()));
+    onDestroy(() => removeChangeBadges());
+    renderWhatsNew();
+    
+    const count = getUnseenChanges().length;
+    if (count > 0) {
+        announce(translate('whatsNew.announce', { count }));
+    }
+}
+
+function getCardDates() {
+    return Array.from(getTrackedCards()).map(card => ({
+        card,
+        added: parseContentDate(card, 'added'),
+        updated: parseContentDate(card, 'updated'),
+        note: card.dataset.changes || ''
+    }));
+}
+
+function parseContentDate(card, field) {
+    const value = card.dataset[field];
+    if (!value) return null;
+    
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        console.warn(`⚠️ Ignoring invalid "${field}" date "${value}" on card "${card.id}"`);
+        return null;
+    }
+    return date;
+}
+
+// Newest first; a card added since the last visit counts as new even if it
+// was also updated
+function findContentChanges(cardDates, since) {
+    return cardDates.flatMap(({ card, added, updated, note }) => {
+        if (added && added > since) return [{ card, kind: 'new', date: added, note }];
+        if (updated && updated > since) return [{ card, kind: 'updated', date: updated, note }];
+        return [];
+    }).sort((a, b) => b.date - a.date);
+}
+
+// Clears read and understood marks made before the card last changed
+function invalidateChangedProgress(cardDates) {
+    const { cardProgress } = store.getState();
+    const nextProgress = new Map(cardProgress);
+    let count = 0;
+    
+    cardDates.forEach(({ card, updated }) => {
+        const progress = cardProgress.get(card.id);
+        if (!updated || !progress) return;
+        
+        const isStale = field => Boolean(progress[field]) && new Date(progress[field]) < updated;
+        if (!isStale('readAt') && !isStale('understoodAt')) return;
+        
+        nextProgress.set(card.id, {
+            ...progress,
+            readAt: isStale('readAt') ? null : progress.readAt,
+            understoodAt: isStale('understoodAt') ? null : progress.understoodAt
+        });
+        count++;
+    });
+    
+    if (count > 0) {
+        store.setState({ cardProgress: nextProgress }, { type: 'progress/content-changed' });
+        showToast(translate('whatsNew.progressReset', { count }));
+    }
+}
+
+function isChangeSeen(change, cardProgress) {
+    const progress = cardProgress.get(change.card.id);
+    const seenAt = progress && (progress.readAt || progress.understoodAt);
+    return Boolean(seenAt) && new Date(seenAt) >= change.date;
+}
+
+function getUnseenChanges() {
+    const { cardProgress } = store.getState();
+    return whatsNew.changes.filter(change => !isChangeSeen(change, cardProgress));
+}
+
+function describeChange(change) {
+    const date = formatContentDate(change.date);
+    return translate(change.kind === 'new' ? 'whatsNew.newOn' : 'whatsNew.updatedOn', { date });
+}
+
+// ==================== Badges & Panel ====================
+function renderWhatsNew() {
+    const changes = getUnseenChanges();
+    
+    removeChangeBadges();
+    changes.forEach(change => {
+        change.card.classList.add('has-change');
+        change.card.prepend(createChangeBadge(change));
+        
+        const sublink = elements.navList.querySelector(`.nav-sublink[href="#${change.card.id}"]`);
+        if (sublink) {
+            sublink.before(createNavDot());
+        }
+    });
+    
+    new Set(changes.map(change => change.card.closest('.section').id)).forEach(sectionId => {
+        const link = elements.navList.querySelector(`.nav-item[data-section="${sectionId}"] > .nav-link`);
+        if (link) {
+            link.before(createNavDot());
+        }
+    });
+    
+    renderWhatsNewPanel(changes);
+}
+
+function removeChangeBadges() {
+    document.querySelectorAll('.change-badge, .nav-change-dot').forEach(badge => badge.remove());
+    document.querySelectorAll('.card.has-change').forEach(card => card.classList.remove('has-change'));
+}
+
+function createChangeBadge(change) {
+    const badge = document.createElement('span');
+    badge.className = `change-badge ${change.kind}`;
+    badge.textContent = translate(change.kind === 'new' ? 'whatsNew.new' : 'whatsNew.updated');
+    badge.title = change.note ? `${describeChange(change)}: ${change.note}` : describeChange(change);
+    return badge;
+}
+
+function createNavDot() {
+    const dot = document.createElement('span');
+    dot.className = 'nav-change-dot';
+    dot.setAttribute('role', 'img');
+    dot.setAttribute('aria-label', translate('whatsNew.navChanged'));
+    dot.title = translate('whatsNew.navChanged');
+    return dot;
+}
+
+function renderWhatsNewPanel(changes) {
+    elements.whatsNewPanel.hidden = changes.length === 0 || whatsNew.dismissed;
+    elements.whatsNewList.replaceChildren(...changes.map(createChangeItem));
+    if (changes.length === 0) return;
+    
+    elements.whatsNewSince.textContent = translate('whatsNew.since', {
+        date: formatDate(new Date(state.previousVisit), { dateStyle: 'medium' })
+    });
+}
+
+function createChangeItem(change) {
+    const item = document.createElement('li');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'whats-new-item';
+    
+    const title = document.createElement('span');
+    title.className = 'whats-new-item-title';
+    title.textContent = `${change.kind === 'new' ? '🆕' : '✏️'} ${getCardTitle(change.card)}`;
+    
+    const meta = document.createElement('span');
+    meta.className = 'whats-new-item-meta';
+    meta.textContent = `${getSectionTitle(change.card.closest('.section'))} · ${describeChange(change)}`;
+    button.append(title, meta);
+    
+    if (change.note) {
+        const note = document.createElement('span');
+        note.className = 'whats-new-item-note';
+        note.textContent = change.note;
+        button.appendChild(note);
+    }
+    
+    button.addEventListener('click', () => {
+        revealCard(change.card);
+        scrollToSection(change.card.id);
+        
+        // Close sidebar on mobile
+        if (window.innerWidth <= 768) {
+            closeSidebar();
+        }
+    });
+    
+    item.appendChild(button);
+    return item;
+}
@@ -0,0 +1,157 @@
+// ============================================
+// Web Dev Documentation Portal - Service Worker
+// ============================================
+
+// Bump CACHE_VERSION whenever a precached file changes so clients are offered
+// the update and old caches are cleaned up on activation.
+const CACHE_VERSION = 'v11';
+const CACHE_PREFIX = 'webdev-docs-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'styles.css',
+    'js/main.js',
+    'js/config.js',
+    'js/state.js',
+    'js/lifecycle.js',
+    'js/events.js',
+    'js/plugins.js',
+    'js/store.js',
+    'js/i18n.js',
+    'js/content.js',
+    'js/content-model.js',
+    'js/theme.js',
+    'js/reading.js',
+    'js/navigation.js',
+    'js/search.js',
+    'js/search-index.js',
+    'js/cards.js',
+    'js/progress.js',
+    'js/paths.js',
+    'js/whats-new.js',
+    'js/annotations.js',
+    'js/sidebar.js',
+    'js/print.js',
+    'js/dialogs.js',
+    'js/quiz.js',
+    'js/utils.js',
+    'js/keyboard.js',
+    'js/command-palette.js',
+    'js/code-blocks.js',
+    'js/playground.js',
+    'js/syntax-highlighting.js',
+    'js/analytics.js',
+    'js/performance.js',
+    'js/offline.js',
+    'js/easter-eggs.js',
+    'js/accessibility.js',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'locales/hi.json',
+    'content/site.json'
+];
+
+const CONTENT_BASE = 'content/';
+
+// ==================== Lifecycle ====================
+self.addEventListener('install', (event) => {
+    // The new worker waits until the page asks it to take over (see SKIP_WAITING)
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE_URLS).then(() => precacheContent(cache)))
+    );
+});
+
+// Section files, their translations and a built site's search indexes are
+// listed in content/site.json, so new sections are cached without touching
+// this file
+async function precacheContent(cache) {
+    const response = await cache.match(`${CONTENT_BASE}site.json`);
+    const site = await response.json();
+    const translations = Object.entries(site.translations || {})
+        .flatMap(([language, paths]) => paths.map(path => `${language}/${path}`));
+    const searchIndexes = Object.values((site.build && site.build.searchIndex) || {});
+
+    await cache.addAll([...site.sections, ...translations, ...searchIndexes].map(path => `${CONTENT_BASE}${path}`));
+}
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+// ==================== Fetch: Stale-While-Revalidate ====================
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    event.respondWith(staleWhileRevalidate(event));
+});
+
+async function staleWhileRevalidate(event) {
+    const { request } = event;
+    const cache = await caches.open(CACHE_NAME);
+
+    // Deep links like index.html#security or ?q= share one cached page
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+
+    const revalidate = fetch(request)
+        .then(response => {
+            if (response.ok && response.type === 'basic') {
+                if (cached && isChanged(cached, response)) {
+                    notifyClients({ type: 'CONTENT_UPDATED', url: request.url });
+                }
+                return cache.put(request, response.clone()).then(() => response);
+            }
+            return response;
+        });
+
+    if (cached) {
+        // Refresh in the background; failures just mean we are offline
+        event.waitUntil(revalidate.catch(() => {}));
+        return cached;
+    }
+
+    try {
+        return await revalidate;
+    } catch (error) {
+        // Offline and never cached: fall back to the app shell for page loads
+        if (request.mode === 'navigate') {
+            const shell = await cache.match('index.html');
+            if (shell) return shell;
+        }
+        throw error;
+    }
+}
+
+function isChanged(cached, fresh) {
+    const validators = ['etag', 'last-modified'];
+
+    return validators.some(header => {
+        const before = cached.headers.get(header);
+        const after = fresh.headers.get(header);
+        return before && after && before !== after;
+    });
+}
+
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage(message));
+}
@@ -0,0 +1,91 @@
+// ============================================
+// Tests - Bookmarks, notes and quiz history in the store
+// ============================================
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, stopApp } from './helpers/app.mjs';
+
+const NOTE = { text: 'Remember **this**', updatedAt: '2026-01-05T10:00:00.000Z' };
+
+const { log } = console;
+console.log = () => {};
+const window = await startApp({
+    storage: {
+        'webdev-docs-notes': JSON.stringify({ version: 1, items: { introduction: NOTE } })
+    }
+}).finally(() => {
+    console.log = log;
+});
+const { document, WebDevDocs } = window;
+after(() => stopApp(window));
+
+function getIntroControls() {
+    return document.querySelector('#introduction .annotations');
+}
+
+function readSaved(key) {
+    return JSON.parse(localStorage.getItem(key)).items;
+}
+
+test('a saved note is loaded into the store and rendered', () => {
+    const note = getIntroControls().querySelector('.annotation-note');
+    
+    assert.equal(note.hidden, false);
+    assert.equal(note.querySelector('strong').textContent, 'this');
+    assert.equal(document.getElementById('annotationsEmpty').hidden, true);
+});
+
+test('bookmarking goes through the store and is saved', () => {
+    getIntroControls().querySelector('.bookmark-btn').click();
+    
+    assert.deepEqual(WebDevDocs.getState().bookmarks, ['introduction']);
+    assert.ok(readSaved('webdev-docs-bookmarks').introduction);
+    assert.ok(document.getElementById('introduction').classList.contains('bookmarked'));
+    
+    getIntroControls().querySelector('.bookmark-btn').click();
+    assert.deepEqual(WebDevDocs.getState().bookmarks, []);
+    assert.deepEqual(readSaved('webdev-docs-bookmarks'), {});
+});
+
+test('deleting a note can be undone from the toast', () => {
+    getIntroControls().querySelector('.note-btn').click();
+    getIntroControls().querySelector('.note-editor-btn.danger').click();
+    
+    assert.deepEqual(readSaved('webdev-docs-notes'), {});
+    assert.equal(getIntroControls().querySelector('.annotation-note').hidden, true);
+    
+    document.querySelector('.toast .toast-action').click();
+    
+    assert.deepEqual(readSaved('webdev-docs-notes'), { introduction: NOTE });
+    assert.equal(getIntroControls().querySelector('.annotation-note').hidden, false);
+});
+
+test('notes changed in another tab are shown', () => {
+    const value = JSON.stringify({ version: 1, items: { introduction: { text: 'From the other tab' } } });
+    localStorage.setItem('webdev-docs-notes', value);
+    window.dispatchEvent(new window.StorageEvent('storage', {
+        key: 'webdev-docs-notes',
+        newValue: value,
+        storageArea: localStorage
+    }));
+    
+    assert.equal(getIntroControls().querySelector('.annotation-note').textContent, 'From the other tab');
+});
+
+test('grading a quiz question is saved', () => {
+    document.getElementById('startQuizBtn').click();
+    const panel = document.getElementById('quizPanel');
+    const reveal = panel.querySelector('.quiz-reveal');
+    if (reveal) {
+        reveal.click();
+        panel.querySelector('.quiz-grade').click();
+    } else {
+        panel.querySelector('.quiz-choice').click();
+    }
+    
+    const { questions } = JSON.parse(localStorage.getItem('webdev-docs-quiz'));
+    const [record] = Object.values(questions);
+    assert.equal(Object.keys(questions).length, 1);
+    assert.equal(record.history.length, 1);
+});
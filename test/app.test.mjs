@@ -0,0 +1,180 @@
+// ============================================
+// Tests - The app on index.html (main.js)
+// ============================================
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, stopApp } from './helpers/app.mjs';
+
+const { log } = console;
+console.log = () => {};
+const window = await startApp().finally(() => {
+    console.log = log;
+});
+const { document, WebDevDocs } = window;
+after(() => stopApp(window));
+
+const SITE = await (await fetch('content/site.json')).json();
+
+function quietly(run) {
+    console.log = () => {};
+    try {
+        return run();
+    } finally {
+        console.log = log;
+    }
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function countInjectedNodes() {
+    return {
+        skipLinks: document.querySelectorAll('.skip-link').length,
+        announcers: document.querySelectorAll('#announcer').length,
+        scrollButtons: document.querySelectorAll('.scroll-to-top').length,
+        codeToolbars: document.querySelectorAll('.code-example > .code-toolbar').length,
+        annotations: document.querySelectorAll('.annotations').length
+    };
+}
+
+// ==================== Start-up ====================
+test('renders every section from site.json with a nav link for each', () => {
+    const sections = document.querySelectorAll('#contentSections > .section');
+    
+    assert.equal(sections.length, SITE.sections.length);
+    assert.equal(document.querySelectorAll('#navList .nav-link').length, SITE.sections.length);
+    assert.equal(document.getElementById('totalSections').textContent, String(SITE.sections.length));
+    assert.equal(document.getElementById('contentSections').hasAttribute('aria-busy'), false);
+});
+
+test('adds one skip link, live region and scroll-to-top button', () => {
+    const skipLink = document.body.firstElementChild;
+    
+    assert.ok(skipLink.classList.contains('skip-link'));
+    assert.equal(skipLink.getAttribute('href'), '#mainContent');
+    assert.equal(document.getElementById('announcer').getAttribute('aria-live'), 'polite');
+    assert.equal(document.querySelector('.scroll-to-top').getAttribute('aria-label'), 'Scroll to top');
+});
+
+test('destroy() removes what init() added and init() starts it again without duplicates', async () => {
+    const started = countInjectedNodes();
+    assert.ok(started.codeToolbars > 0);
+    
+    quietly(() => WebDevDocs.destroy());
+    const stopped = countInjectedNodes();
+    assert.deepEqual([stopped.skipLinks, stopped.announcers, stopped.scrollButtons], [0, 0, 0]);
+    
+    console.log = () => {};
+    await WebDevDocs.init().finally(() => {
+        console.log = log;
+    });
+    assert.deepEqual(countInjectedNodes(), started);
+    
+    // One click listener each, or the second one would undo the first
+    const themeMenu = document.getElementById('themeMenu');
+    document.getElementById('themeToggle').click();
+    assert.equal(themeMenu.hidden, false);
+    document.getElementById('themeToggle').click();
+    assert.equal(themeMenu.hidden, true);
+    
+    const sidebar = document.getElementById('sidebar');
+    document.getElementById('sidebarToggle').click();
+    assert.ok(sidebar.classList.contains('active'));
+    document.getElementById('sidebarClose').click();
+    assert.equal(sidebar.classList.contains('active'), false);
+});
+
+// ==================== Theme ====================
+test('setTheme() swaps the body class, saves the choice and announces it', () => {
+    const changes = [];
+    const listener = detail => changes.push(detail);
+    WebDevDocs.on('theme:changed', listener);
+    
+    WebDevDocs.setTheme('light');
+    
+    assert.ok(document.body.classList.contains('light-theme'));
+    assert.equal(document.body.classList.contains('dark-theme'), false);
+    assert.equal(document.documentElement.style.colorScheme, 'light');
+    assert.equal(localStorage.getItem('webdev-docs-theme'), 'light');
+    assert.deepEqual(changes, [{ preference: 'light', theme: 'light' }]);
+    assert.equal(document.getElementById('announcer').textContent, 'Theme: Light');
+    assert.equal(document.querySelector('#themeOptions input:checked').value, 'light');
+    
+    WebDevDocs.toggleTheme();
+    
+    assert.ok(document.body.classList.contains('dark-theme'));
+    assert.equal(document.body.classList.contains('light-theme'), false);
+    assert.equal(WebDevDocs.getState().themePreference, 'dark');
+    WebDevDocs.off('theme:changed', listener);
+});
+
+test('picking a theme in the menu applies it and unknown themes are ignored', () => {
+    const sepia = document.querySelector('#themeOptions input[value="sepia"]');
+    sepia.checked = true;
+    sepia.dispatchEvent(new window.Event('change', { bubbles: true }));
+    assert.ok(document.body.classList.contains('sepia-theme'));
+    
+    WebDevDocs.setTheme('no-such-theme');
+    assert.equal(WebDevDocs.getState().themePreference, 'sepia');
+});
+
+// ==================== Search ====================
+test('searching highlights matches and clearing restores the text', async () => {
+    // The interview section has the matches; the Performance panel renders on a timer
+    const section = document.getElementById('interview');
+    const before = section.innerHTML;
+    const input = document.getElementById('searchInput');
+    
+    input.value = 'closure';
+    input.dispatchEvent(new window.Event('input', { bubbles: true }));
+    await wait(WebDevDocs.config.SEARCH.DEBOUNCE_DELAY + 50);
+    
+    const hits = section.querySelectorAll('mark.search-hit');
+    assert.ok(hits.length > 0);
+    hits.forEach(hit => assert.match(hit.textContent, /closure/i));
+    assert.equal(document.getElementById('searchHitCounter').hidden, false);
+    assert.equal(WebDevDocs.getState().searchQuery, 'closure');
+    assert.ok(document.querySelectorAll('#searchResults .search-result').length > 0);
+    
+    WebDevDocs.clearSearch();
+    
+    assert.equal(document.querySelectorAll('mark.search-hit').length, 0);
+    assert.equal(section.innerHTML, before);
+    assert.equal(input.value, '');
+    assert.equal(document.getElementById('searchHitCounter').hidden, true);
+});
+
+// ==================== Navigation & Sidebar ====================
+test('a nav link makes its section current and marks it visited', () => {
+    const link = document.querySelector('#navList .nav-link[href="#security"]');
+    link.click();
+    
+    assert.ok(link.classList.contains('active'));
+    assert.equal(window.location.hash, '#security');
+    assert.equal(WebDevDocs.getState().currentSection, 'security');
+    assert.ok(WebDevDocs.getState().visitedSections.includes('security'));
+});
+
+// ==================== Code Blocks ====================
+test('every code example gets a toolbar and copies its plain source', async () => {
+    let copied = null;
+    Object.defineProperty(window.navigator, 'clipboard', {
+        value: { writeText: async text => { copied = text; } },
+        configurable: true
+    });
+    
+    const blocks = document.querySelectorAll('.code-example');
+    blocks.forEach(block => {
+        assert.equal(block.querySelectorAll(':scope > .code-toolbar .code-copy-btn').length, 1);
+    });
+    
+    const [block] = blocks;
+    const button = block.querySelector('.code-copy-btn');
+    button.click();
+    await wait(0);
+    
+    assert.equal(copied, block.querySelector('code').textContent);
+    assert.equal(button.textContent, WebDevDocs.translate('code.copied'));
+});
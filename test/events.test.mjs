@@ -0,0 +1,69 @@
+// ============================================
+// Tests - Event Bus (events.js)
+// ============================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { on, off, emit, defineEvent, clearEventListeners } from '../js/events.js';
+
+test('emit passes the detail to every listener', (t) => {
+    t.after(clearEventListeners);
+    const received = [];
+    on('section:visited', detail => received.push(['first', detail.sectionId]));
+    on('section:visited', detail => received.push(['second', detail.sectionId]));
+    
+    emit('section:visited', { sectionId: 'frontend' });
+    
+    assert.deepEqual(received, [['first', 'frontend'], ['second', 'frontend']]);
+});
+
+test('on returns a function that removes the listener, like off', (t) => {
+    t.after(clearEventListeners);
+    const received = [];
+    const handler = detail => received.push(detail.query);
+    const unsubscribe = on('search:query', handler);
+    
+    emit('search:query', { query: 'flexbox', resultCount: 3 });
+    unsubscribe();
+    emit('search:query', { query: 'grid', resultCount: 1 });
+    on('search:query', handler);
+    off('search:query', handler);
+    emit('search:query', { query: 'css', resultCount: 9 });
+    
+    assert.deepEqual(received, ['flexbox']);
+});
+
+test('unknown events and missing fields throw', () => {
+    assert.throws(() => on('section:vistied', () => {}), /Unknown event "section:vistied"/);
+    assert.throws(() => emit('theme:changed', { theme: 'dark' }), /"theme:changed" events need preference/);
+    assert.throws(() => on('app:ready', 'not a function'), TypeError);
+});
+
+test('a failing listener does not stop the ones after it', (t) => {
+    t.after(clearEventListeners);
+    const errors = t.mock.method(console, 'error', () => {});
+    const received = [];
+    on('app:ready', () => {
+        throw new Error('boom');
+    });
+    on('app:ready', () => received.push('ran'));
+    
+    emit('app:ready');
+    
+    assert.deepEqual(received, ['ran']);
+    assert.equal(errors.mock.callCount(), 1);
+});
+
+test('defineEvent adds a typed event for plugins', (t) => {
+    t.after(clearEventListeners);
+    defineEvent('quiz:answered', ['correct']);
+    const received = [];
+    on('quiz:answered', detail => received.push(detail.correct));
+    
+    emit('quiz:answered', { correct: true });
+    
+    assert.deepEqual(received, [true]);
+    assert.throws(() => emit('quiz:answered', {}), /need correct/);
+    assert.throws(() => defineEvent('quiz:answered'), /already defined/);
+    assert.throws(() => defineEvent('quizAnswered'), /look like "area:action"/);
+});
@@ -0,0 +1,74 @@
+// ============================================
+// Test helper - the whole app on index.html
+// ============================================
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { setUpDom } from './dom.mjs';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+// Loads index.html and js/main.js the way a browser runs a module script:
+// the page is parsed but DOMContentLoaded has not fired yet. beforeStart runs
+// at that point, like a plugin script placed after main.js. Resolves once
+// init() has finished. Each test file can start the app only once, because
+// the modules stay loaded.
+export async function startApp({ storage = {}, beforeStart } = {}) {
+    const window = setUpDom(fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8'), 'http://localhost/index.html');
+    stubBrowserApis(window);
+    Object.entries(storage).forEach(([key, value]) => localStorage.setItem(key, value));
+    
+    Object.defineProperty(document, 'readyState', { value: 'interactive', configurable: true });
+    await import('../../js/main.js');
+    if (beforeStart) {
+        await beforeStart(window.WebDevDocs);
+    }
+    delete document.readyState;
+    
+    document.dispatchEvent(new window.Event('DOMContentLoaded'));
+    await window.WebDevDocs.init();
+    return window;
+}
+
+// What jsdom leaves out: media queries, observers, scrolling and the network
+// (content/ and locales/ are read from disk)
+function stubBrowserApis(window) {
+    window.matchMedia = query => ({
+        matches: false,
+        media: query,
+        addEventListener() {},
+        removeEventListener() {}
+    });
+    window.IntersectionObserver = class {
+        observe() {}
+        unobserve() {}
+        disconnect() {}
+        takeRecords() {
+            return [];
+        }
+    };
+    window.scrollTo = () => {};
+    window.HTMLElement.prototype.scrollIntoView = () => {};
+    
+    globalThis.fetch = async (url) => {
+        const file = path.join(ROOT, new URL(String(url), window.location.href).pathname);
+        if (!fs.existsSync(file)) {
+            return { ok: false, status: 404, statusText: 'Not Found' };
+        }
+        const text = fs.readFileSync(file, 'utf8');
+        return { ok: true, status: 200, text: async () => text, json: async () => JSON.parse(text) };
+    };
+    ['IntersectionObserver', 'matchMedia', 'scrollTo'].forEach(key => {
+        globalThis[key] = window[key];
+    });
+}
+
+// Tears the app down and closes the window, so no timer keeps the test running
+export function stopApp(window) {
+    const { log } = console;
+    console.log = () => {};
+    window.WebDevDocs.destroy();
+    window.close();
+    console.log = log;
+}
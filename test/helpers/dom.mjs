@@ -0,0 +1,29 @@
+// ============================================
+// Test helper - a browser-like global scope
+// ============================================
+
+import { JSDOM } from 'jsdom';
+
+// Node's own versions of these don't work with jsdom's nodes, so the window's
+// replace them
+const REPLACED_GLOBALS = ['Event', 'EventTarget', 'CustomEvent', 'navigator', 'localStorage', 'sessionStorage', 'location', 'history'];
+
+// Makes a jsdom window the global scope. Call it before importing anything
+// from js/; jsdom has no matchMedia, IntersectionObserver or layout, so only
+// modules that leave those to their initialize…() functions can be loaded.
+export function setUpDom(html = '<!DOCTYPE html><html><body></body></html>', url = 'http://localhost/') {
+    const dom = new JSDOM(html, { url, pretendToBeVisual: true });
+    const { window } = dom;
+    
+    Object.getOwnPropertyNames(window).forEach(key => {
+        if (key in globalThis && !REPLACED_GLOBALS.includes(key)) return;
+        Object.defineProperty(globalThis, key, {
+            value: window[key],
+            configurable: true,
+            writable: true
+        });
+    });
+    globalThis.window = window;
+    
+    return window;
+}
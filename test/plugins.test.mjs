@@ -0,0 +1,119 @@
+// ============================================
+// Tests - Plugins (plugins.js) and Lifecycle (lifecycle.js)
+// ============================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { use, startPlugins, stopPlugins } from '../js/plugins.js';
+import { listen, onDestroy, runCleanups } from '../js/lifecycle.js';
+
+const api = { name: 'test api' };
+
+// ==================== Plugins ====================
+test('plugins registered before start-up start with the app', (t) => {
+    const log = t.mock.method(console, 'log', () => {});
+    const calls = [];
+    const unregister = use({
+        name: 'early',
+        init: received => calls.push(['init', received]),
+        destroy: () => calls.push(['destroy'])
+    });
+    t.after(unregister);
+    
+    assert.deepEqual(calls, []);
+    startPlugins(api);
+    stopPlugins();
+    
+    assert.deepEqual(calls, [['init', api], ['destroy']]);
+    assert.equal(log.mock.callCount(), 1);
+});
+
+test('a plugin can be an init function returning its cleanup', (t) => {
+    t.mock.method(console, 'log', () => {});
+    const calls = [];
+    startPlugins(api);
+    t.after(stopPlugins);
+    
+    const unregister = use(function counter() {
+        calls.push('init');
+        return () => calls.push('cleanup');
+    });
+    assert.deepEqual(calls, ['init']);
+    
+    unregister();
+    assert.deepEqual(calls, ['init', 'cleanup']);
+});
+
+test('plugins restart after the app is destroyed and started again', (t) => {
+    t.mock.method(console, 'log', () => {});
+    let starts = 0;
+    const unregister = use({ name: 'restartable', init: () => { starts++; } });
+    t.after(unregister);
+    
+    startPlugins(api);
+    startPlugins(api);
+    stopPlugins();
+    startPlugins(api);
+    stopPlugins();
+    
+    assert.equal(starts, 2);
+});
+
+test('invalid and duplicate plugins are rejected', (t) => {
+    const unregister = use({ name: 'taken', init: () => {} });
+    t.after(unregister);
+    
+    assert.throws(() => use({ name: 'taken', init: () => {} }), /already registered/);
+    assert.throws(() => use({ name: 'no-init' }), /needs a name and an init function/);
+    assert.throws(() => use(() => {}), /needs a name/);
+});
+
+test('a plugin that fails to start is logged and not stopped', (t) => {
+    const errors = t.mock.method(console, 'error', () => {});
+    let destroyed = false;
+    const unregister = use({
+        name: 'broken',
+        init: () => {
+            throw new Error('boom');
+        },
+        destroy: () => {
+            destroyed = true;
+        }
+    });
+    t.after(unregister);
+    
+    startPlugins(api);
+    stopPlugins();
+    
+    assert.equal(errors.mock.callCount(), 1);
+    assert.equal(destroyed, false);
+});
+
+// ==================== Lifecycle ====================
+test('runCleanups removes listeners added with listen()', () => {
+    const target = new EventTarget();
+    let clicks = 0;
+    listen(target, 'click', () => clicks++);
+    
+    target.dispatchEvent(new Event('click'));
+    runCleanups();
+    target.dispatchEvent(new Event('click'));
+    
+    assert.equal(clicks, 1);
+});
+
+test('runCleanups tears down in reverse order and survives a failing cleanup', (t) => {
+    const errors = t.mock.method(console, 'error', () => {});
+    const order = [];
+    onDestroy(() => order.push('first'));
+    onDestroy(() => {
+        throw new Error('boom');
+    });
+    onDestroy(() => order.push('last'));
+    
+    runCleanups();
+    runCleanups();
+    
+    assert.deepEqual(order, ['last', 'first']);
+    assert.equal(errors.mock.callCount(), 1);
+});
@@ -0,0 +1,92 @@
+// ============================================
+// Tests - Saved progress migrations (progress.js)
+// ============================================
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setUpDom } from './helpers/dom.mjs';
+
+setUpDom();
+const { CONFIG } = await import('../js/config.js');
+const { state } = await import('../js/state.js');
+const { store } = await import('../js/store.js');
+const { loadUserProgress } = await import('../js/progress.js');
+
+const KEY = CONFIG.STORAGE_KEYS.PROGRESS;
+
+beforeEach((t) => {
+    t.mock.method(console, 'log', () => {});
+    localStorage.clear();
+    state.previousVisit = null;
+    store.setState({ visitedSections: new Set(), cardProgress: new Map() });
+});
+
+test('v1 progress is migrated to the current schema', () => {
+    localStorage.setItem(KEY, JSON.stringify({
+        visitedSections: ['introduction', 'frontend'],
+        lastVisited: '2024-05-01T10:00:00.000Z'
+    }));
+    const actions = [];
+    const remove = store.use((next, previous, action) => actions.push(action));
+    
+    loadUserProgress();
+    remove();
+    
+    const { visitedSections, cardProgress } = store.getState();
+    assert.equal(CONFIG.PROGRESS.SCHEMA_VERSION, 2);
+    assert.deepEqual([...visitedSections], ['introduction', 'frontend']);
+    assert.equal(cardProgress.size, 0);
+    assert.equal(state.previousVisit, '2024-05-01T10:00:00.000Z');
+    // A migrated copy is written back; up-to-date progress is not
+    assert.equal(actions[0].persist, true);
+});
+
+test('v1 progress without a last visit still loads', () => {
+    localStorage.setItem(KEY, JSON.stringify({ visitedSections: ['security'] }));
+    
+    loadUserProgress();
+    
+    assert.deepEqual([...store.getState().visitedSections], ['security']);
+    assert.equal(state.previousVisit, null);
+});
+
+test('v2 progress loads as it is', () => {
+    const card = { readAt: '2024-06-01T08:00:00.000Z', understoodAt: null };
+    localStorage.setItem(KEY, JSON.stringify({
+        version: 2,
+        visitedSections: ['backend'],
+        cards: { 'backend-rest-apis': card },
+        lastVisited: '2024-06-02T08:00:00.000Z'
+    }));
+    const actions = [];
+    const remove = store.use((next, previous, action) => actions.push(action));
+    
+    loadUserProgress();
+    remove();
+    
+    const { visitedSections, cardProgress } = store.getState();
+    assert.deepEqual([...visitedSections], ['backend']);
+    assert.deepEqual(cardProgress.get('backend-rest-apis'), card);
+    assert.equal(state.previousVisit, '2024-06-02T08:00:00.000Z');
+    assert.equal(actions[0].persist, false);
+});
+
+test('damaged progress is logged and leaves the store alone', (t) => {
+    const errors = t.mock.method(console, 'error', () => {});
+    localStorage.setItem(KEY, '{"visitedSections": [');
+    const before = store.getState();
+    
+    loadUserProgress();
+    
+    assert.equal(store.getState(), before);
+    assert.equal(errors.mock.callCount(), 1);
+});
+
+test('nothing saved means nothing to load', () => {
+    const before = store.getState();
+    
+    loadUserProgress();
+    
+    assert.equal(store.getState(), before);
+    assert.equal(state.previousVisit, null);
+});
@@ -0,0 +1,59 @@
+// ============================================
+// Tests - Search Index (search-index.js)
+// ============================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG } from '../js/config.js';
+import {
+    createSearchIndex, addSearchDocument, tokenize, serializeSearchIndex, readSearchIndex
+} from '../js/search-index.js';
+
+function buildIndex() {
+    const index = createSearchIndex();
+    addSearchDocument(index, { title: 'Flexbox layout', text: 'Flexbox aligns items in a row or a column.', targetId: 'frontend-flexbox' });
+    addSearchDocument(index, { title: 'CSS Grid', text: 'Grid is a two-dimensional layout system.', targetId: 'frontend-css-grid' });
+    return index;
+}
+
+test('tokenize lowercases words and drops stop words', () => {
+    assert.deepEqual(tokenize('The Box Model and CSS-in-JS'), ['box', 'model', 'css', 'js']);
+    assert.deepEqual(tokenize('   '), []);
+});
+
+test('tokenize keeps letters and marks of other scripts', () => {
+    assert.deepEqual(tokenize('सर्च इंडेक्स'), ['सर्च', 'इंडेक्स']);
+});
+
+test('title words outweigh body words', () => {
+    const index = buildIndex();
+    
+    assert.equal(index.documents.length, 2);
+    assert.deepEqual([...index.terms.get('flexbox')], [[0, CONFIG.SEARCH.TITLE_WEIGHT + 1]]);
+    assert.deepEqual([...index.terms.get('layout')], [[0, CONFIG.SEARCH.TITLE_WEIGHT], [1, 1]]);
+    assert.equal(index.terms.has('the'), false);
+});
+
+test('a serialized index reads back the same, through JSON', () => {
+    const index = buildIndex();
+    const restored = readSearchIndex(JSON.parse(JSON.stringify(serializeSearchIndex(index))));
+    
+    assert.deepEqual(restored.documents, index.documents);
+    assert.deepEqual(restored.terms, index.terms);
+});
+
+test('an index in another format version is not read', () => {
+    const data = serializeSearchIndex(buildIndex());
+    
+    assert.equal(readSearchIndex({ ...data, version: data.version + 1 }), null);
+    assert.equal(readSearchIndex(null), null);
+});
+
+test('reading an index does not share its document list', () => {
+    const data = serializeSearchIndex(buildIndex());
+    const restored = readSearchIndex(data);
+    addSearchDocument(restored, { title: 'My note', text: 'Remember gap', targetId: 'note-1' });
+    
+    assert.equal(data.documents.length, 2);
+    assert.equal(restored.documents.length, 3);
+});
@@ -0,0 +1,187 @@
+// ============================================
+// Tests - Store (store.js)
+// ============================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setUpDom } from './helpers/dom.mjs';
+
+setUpDom();
+const { store, persist } = await import('../js/store.js');
+const { runCleanups } = await import('../js/lifecycle.js');
+
+// ==================== setState & subscribe ====================
+test('setState merges a patch into a new frozen state', () => {
+    const before = store.getState();
+    store.setState({ activePath: 'frontend' });
+    const after = store.getState();
+    
+    assert.notEqual(after, before);
+    assert.equal(after.activePath, 'frontend');
+    assert.equal(after.themePreference, before.themePreference);
+    assert.ok(Object.isFrozen(after));
+});
+
+test('setState accepts an updater function', () => {
+    store.setState({ visitedSections: new Set(['introduction']) });
+    store.setState(data => ({ visitedSections: new Set([...data.visitedSections, 'frontend']) }));
+    
+    assert.deepEqual([...store.getState().visitedSections], ['introduction', 'frontend']);
+});
+
+test('setState skips a patch that changes nothing', () => {
+    store.setState({ accentColor: '#ff0000' });
+    const calls = [];
+    const unsubscribe = store.subscribe(data => data, () => calls.push('changed'));
+    
+    store.setState({ accentColor: '#ff0000' });
+    unsubscribe();
+    
+    assert.deepEqual(calls, []);
+});
+
+test('subscribe runs only when the selected slice changes', () => {
+    const calls = [];
+    const unsubscribe = store.subscribe(data => data.currentSection, (next, previous, action) => {
+        calls.push([next, previous, action.type]);
+    });
+    
+    store.setState({ currentSection: 'introduction' }, { type: 'reset' });
+    calls.length = 0;
+    store.setState({ accentColor: '#00ff00' });
+    store.setState({ currentSection: 'backend' }, { type: 'navigate' });
+    unsubscribe();
+    store.setState({ currentSection: 'security' });
+    
+    assert.deepEqual(calls, [['backend', 'introduction', 'navigate']]);
+});
+
+test('subscribe compares array selections item by item', () => {
+    const calls = [];
+    const unsubscribe = store.subscribe(
+        data => [data.themePreference, data.accentColor],
+        next => calls.push(next)
+    );
+    
+    store.setState({ currentSection: 'devops' });
+    store.setState({ themePreference: 'sepia' });
+    unsubscribe();
+    
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0][0], 'sepia');
+});
+
+test('use passes every change to middleware until removed', () => {
+    const seen = [];
+    const remove = store.use((next, previous, action) => seen.push([previous.activePath, next.activePath, action.type]));
+    
+    store.setState({ activePath: null }, { type: 'first' });
+    remove();
+    store.setState({ activePath: 'backend' }, { type: 'second' });
+    
+    assert.deepEqual(seen, [['frontend', null, 'first']]);
+});
+
+// ==================== Undo ====================
+test('undo restores what the last undoable action replaced', () => {
+    const visited = new Set(['introduction']);
+    store.setState({ visitedSections: visited });
+    store.setState({ visitedSections: new Set() }, { type: 'progress/reset', undoable: true });
+    
+    assert.ok(store.canUndo());
+    assert.deepEqual(store.undo(), { type: 'progress/reset', undoable: true });
+    assert.equal(store.getState().visitedSections, visited);
+    assert.equal(store.undo(), null);
+});
+
+test('undo tells subscribers which action it reverted', () => {
+    const actions = [];
+    store.setState({ cardProgress: new Map([['a', { readAt: null, understoodAt: null }]]) }, { type: 'progress/import', undoable: true });
+    const unsubscribe = store.subscribe(data => data.cardProgress, (next, previous, action) => actions.push(action));
+    
+    store.undo();
+    unsubscribe();
+    
+    assert.equal(actions.length, 1);
+    assert.equal(actions[0].type, 'undo');
+    assert.equal(actions[0].undone.type, 'progress/import');
+});
+
+test('a change from another tab drops the undo history for its slices', () => {
+    store.setState({ visitedSections: new Set(['a']) }, { type: 'progress/reset', undoable: true });
+    store.setState({ visitedSections: new Set(['b']) }, { type: 'storage', remote: true });
+    
+    assert.equal(store.canUndo(), false);
+});
+
+// ==================== persist ====================
+test('persist saves its slices and skips changes that are not to be saved', (t) => {
+    localStorage.clear();
+    persist({
+        key: 'test-theme',
+        slices: ['themePreference'],
+        save: data => data.themePreference === 'system' ? null : data.themePreference,
+        load: value => ({ themePreference: value || 'system' })
+    });
+    t.after(runCleanups);
+    
+    store.setState({ themePreference: 'light' });
+    assert.equal(localStorage.getItem('test-theme'), 'light');
+    
+    store.setState({ themePreference: 'dark' }, { type: 'theme/load', persist: false });
+    assert.equal(localStorage.getItem('test-theme'), 'light');
+    
+    store.setState({ accentColor: '#123456' });
+    store.setState({ themePreference: 'system' });
+    assert.equal(localStorage.getItem('test-theme'), null);
+});
+
+test('persist applies what another tab saved, without saving it again', (t) => {
+    localStorage.clear();
+    const writes = [];
+    persist({
+        key: 'test-accent',
+        slices: ['accentColor'],
+        save: data => {
+            writes.push(data.accentColor);
+            return data.accentColor;
+        },
+        load: value => ({ accentColor: value })
+    });
+    t.after(runCleanups);
+    
+    window.dispatchEvent(new window.StorageEvent('storage', {
+        key: 'test-accent',
+        newValue: '#abcdef',
+        storageArea: localStorage
+    }));
+    window.dispatchEvent(new window.StorageEvent('storage', {
+        key: 'another-key',
+        newValue: 'ignored',
+        storageArea: localStorage
+    }));
+    
+    assert.equal(store.getState().accentColor, '#abcdef');
+    assert.deepEqual(writes, []);
+});
+
+test('persist stops once the app is destroyed', () => {
+    localStorage.clear();
+    persist({
+        key: 'test-path',
+        slices: ['activePath'],
+        save: data => data.activePath,
+        load: value => ({ activePath: value })
+    });
+    runCleanups();
+    
+    store.setState({ activePath: 'devops' });
+    window.dispatchEvent(new window.StorageEvent('storage', {
+        key: 'test-path',
+        newValue: 'security',
+        storageArea: localStorage
+    }));
+    
+    assert.equal(localStorage.getItem('test-path'), null);
+    assert.equal(store.getState().activePath, 'devops');
+});
@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+// ============================================
+// Site checks and production build
+// ============================================
+// Usage:
+//   node tools/build.js check [--strict]
+//       Validates index.html, content/, locales/ and sw.js: duplicate ids,
+//       in-page links and local files, alt text and ARIA references, message
+//       keys, learning paths and the precache list. Exits with 1 on errors
+//       (and on warnings with --strict).
+//   node tools/build.js build [--out dist] [--strict]
+//       Runs the checks, then writes a deployable copy of the site: minified,
+//       fingerprinted CSS and JS, section files with their card ids filled in
+//       and a precomputed search index per language.
+// Needs nothing but Node 18+, so it runs offline in CI.
+
+const fs = require('fs');
+const path = require('path');
+const { parseHtml } = require('./lib/html');
+const {
+    loadPortalModules, loadSite, readLanguages, getLocalizedSections, renderSections, buildSearchIndex
+} = require('./lib/content');
+const { runChecks, readPrecacheUrls } = require('./lib/checks');
+const {
+    minifyJs, minifyCss, minifyHtml, hashContent, fingerprintName, fingerprintModules
+} = require('./lib/assets');
+
+const ROOT = path.resolve(__dirname, '..');
+const USAGE = 'Usage: node tools/build.js <check|build> [--out dist] [--strict]';
+
+// ==================== Report ====================
+function createReport() {
+    const problems = [];
+    const add = level => (file, line, message) => problems.push({ level, file, line, message });
+
+    return { problems, error: add('error'), warn: add('warning') };
+}
+
+function printReport(report) {
+    report.problems.forEach(({ level, file, line, message }) => {
+        const location = line ? `${file}:${line}` : file;
+        console.log(`${level === 'error' ? '❌' : '⚠️ '} ${location}  ${message}`);
+    });
+
+    const errors = report.problems.filter(problem => problem.level === 'error').length;
+    const warnings = report.problems.length - errors;
+    if (report.problems.length === 0) {
+        console.log('✅ No problems found');
+    } else {
+        console.log(`\n${errors} error(s), ${warnings} warning(s)`);
+    }
+    return { errors, warnings };
+}
+
+// ==================== Check ====================
+async function checkSite() {
+    const report = createReport();
+    const modules = await loadPortalModules(ROOT);
+    const content = loadSite(ROOT, modules, report);
+    if (!content) return { report };
+
+    const page = { tree: parseHtml(fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8')) };
+    const languages = readLanguages(ROOT, modules, report);
+    const rendered = {};
+    Object.keys(languages).forEach(language => {
+        rendered[language] = renderSections(getLocalizedSections(content, language, modules), modules);
+    });
+
+    runChecks({ root: ROOT, modules, content, page, rendered, languages, report });
+    return { report, modules, content, rendered };
+}
+
+// ==================== Build ====================
+async function buildSite(outDir, { modules, content, rendered }) {
+    // The output folder is emptied first, so it must not hold any sources
+    const out = path.resolve(ROOT, outDir);
+    const sources = ['js', 'content', 'locales', 'icons', 'tools'].map(dir => path.join(ROOT, dir));
+    if (`${ROOT}${path.sep}`.startsWith(`${out}${path.sep}`) ||
+        sources.some(dir => `${out}${path.sep}`.startsWith(`${dir}${path.sep}`))) {
+        throw new Error(`Refusing to build into ${out}, which holds source files`);
+    }
+
+    fs.rmSync(out, { recursive: true, force: true });
+    const write = (file, data) => {
+        fs.mkdirSync(path.dirname(path.join(out, file)), { recursive: true });
+        fs.writeFileSync(path.join(out, file), data);
+    };
+    const read = file => fs.readFileSync(path.join(ROOT, file), 'utf8');
+
+    // Old URL -> fingerprinted URL
+    const assets = new Map();
+
+    const scripts = new Map(fs.readdirSync(path.join(ROOT, 'js'))
+        .filter(name => name.endsWith('.js'))
+        .map(name => [name, minifyJs(read(`js/${name}`))]));
+    const { names, output } = fingerprintModules(scripts);
+    names.forEach((hashed, name) => assets.set(`js/${name}`, `js/${hashed}`));
+    output.forEach((code, hashed) => write(`js/${hashed}`, code));
+
+    const css = minifyCss(read('styles.css'));
+    assets.set('styles.css', fingerprintName('styles.css', hashContent(css)));
+    write(assets.get('styles.css'), css);
+
+    writeContent(write, modules, content, rendered);
+
+    const localesPath = modules.CONFIG.I18N.BASE_PATH;
+    fs.readdirSync(path.join(ROOT, localesPath)).filter(name => name.endsWith('.json')).forEach(name => {
+        write(`${localesPath}${name}`, JSON.stringify(JSON.parse(read(`${localesPath}${name}`))));
+    });
+    ['manifest.webmanifest', ...fs.readdirSync(path.join(ROOT, 'icons')).map(name => `icons/${name}`)].forEach(file => {
+        fs.mkdirSync(path.dirname(path.join(out, file)), { recursive: true });
+        fs.copyFileSync(path.join(ROOT, file), path.join(out, file));
+    });
+
+    const sectionCount = content.sections.length;
+    const html = minifyHtml(read('index.html'))
+        .replace(/(<span id="totalSections">)[^<]*/, `$1${sectionCount}`)
+        .replace(/(href|src)="([^"]+)"/g, (match, attribute, url) => (
+            assets.has(url) ? `${attribute}="${assets.get(url)}"` : match
+        ));
+    write('index.html', html);
+
+    write('sw.js', buildServiceWorker(read('sw.js'), assets, out));
+
+    console.log(`📦 Built ${sectionCount} sections, ${Object.keys(rendered).length} search indexes and ${assets.size} fingerprinted assets into ${path.relative(ROOT, out)}/`);
+}
+
+// Section files become JSON with every card id written out, so the page and
+// the search index agree on them without deriving them again
+function writeContent(write, modules, content, rendered) {
+    const base = modules.CONFIG.CONTENT.BASE_PATH;
+    const toJsonPath = file => file.replace(/\.md$/, '.json');
+
+    rendered.en.forEach(({ file, section }) => {
+        write(`${base}${toJsonPath(file)}`, JSON.stringify(section));
+    });
+
+    const translations = {};
+    Object.entries(content.translations).forEach(([language, files]) => {
+        translations[language] = Object.keys(files).map(toJsonPath);
+        Object.entries(files).forEach(([file, translation]) => {
+            write(`${base}${language}/${toJsonPath(file)}`, JSON.stringify(translation));
+        });
+    });
+
+    const searchIndex = {};
+    Object.entries(rendered).forEach(([language, sections]) => {
+        searchIndex[language] = `search-index.${language}.json`;
+        write(`${base}${searchIndex[language]}`, JSON.stringify(buildSearchIndex(sections, modules)));
+    });
+
+    write(`${base}site.json`, JSON.stringify({
+        ...content.site,
+        sections: content.site.sections.map(toJsonPath),
+        translations,
+        build: { searchIndex }
+    }));
+}
+
+// The precache list points at the fingerprinted files, and the cache version
+// changes whenever any built file does
+function buildServiceWorker(source, assets, out) {
+    const precached = readPrecacheUrls(source).map(url => assets.get(url) || url);
+    const version = hashContent(...listFiles(out).map(file => fs.readFileSync(file)));
+
+    return minifyJs(source
+        .replace(/const CACHE_VERSION = '[^']*';/, `const CACHE_VERSION = 'build-${version}';`)
+        .replace(/const PRECACHE_URLS = \[[\s\S]*?\];/, `const PRECACHE_URLS = ${JSON.stringify(precached)};`));
+}
+
+function listFiles(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .flatMap(entry => {
+            const full = path.join(dir, entry.name);
+            return entry.isDirectory() ? listFiles(full) : [full];
+        });
+}
+
+// ==================== CLI ====================
+async function main() {
+    const args = process.argv.slice(2);
+    const command = args[0];
+    const strict = args.includes('--strict');
+    const outIndex = args.indexOf('--out');
+    const outDir = outIndex === -1 ? 'dist' : args[outIndex + 1];
+
+    if (!['check', 'build'].includes(command) || !outDir) {
+        console.error(USAGE);
+        process.exit(1);
+    }
+
+    const result = await checkSite();
+    const { errors, warnings } = printReport(result.report);
+    if (errors > 0 || (strict && warnings > 0)) {
+        process.exit(1);
+    }
+
+    if (command === 'build') {
+        await buildSite(outDir, result);
+    }
+}
+
+main().catch(e => {
+    console.error('❌ Build failed:', e.message);
+    process.exit(1);
+});
@@ -0,0 +1,195 @@
+// ============================================
+// Minifying and fingerprinting for the build
+// ============================================
+// The minifiers only drop what is safe to drop without a real parser:
+// comments, indentation, blank lines and repeated spaces. Line breaks stay
+// in JavaScript so automatic semicolon insertion works as before.
+
+const crypto = require('crypto');
+
+// A "/" after one of these (or at the start) begins a regular expression
+const REGEX_PRECEDERS = new Set(['', '(', ',', '=', ':', '[', '!', '&', '|', '?', '{', '}', ';', '+', '-', '*', '%', '<', '>', '~', '^']);
+const REGEX_KEYWORDS = new Set(['return', 'typeof', 'case', 'in', 'of', 'delete', 'void', 'throw', 'new', 'else', 'do']);
+
+function minifyJs(source) {
+    let output = '';
+    let index = 0;
+    let lineStart = true;
+    let pendingSpace = false;
+    let previous = '';
+    // Brace depth inside each open ${...} of a template literal
+    const templates = [];
+
+    const emit = (text, token) => {
+        if (pendingSpace && !lineStart) output += ' ';
+        output += text;
+        pendingSpace = false;
+        lineStart = false;
+        previous = token;
+    };
+
+    // Copies template text from start (the opening backtick or the "}" of a
+    // substitution) up to the closing backtick or the next "${"
+    const readTemplate = start => {
+        let end = start + 1;
+        while (end < source.length && source[end] !== '`' && !(source[end] === '$' && source[end + 1] === '{')) {
+            end += source[end] === '\\' ? 2 : 1;
+        }
+        if (source[end] === '`') {
+            emit(source.slice(start, end + 1), 'value');
+            return end + 1;
+        }
+        emit(source.slice(start, end + 2), '{');
+        templates.push(0);
+        return end + 2;
+    };
+
+    while (index < source.length) {
+        const char = source[index];
+        const next = source[index + 1];
+
+        if (char === '\n') {
+            if (!lineStart) output += '\n';
+            lineStart = true;
+            pendingSpace = false;
+            index++;
+        } else if (char === ' ' || char === '\t' || char === '\r') {
+            pendingSpace = true;
+            index++;
+        } else if (char === '/' && next === '/') {
+            const end = source.indexOf('\n', index);
+            index = end === -1 ? source.length : end;
+        } else if (char === '/' && next === '*') {
+            const end = source.indexOf('*/', index + 2);
+            index = end === -1 ? source.length : end + 2;
+            pendingSpace = true;
+        } else if (char === '"' || char === "'") {
+            let end = index + 1;
+            while (end < source.length && source[end] !== char && source[end] !== '\n') {
+                end += source[end] === '\\' ? 2 : 1;
+            }
+            emit(source.slice(index, end + 1), 'value');
+            index = end + 1;
+        } else if (char === '`') {
+            index = readTemplate(index);
+        } else if (char === '}' && templates.length > 0 && templates[templates.length - 1] === 0) {
+            templates.pop();
+            index = readTemplate(index);
+        } else if (char === '/' && (REGEX_PRECEDERS.has(previous) || REGEX_KEYWORDS.has(previous))) {
+            let end = index + 1;
+            let inClass = false;
+            while (end < source.length && (inClass || source[end] !== '/') && source[end] !== '\n') {
+                if (source[end] === '\\') end++;
+                else if (source[end] === '[') inClass = true;
+                else if (source[end] === ']') inClass = false;
+                end++;
+            }
+            end++;
+            while (/[a-z]/i.test(source[end] || '')) end++;
+            emit(source.slice(index, end), 'value');
+            index = end;
+        } else if (/[\w$]/.test(char)) {
+            let end = index + 1;
+            while (end < source.length && /[\w$]/.test(source[end])) end++;
+            emit(source.slice(index, end), source.slice(index, end));
+            index = end;
+        } else {
+            if (templates.length > 0) {
+                if (char === '{') templates[templates.length - 1]++;
+                if (char === '}') templates[templates.length - 1]--;
+            }
+            emit(char, char);
+            index++;
+        }
+    }
+
+    return output.trim() + '\n';
+}
+
+const CSS_STRING = /("(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*')/;
+
+// Strings are matched first so a "/*" or repeated spaces inside one survive
+function minifyCss(source) {
+    const withoutComments = source.replace(new RegExp(`${CSS_STRING.source}|\\/\\*[\\s\\S]*?\\*\\/`, 'g'), (match, string) => string || ' ');
+
+    return withoutComments
+        .split(CSS_STRING)
+        .map((part, index) => (index % 2 === 1 ? part : part
+            .replace(/\s+/g, ' ')
+            .replace(/\s*([{};,>])\s*/g, '$1')
+            .replace(/;}/g, '}')))
+        .join('')
+        .trim() + '\n';
+}
+
+// Leading whitespace is dropped from every line; index.html has no <pre>
+function minifyHtml(source) {
+    return source
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean)
+        .join('\n') + '\n';
+}
+
+function hashContent(...parts) {
+    const hash = crypto.createHash('sha256');
+    parts.forEach(part => hash.update(part));
+    return hash.digest('hex').slice(0, 10);
+}
+
+// styles.css -> styles.1a2b3c4d5e.css
+function fingerprintName(file, hash) {
+    const dot = file.lastIndexOf('.');
+    return `${file.slice(0, dot)}.${hash}${file.slice(dot)}`;
+}
+
+// ==================== Module Graph ====================
+// The modules import each other in cycles, so a module's fingerprint covers
+// its own code and that of every module it reaches. Changing one file renames
+// everything that (indirectly) imports it, and nothing else.
+const IMPORT_PATTERN = /(\bfrom\s*|\bimport\s*\(?\s*)(['"])\.\/([\w.-]+\.js)\2/g;
+
+function fingerprintModules(modules) {
+    const ownHashes = new Map(Array.from(modules, ([name, code]) => [name, hashContent(code)]));
+    const imports = new Map(Array.from(modules, ([name, code]) => [
+        name,
+        Array.from(code.matchAll(IMPORT_PATTERN), match => match[3])
+    ]));
+
+    const names = new Map();
+    modules.forEach((code, name) => {
+        const reached = new Set([name]);
+        const queue = [name];
+        while (queue.length > 0) {
+            (imports.get(queue.shift()) || []).forEach(dependency => {
+                if (!modules.has(dependency)) {
+                    throw new Error(`js/${name} imports ./${dependency}, which does not exist`);
+                }
+                if (!reached.has(dependency)) {
+                    reached.add(dependency);
+                    queue.push(dependency);
+                }
+            });
+        }
+        names.set(name, fingerprintName(name, hashContent(...[...reached].sort().map(module => ownHashes.get(module)))));
+    });
+
+    const output = new Map();
+    modules.forEach((code, name) => {
+        output.set(names.get(name), code.replace(IMPORT_PATTERN, (match, prefix, quote, dependency) => (
+            `${prefix}${quote}./${names.get(dependency)}${quote}`
+        )));
+    });
+
+    return { names, output };
+}
+
+module.exports = {
+    minifyJs,
+    minifyCss,
+    minifyHtml,
+    hashContent,
+    fingerprintName,
+    fingerprintModules
+};
@@ -0,0 +1,355 @@
+// ============================================
+// Site checks for the build
+// ============================================
+// Every check reports through report.error / report.warn and keeps going, so a
+// single run lists everything that needs fixing.
+
+const fs = require('fs');
+const path = require('path');
+const { findAll, getText, getTextContent, hasClass, walk } = require('./html');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const BLOCK_TYPES = new Set(['html', 'markdown', 'code', 'element']);
+const ID_REFERENCE_ATTRIBUTES = ['for', 'aria-labelledby', 'aria-describedby', 'aria-controls', 'aria-owns'];
+const UNLABELLED_INPUT_TYPES = new Set(['hidden', 'submit', 'button', 'reset', 'image']);
+
+function runChecks({ root, modules, content, page, rendered, languages, report }) {
+    const sections = rendered.en;
+    const ids = collectIds(page, sections, modules, report);
+    const trees = getCheckedTrees(page, rendered, content);
+
+    checkSections(content, report);
+    checkSectionCount(page, sections, report);
+    checkLinks(root, trees, ids, report);
+    checkAccessibility(trees, ids, report);
+    checkMessages(page, languages, getSiteMessageKeys(content.site, modules), report);
+    checkPaths(content.site, sections, report);
+    checkServiceWorker(root, report);
+}
+
+// ==================== Ids ====================
+// Everything that ends up with an id on the page: index.html, sections, cards,
+// markup inside cards and the ids scripts derive from them. Headings get ids
+// from their card (ensureHeadingIds), so they are linkable but never clash.
+function collectIds(page, sections, modules, report) {
+    const owners = new Map();
+    const linkable = new Set();
+
+    const add = (id, where) => {
+        if (owners.has(id)) {
+            report.error(where.file, where.line, `duplicate id "${id}" (also on ${describeLocation(owners.get(id))})`);
+            return;
+        }
+        owners.set(id, where);
+        linkable.add(id);
+    };
+
+    walk(page.tree, element => {
+        if (element.attrs.id !== undefined) {
+            add(element.attrs.id, { file: 'index.html', line: element.line });
+        }
+    });
+
+    sections.forEach(({ file, section, tree }) => {
+        const where = { file: `content/${file}`, line: null };
+        add(section.id, where);
+        add(`nav-${section.id}-topics`, { ...where, note: 'its nav topic list' });
+
+        walk(tree, element => {
+            if (element.attrs.id !== undefined) {
+                add(element.attrs.id, where);
+            }
+        });
+
+        findAll(tree, element => hasClass(element, 'card')).forEach(card => {
+            findAll(card, child => child.tag === 'h3' || child.tag === 'h4').slice(1).forEach(heading => {
+                linkable.add(`${card.attrs.id}-${modules.slugify(getTextContent(heading)) || 'heading'}`);
+            });
+        });
+    });
+
+    return linkable;
+}
+
+function describeLocation({ file, line, note }) {
+    const location = line ? `${file}:${line}` : file;
+    return note ? `${location}, ${note}` : location;
+}
+
+// ==================== Content ====================
+function checkSections(content, report) {
+    const seenIds = new Set();
+
+    content.sections.forEach(({ file, section }) => {
+        const label = `content/${file}`;
+        if (!section.id || !section.title) {
+            report.error(label, null, 'sections need an id and a title');
+        }
+        if (seenIds.has(section.id)) {
+            report.error(label, null, `section id "${section.id}" is used by another section`);
+        }
+        seenIds.add(section.id);
+
+        checkDate(label, 'section', section, 'updated', report);
+        (section.cards || []).forEach((card, index) => {
+            const name = card.title ? `card "${card.title}"` : `card ${index + 1}`;
+            if (!card.title) {
+                report.error(label, null, `${name} needs a title`);
+            }
+            checkDate(label, name, card, 'added', report);
+            checkDate(label, name, card, 'updated', report);
+            checkBlocks(label, name, card.body, report);
+        });
+    });
+
+    Object.entries(content.translations).forEach(([language, files]) => {
+        Object.entries(files).forEach(([file, translation]) => {
+            const original = content.sections.find(entry => entry.file === file);
+            const extra = (translation.cards || []).length - ((original && original.section.cards) || []).length;
+            if (original && extra > 0) {
+                report.warn(`content/${language}/${file}`, null, `${extra} more card(s) than the original; they are never shown`);
+            }
+            (translation.cards || []).forEach((card, index) => {
+                checkBlocks(`content/${language}/${file}`, `card ${index + 1}`, card.body, report);
+            });
+        });
+    });
+}
+
+function checkDate(label, name, item, field, report) {
+    const value = item[field];
+    if (value === undefined) return;
+
+    if (!DATE_PATTERN.test(value) || Number.isNaN(new Date(value).getTime())) {
+        report.error(label, null, `${name}: "${field}" should be a YYYY-MM-DD date, not "${value}"`);
+    }
+}
+
+function checkBlocks(label, name, blocks = [], report) {
+    blocks.forEach(block => {
+        if (!BLOCK_TYPES.has(block.type)) {
+            report.error(label, null, `${name}: unknown content block type "${block.type}"`);
+        } else if (block.type === 'element') {
+            checkBlocks(label, name, block.children, report);
+        }
+    });
+}
+
+function checkSectionCount(page, sections, report) {
+    const total = findAll(page.tree, element => element.attrs.id === 'totalSections')[0];
+    if (!total) {
+        report.error('index.html', null, '#totalSections is missing');
+        return;
+    }
+
+    const shown = getTextContent(total).trim();
+    if (shown !== String(sections.length)) {
+        report.error('index.html', total.line, `#totalSections says ${shown} but site.json lists ${sections.length} sections`);
+    }
+}
+
+// Learning paths and footer groups in site.json point at sections and cards
+function checkPaths(site, sections, report) {
+    const sectionIds = new Set(sections.map(({ section }) => section.id));
+    const cardIds = new Set(sections.flatMap(({ section }) => section.cards.map(card => card.id)));
+
+    (site.paths || []).forEach(learningPath => {
+        const label = `learning path "${learningPath.id}"`;
+        const stepIds = (learningPath.steps || []).map(step => step.section || step.card);
+
+        (learningPath.steps || []).forEach(step => {
+            if (step.section ? !sectionIds.has(step.section) : !cardIds.has(step.card)) {
+                report.error('content/site.json', null, `${label} links to unknown ${step.section ? 'section' : 'card'} "${step.section || step.card}"`);
+            }
+            (step.requires || []).filter(id => !stepIds.includes(id)).forEach(id => {
+                report.error('content/site.json', null, `${label}: "${step.section || step.card}" requires "${id}", which is not a step of the path`);
+            });
+        });
+    });
+
+    (site.footer || []).forEach(group => {
+        group.sections.filter(id => !sectionIds.has(id)).forEach(id => {
+            report.error('content/site.json', null, `footer group "${group.title}" links to unknown section "${id}"`);
+        });
+    });
+}
+
+// ==================== Links ====================
+// index.html, every section and every translated section
+function getCheckedTrees(page, rendered, content) {
+    const trees = [{ file: 'index.html', tree: page.tree }];
+    Object.entries(rendered).forEach(([language, sections]) => {
+        const translated = language === 'en' ? null : content.translations[language] || {};
+
+        sections.forEach(({ file, tree }) => {
+            if (!translated) {
+                trees.push({ file: `content/${file}`, tree });
+            } else if (translated[file]) {
+                trees.push({ file: `content/${language}/${file}`, tree });
+            }
+        });
+    });
+    return trees;
+}
+
+function checkLinks(root, trees, ids, report) {
+    trees.forEach(({ file, tree }) => {
+        walk(tree, element => {
+            ['href', 'src'].forEach(attribute => {
+                const value = element.attrs[attribute];
+                if (value === undefined) return;
+
+                if (value.startsWith('#')) {
+                    const id = decodeURIComponent(value.slice(1));
+                    // #progress=... carries shared progress, not a target
+                    if (id && !id.startsWith('progress=') && !ids.has(id)) {
+                        report.error(file, element.line, `link to "${value}", which is not an id on the page`);
+                    }
+                } else if (!/^([a-z][\w+.-]*:|\/\/)/i.test(value)) {
+                    const local = value.split(/[?#]/)[0];
+                    if (local && !fs.existsSync(path.join(root, local))) {
+                        report.error(file, element.line, `${attribute}="${value}" points to a missing file`);
+                    }
+                }
+            });
+        });
+    });
+}
+
+// ==================== Accessibility ====================
+// Controls inside a hidden element are filled in by the script that shows it,
+// so they are not expected to have a name yet.
+function checkAccessibility(trees, ids, report) {
+    trees.forEach(({ file, tree }) => {
+        const labelledIds = new Set(findAll(tree, element => element.tag === 'label' && element.attrs.for).map(label => label.attrs.for));
+
+        walk(tree, element => {
+            const where = element.line;
+            const name = describeElement(element);
+
+            if (element.tag === 'img' && element.attrs.alt === undefined) {
+                report.error(file, where, `${name} has no alt text (use alt="" for decoration)`);
+            }
+            if (element.attrs.role === 'img' && !hasAriaName(element)) {
+                report.error(file, where, `${name} has role="img" but no aria-label`);
+            }
+
+            if (!isHidden(element)) {
+                if ((element.tag === 'button' || (element.tag === 'a' && element.attrs.href !== undefined)) &&
+                    !getText(element) && !hasAriaName(element) && !element.attrs.title) {
+                    report.error(file, where, `${name} has no text or aria-label`);
+                }
+                if (isFormControl(element) && !hasAriaName(element) &&
+                    !labelledIds.has(element.attrs.id) && !hasAncestor(element, 'label')) {
+                    report.error(file, where, `${name} has no label`);
+                }
+            }
+
+            ID_REFERENCE_ATTRIBUTES.forEach(attribute => {
+                const value = element.attrs[attribute];
+                if (value === undefined || (attribute === 'for' && element.tag !== 'label' && element.tag !== 'output')) return;
+
+                value.split(/\s+/).filter(id => id && !ids.has(id)).forEach(id => {
+                    report.error(file, where, `${name} has ${attribute}="${id}", which is not an id on the page`);
+                });
+            });
+        });
+    });
+}
+
+function describeElement(element) {
+    if (element.attrs.id) return `<${element.tag} id="${element.attrs.id}">`;
+    if (element.attrs.class) return `<${element.tag} class="${element.attrs.class}">`;
+    return `<${element.tag}>`;
+}
+
+function hasAriaName(element) {
+    return Boolean(element.attrs['aria-label'] || element.attrs['aria-labelledby']);
+}
+
+function isFormControl(element) {
+    if (element.tag === 'select' || element.tag === 'textarea') return true;
+    return element.tag === 'input' && !UNLABELLED_INPUT_TYPES.has((element.attrs.type || 'text').toLowerCase());
+}
+
+function isHidden(element) {
+    for (let current = element; current; current = current.parent) {
+        if (current.attrs && current.attrs.hidden !== undefined) return true;
+    }
+    return false;
+}
+
+function hasAncestor(element, tag) {
+    for (let current = element.parent; current; current = current.parent) {
+        if (current.tag === tag) return true;
+    }
+    return false;
+}
+
+// ==================== Translations ====================
+// Keys used in index.html must exist in English; other catalogs are compared
+// against it. siteKeys are the optional ones that translate site.json text.
+function checkMessages(page, languages, siteKeys, report) {
+    const english = languages.en.messages;
+
+    walk(page.tree, element => {
+        const keys = [];
+        if (element.attrs['data-i18n']) {
+            keys.push(element.attrs['data-i18n']);
+        }
+        (element.attrs['data-i18n-attr'] || '').split(';').forEach(pair => {
+            const key = pair.split(':')[1];
+            if (key && key.trim()) keys.push(key.trim());
+        });
+
+        keys.filter(key => !english.has(key)).forEach(key => {
+            report.error('index.html', element.line, `unknown message "${key}"`);
+        });
+    });
+
+    Object.entries(languages).filter(([code]) => code !== 'en').forEach(([code, { file, messages }]) => {
+        const unknown = [...messages].filter(key => !english.has(key) && !siteKeys.has(key));
+        const missing = [...english].filter(key => !messages.has(key));
+
+        unknown.forEach(key => report.warn(file, null, `"${key}" is not an English message and is never used`));
+        if (missing.length > 0) {
+            report.warn(file, null, `${missing.length} message(s) fall back to English: ${missing.slice(0, 5).join(', ')}${missing.length > 5 ? ', …' : ''}`);
+        }
+    });
+}
+
+// Learning path and footer group titles (see paths.js and content.js)
+function getSiteMessageKeys(site, modules) {
+    return new Set([
+        ...(site.paths || []).flatMap(learningPath => [`path.${learningPath.id}.title`, `path.${learningPath.id}.description`]),
+        ...(site.footer || []).map(group => `footer.${modules.slugify(group.title)}`)
+    ]);
+}
+
+// ==================== Service Worker ====================
+// A module missing from PRECACHE_URLS breaks the app offline
+function checkServiceWorker(root, report) {
+    const precached = readPrecacheUrls(fs.readFileSync(path.join(root, 'sw.js'), 'utf8'));
+    if (!precached) {
+        report.error('sw.js', null, 'PRECACHE_URLS not found');
+        return;
+    }
+
+    precached.filter(url => url !== './' && !fs.existsSync(path.join(root, url))).forEach(url => {
+        report.error('sw.js', null, `precaches "${url}", which does not exist`);
+    });
+
+    fs.readdirSync(path.join(root, 'js'))
+        .filter(name => name.endsWith('.js') && !precached.includes(`js/${name}`))
+        .forEach(name => report.error('sw.js', null, `js/${name} is not in PRECACHE_URLS`));
+}
+
+function readPrecacheUrls(source) {
+    const match = source.match(/const PRECACHE_URLS = \[([\s\S]*?)\];/);
+    return match ? Array.from(match[1].matchAll(/'([^']+)'/g), url => url[1]) : null;
+}
+
+module.exports = {
+    runChecks,
+    readPrecacheUrls
+};
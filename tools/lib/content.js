@@ -0,0 +1,409 @@
+// ============================================
+// Content loading and rendering for the build
+// ============================================
+// Reads content/ with the portal's own parsing code and renders each section
+// to the element tree content.js would put on the page, minus what scripts add
+// later (toolbars, anchors, notes). Checks and the search index both read it.
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { getText, hasClass, parseHtml } = require('./html');
+
+// The shared browser modules are ES modules, so they are imported up front
+async function loadPortalModules(root) {
+    const load = name => import(pathToFileURL(path.join(root, 'js', name)).href);
+    const [contentModel, searchIndex, config] = await Promise.all([
+        load('content-model.js'),
+        load('search-index.js'),
+        load('config.js')
+    ]);
+
+    return { ...contentModel, ...searchIndex, CONFIG: config.CONFIG };
+}
+
+// Problems are reported rather than thrown so one run lists all of them.
+// Returns null when site.json itself can't be read.
+function loadSite(root, modules, report) {
+    const contentDir = path.join(root, modules.CONFIG.CONTENT.BASE_PATH);
+    const site = readJson(path.join(contentDir, 'site.json'), 'content/site.json', report);
+    if (!site) return null;
+
+    if (!Array.isArray(site.sections) || site.sections.length === 0) {
+        report.error('content/site.json', null, '"sections" must list the section files');
+        return null;
+    }
+
+    const sections = site.sections
+        .map(file => ({ file, section: readSection(contentDir, file, modules, report) }))
+        .filter(entry => entry.section);
+
+    const translations = {};
+    Object.entries(site.translations || {}).forEach(([language, files]) => {
+        translations[language] = {};
+        files.forEach(file => {
+            if (!site.sections.includes(file)) {
+                report.error('content/site.json', null, `"${language}" translates "${file}", which is not in "sections"`);
+                return;
+            }
+            const translation = readSection(contentDir, `${language}/${file}`, modules, report);
+            if (translation) {
+                translations[language][file] = translation;
+            }
+        });
+    });
+
+    return { site, sections, translations };
+}
+
+function readSection(contentDir, file, modules, report) {
+    const label = `content/${file}`;
+    const fullPath = path.join(contentDir, file);
+    if (!fs.existsSync(fullPath)) {
+        report.error(label, null, 'file not found');
+        return null;
+    }
+
+    try {
+        const text = fs.readFileSync(fullPath, 'utf8');
+        return file.endsWith('.md') ? modules.parseMarkdownSection(text) : JSON.parse(text);
+    } catch (e) {
+        report.error(label, null, e.message);
+        return null;
+    }
+}
+
+function readJson(fullPath, label, report) {
+    try {
+        return JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+    } catch (e) {
+        report.error(label, null, e.code === 'ENOENT' ? 'file not found' : e.message);
+        return null;
+    }
+}
+
+// English ships inside js/i18n.js, other languages as locales/<code>.json;
+// only the message keys are needed
+function readLanguages(root, modules, report) {
+    const source = fs.readFileSync(path.join(root, 'js', 'i18n.js'), 'utf8');
+    const block = source.match(/const DEFAULT_MESSAGES = \{([\s\S]*?)\n\};/);
+    if (!block) {
+        report.error('js/i18n.js', null, 'DEFAULT_MESSAGES not found');
+    }
+
+    const languages = {
+        en: { file: 'js/i18n.js', messages: new Set(block ? Array.from(block[1].matchAll(/^ {4}'([^']+)':/gm), match => match[1]) : []) }
+    };
+
+    const localesPath = modules.CONFIG.I18N.BASE_PATH;
+    fs.readdirSync(path.join(root, localesPath)).filter(name => name.endsWith('.json')).forEach(name => {
+        const messages = readJson(path.join(root, localesPath, name), `${localesPath}${name}`, report);
+        if (messages) {
+            languages[path.basename(name, '.json')] = { file: `${localesPath}${name}`, messages: new Set(Object.keys(messages)) };
+        }
+    });
+
+    return languages;
+}
+
+// Sections as a reader of the given language sees them, with every card id
+// filled in the way the page assigns it
+function getLocalizedSections(content, language, modules) {
+    const translated = content.translations[language] || {};
+
+    return content.sections.map(({ file, section }) => {
+        if (translated[file]) {
+            return { file, section: modules.mergeSectionTranslation(section, translated[file]) };
+        }
+
+        const cardIds = modules.getCardIds(section);
+        return {
+            file,
+            section: { ...section, cards: (section.cards || []).map((card, index) => ({ ...card, id: cardIds[index] })) }
+        };
+    });
+}
+
+// ==================== Rendering ====================
+// Mirrors renderSection and renderCard in js/content.js
+function renderSectionTree(section, modules) {
+    const header = createNode('div', { class: 'section-header' }, [
+        createNode('h2', { class: 'section-title' }, [section.icon ? `${section.icon} ${section.title}` : section.title])
+    ]);
+    if (section.subtitle) {
+        header.children.push(createNode('p', { class: 'section-subtitle' }, [section.subtitle]));
+    }
+    if (section.updated) {
+        header.children.push(createNode('p', { class: 'section-updated' }, [section.updated]));
+    }
+    if (section.quiz) {
+        header.children.push(createNode('div', { class: 'quiz-launcher' }, [
+            createNode('button', { type: 'button', class: 'quiz-start-btn', id: 'startQuizBtn' }, ['🎯 Start quiz']),
+            createNode('span', { class: 'quiz-due-count', id: 'quizDueCount' }, [])
+        ]));
+    }
+
+    const grid = createNode('div', { class: 'content-grid' }, (section.cards || []).map(card => renderCardTree(card, modules)));
+    const children = [header, grid];
+    if (section.quiz) {
+        children.splice(1, 0, createNode('div', { class: 'quiz-panel', id: 'quizPanel', 'aria-live': 'polite', hidden: '' }, []));
+    }
+
+    return createNode('section', { id: section.id, class: 'section' }, children);
+}
+
+function renderCardTree(card, modules) {
+    const title = createNode('h3', {}, [card.title || '']);
+    const body = renderBlocks(card.body, modules);
+    let children;
+    let className = 'card glass-card';
+
+    if (card.type === 'faq') {
+        className += ' faq-card';
+        children = [
+            createNode('div', { class: 'faq-question' }, [title, createExpandIcon()]),
+            createNode('div', { class: 'faq-answer' }, body)
+        ];
+    } else if (card.collapsible) {
+        className += ' expandable';
+        children = [
+            createNode('div', { class: 'card-header' }, [title, createExpandIcon()]),
+            createNode('div', { class: 'card-content' }, body)
+        ];
+    } else {
+        children = [title, ...body];
+    }
+
+    const attrs = { class: card.wide ? `${className} full-width` : className };
+    if (card.id) {
+        attrs.id = card.id;
+    }
+    return createNode('div', attrs, children);
+}
+
+function createExpandIcon() {
+    return createNode('span', { class: 'expand-icon' }, ['+']);
+}
+
+function renderBlocks(blocks = [], modules) {
+    return blocks.flatMap(block => {
+        switch (block.type) {
+            case 'html':
+                return parseHtml(modules.joinContentLines(block.html)).children;
+            case 'markdown':
+                return renderMarkdownTree(modules.joinContentLines(block.text));
+            case 'code': {
+                const code = createNode('code', {}, [modules.joinContentLines(block.code)]);
+                const attrs = { class: 'code-example' };
+                if (block.lang) {
+                    attrs['data-lang'] = block.lang;
+                }
+                return [createNode('div', attrs, [createNode('pre', {}, [code])])];
+            }
+            case 'element':
+                return [createNode(block.tag || 'div', { ...(block.attrs || {}) }, renderBlocks(block.children, modules))];
+            default:
+                return [];
+        }
+    });
+}
+
+// Mirrors renderMarkdown in js/annotations.js: paragraphs, lists, "#"
+// headings, fenced code and the inline marks
+function renderMarkdownTree(text) {
+    const nodes = [];
+    let paragraph = null;
+    let list = null;
+    let codeBlock = null;
+
+    text.replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+        if (codeBlock) {
+            if (/^```/.test(line)) {
+                codeBlock = null;
+            } else {
+                codeBlock.children[0] += `${line}\n`;
+            }
+            return;
+        }
+
+        if (/^```/.test(line)) {
+            codeBlock = createNode('code', {}, ['']);
+            nodes.push(createNode('pre', {}, [codeBlock]));
+            paragraph = list = null;
+            return;
+        }
+
+        if (!line.trim()) {
+            paragraph = list = null;
+            return;
+        }
+
+        const heading = line.match(/^#{1,6}\s+(.*)$/);
+        if (heading) {
+            nodes.push(createNode('h4', {}, renderInlineMarkdown(heading[1])));
+            paragraph = list = null;
+            return;
+        }
+
+        const listItem = line.match(/^\s*(?:[-*+]|(\d+)[.)])\s+(.*)$/);
+        if (listItem) {
+            const tag = listItem[1] ? 'ol' : 'ul';
+            if (!list || list.tag !== tag) {
+                list = createNode(tag, {}, []);
+                nodes.push(list);
+            }
+            list.children.push(createNode('li', {}, renderInlineMarkdown(listItem[2])));
+            paragraph = null;
+            return;
+        }
+
+        if (paragraph) {
+            paragraph.children.push(createNode('br', {}, []));
+        } else {
+            paragraph = createNode('p', {}, []);
+            nodes.push(paragraph);
+            list = null;
+        }
+        paragraph.children.push(...renderInlineMarkdown(line));
+    });
+
+    return nodes;
+}
+
+function renderInlineMarkdown(text) {
+    const pattern = /`([^`]+)`|\*\*([^*]+)\*\*|\*([^*]+)\*|_([^_]+)_|\[([^\]]+)\]\(([^)\s]+)\)/g;
+    const nodes = [];
+    let lastIndex = 0;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        const [raw, code, strong, em, underscoreEm, linkText, href] = match;
+        nodes.push(text.slice(lastIndex, match.index));
+
+        if (code) {
+            nodes.push(createNode('code', {}, [code]));
+        } else if (strong) {
+            nodes.push(createNode('strong', {}, [strong]));
+        } else if (em || underscoreEm) {
+            nodes.push(createNode('em', {}, [em || underscoreEm]));
+        } else if (/^(https?:\/\/|#)/i.test(href)) {
+            nodes.push(createNode('a', { href }, [linkText]));
+        } else {
+            nodes.push(raw);
+        }
+        lastIndex = pattern.lastIndex;
+    }
+    nodes.push(text.slice(lastIndex));
+
+    return nodes;
+}
+
+// Children may be given as strings for text
+function createNode(tag, attrs, children) {
+    return { tag, attrs, children, parent: null, line: null };
+}
+
+function toTree(node) {
+    if (typeof node === 'string') return { text: node };
+    if (!node.tag) return node;
+
+    // Lines of parsed html blocks count from the block, not the file
+    node.line = null;
+
+    node.children = node.children.map(child => {
+        const converted = toTree(child);
+        if (converted.tag) {
+            converted.parent = node;
+        }
+        return converted;
+    });
+    return node;
+}
+
+function renderSections(localized, modules) {
+    return localized.map(({ file, section }) => ({
+        file,
+        section,
+        tree: toTree(renderSectionTree(section, modules))
+    }));
+}
+
+// ==================== Search Index ====================
+// The same documents as buildSearchIndex in js/search.js builds from the page
+function buildSearchIndex(rendered, modules) {
+    const index = modules.createSearchIndex();
+    const ignore = modules.CONFIG.SEARCH.IGNORE_SELECTOR;
+
+    rendered.forEach(({ section, tree }) => {
+        const sectionTitle = section.navTitle || section.title;
+        const header = tree.children.find(child => child.tag && hasClass(child, 'section-header'));
+        const base = { sectionId: section.id, sectionTitle };
+
+        modules.addSearchDocument(index, {
+            type: 'section',
+            targetId: section.id,
+            ...base,
+            title: sectionTitle,
+            text: getText(header, ignore)
+        });
+
+        const grid = tree.children.find(child => child.tag && hasClass(child, 'content-grid'));
+        grid.children.forEach((card, cardIndex) => {
+            const cardData = section.cards[cardIndex];
+            const title = (cardData.title || '').trim() || sectionTitle;
+
+            if (cardData.type === 'faq') {
+                const answer = card.children.find(child => hasClass(child, 'faq-answer'));
+                modules.addSearchDocument(index, {
+                    type: 'faq',
+                    targetId: cardData.id,
+                    ...base,
+                    title,
+                    text: getText(answer, ignore)
+                });
+                return;
+            }
+
+            modules.addSearchDocument(index, {
+                type: 'card',
+                targetId: cardData.id,
+                ...base,
+                title,
+                text: getText(card, `${ignore}, .code-example`)
+            });
+
+            findCodeExamples(card).forEach(block => {
+                modules.addSearchDocument(index, {
+                    type: 'code',
+                    targetId: cardData.id,
+                    ...base,
+                    title,
+                    text: getText(block, ignore)
+                });
+            });
+        });
+    });
+
+    return modules.serializeSearchIndex(index);
+}
+
+function findCodeExamples(node, found = []) {
+    node.children.forEach(child => {
+        if (!child.tag) return;
+        if (hasClass(child, 'code-example')) {
+            found.push(child);
+        } else {
+            findCodeExamples(child, found);
+        }
+    });
+    return found;
+}
+
+module.exports = {
+    loadPortalModules,
+    loadSite,
+    readLanguages,
+    getLocalizedSections,
+    renderSections,
+    buildSearchIndex
+};
@@ -0,0 +1,172 @@
+// ============================================
+// Minimal HTML tree for the build checks
+// ============================================
+// Enough to read index.html and the html blocks in content/, which are written
+// by hand and close their tags. Elements are { tag, attrs, children, parent,
+// line }; text is { text }.
+
+const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'
+]);
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+const TAG_PATTERN = /<!--[\s\S]*?-->|<!doctype[^>]*>|<\/([a-z][\w-]*)\s*>|<([a-z][\w-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*(\/?)>/gi;
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0', times: '\u00d7', copy: '\u00a9', hellip: '\u2026' };
+
+function parseHtml(html, firstLine = 1) {
+    const root = createElement('#root', {}, null, firstLine);
+    let current = root;
+    let lastIndex = 0;
+    let line = firstLine;
+    let lineIndex = 0;
+    let match;
+
+    const lineAt = index => {
+        for (; lineIndex < index; lineIndex++) {
+            if (html[lineIndex] === '\n') line++;
+        }
+        return line;
+    };
+
+    TAG_PATTERN.lastIndex = 0;
+    while ((match = TAG_PATTERN.exec(html)) !== null) {
+        const [, closingTag, openingTag, attributeText, selfClosing] = match;
+        appendText(current, html.slice(lastIndex, match.index));
+        lastIndex = TAG_PATTERN.lastIndex;
+
+        if (closingTag) {
+            current = closeElement(current, closingTag.toLowerCase());
+            continue;
+        }
+        if (!openingTag) continue;
+
+        const element = createElement(openingTag.toLowerCase(), parseAttributes(attributeText), current, lineAt(match.index));
+        current.children.push(element);
+
+        if (RAW_TEXT_ELEMENTS.has(element.tag)) {
+            const end = html.toLowerCase().indexOf(`</${element.tag}`, lastIndex);
+            const stop = end === -1 ? html.length : end;
+            element.children.push({ text: html.slice(lastIndex, stop) });
+            lastIndex = end === -1 ? stop : html.indexOf('>', end) + 1;
+            TAG_PATTERN.lastIndex = lastIndex;
+        } else if (!VOID_ELEMENTS.has(element.tag) && !selfClosing) {
+            current = element;
+        }
+    }
+    appendText(current, html.slice(lastIndex));
+
+    return root;
+}
+
+function createElement(tag, attrs, parent, line) {
+    return { tag, attrs, children: [], parent, line };
+}
+
+function parseAttributes(text) {
+    const attrs = {};
+    let match;
+
+    ATTRIBUTE_PATTERN.lastIndex = 0;
+    while ((match = ATTRIBUTE_PATTERN.exec(text)) !== null) {
+        const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+        attrs[match[1].toLowerCase()] = decodeEntities(value || '');
+    }
+    return attrs;
+}
+
+function appendText(parent, text) {
+    if (text) {
+        parent.children.push({ text: decodeEntities(text) });
+    }
+}
+
+// A stray closing tag is ignored, like browsers do
+function closeElement(current, tag) {
+    for (let element = current; element.parent; element = element.parent) {
+        if (element.tag === tag) return element.parent;
+    }
+    return current;
+}
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+        if (name[0] === '#') {
+            const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : Number(name.slice(1));
+            return String.fromCodePoint(code);
+        }
+        return ENTITIES[name.toLowerCase()] || entity;
+    });
+}
+
+// ==================== Queries ====================
+function walk(node, visit) {
+    node.children.forEach(child => {
+        if (child.tag) {
+            visit(child);
+            walk(child, visit);
+        }
+    });
+}
+
+function findAll(node, predicate) {
+    const found = [];
+    walk(node, element => {
+        if (predicate(element)) found.push(element);
+    });
+    return found;
+}
+
+function hasClass(element, className) {
+    return (element.attrs.class || '').split(/\s+/).includes(className);
+}
+
+// Selector lists of simple selectors only: tag, .class, #id, tag.class
+function matches(element, selectorList) {
+    return selectorList.split(',').some(selector => {
+        const parts = selector.trim().match(/^([a-z][\w-]*)?((?:[.#][\w-]+)*)$/i);
+        if (!parts) {
+            throw new Error(`Unsupported selector "${selector.trim()}"`);
+        }
+
+        const [, tag, rest] = parts;
+        if (tag && element.tag !== tag.toLowerCase()) return false;
+        return (rest.match(/[.#][\w-]+/g) || []).every(part => part[0] === '.'
+            ? hasClass(element, part.slice(1))
+            : element.attrs.id === part.slice(1));
+    });
+}
+
+// Text of the tree, skipping elements that match skipSelector; text nodes are
+// joined with spaces like getIndexableText does in the page
+function getText(node, skipSelector) {
+    const parts = [];
+
+    const collect = current => current.children.forEach(child => {
+        if (!child.tag) {
+            parts.push(child.text);
+        } else if (!skipSelector || !matches(child, skipSelector)) {
+            collect(child);
+        }
+    });
+    collect(node);
+
+    return parts.join(' ').replace(/\s+/g, ' ').trim();
+}
+
+// Like textContent: text nodes joined as they are
+function getTextContent(node) {
+    return node.children.map(child => (child.tag ? getTextContent(child) : child.text)).join('');
+}
+
+module.exports = {
+    parseHtml,
+    createElement,
+    walk,
+    findAll,
+    hasClass,
+    matches,
+    getText,
+    getTextContent
+};
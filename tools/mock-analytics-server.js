@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+// ============================================
+// Mock analytics endpoint for local testing
+// ============================================
+// Usage: node tools/mock-analytics-server.js [port]
+// Then point the portal at it with
+//   <meta name="analytics-endpoint" content="http://localhost:8787/collect">
+// Received batches are printed and kept in memory; GET /events returns them.
+
+const http = require('http');
+
+const PORT = Number(process.argv[2]) || 8787;
+const received = [];
+
+const server = http.createServer((req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+
+    if (req.method === 'POST' && req.url === '/collect') {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            try {
+                const batch = JSON.parse(body);
+                received.push(...batch.events);
+                console.log(`📥 ${batch.events.length} events (sent ${batch.sentAt})`);
+                batch.events.forEach(event => {
+                    const detail = event.label !== undefined ? event.label : event.section;
+                    console.log(`   ${event.type.padEnd(14)} ${detail}${event.results === 0 ? '  ⚠️ no results' : ''}`);
+                });
+                res.writeHead(204);
+            } catch (e) {
+                console.error('❌ Invalid batch:', e.message);
+                res.writeHead(400);
+            }
+            res.end();
+        });
+        return;
+    }
+
+    if (req.method === 'GET' && req.url === '/events') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(received, null, 2));
+        return;
+    }
+
+    res.writeHead(404);
+    res.end();
+});
+
+server.listen(PORT, () => {
+    console.log(`📊 Mock analytics endpoint listening on http://localhost:${PORT}/collect`);
+});